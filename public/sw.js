@@ -0,0 +1,84 @@
+// Keeps the app shell available offline. Pages are network-first so a deploy shows
+// up straight away; the build's hashed assets never change, so they come from the
+// cache. API calls are not cached, except the material catalog and pickup
+// availability, which fall back to their last answer so the calculator and the
+// pickup form still work without a connection.
+const CACHE = 'recyclink-v1';
+const SHELL = ['/manifest.webmanifest', '/icons/icon-192.png', '/icons/icon-512.png'];
+const CACHED_API = ['/api/materials', '/api/availability'];
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// The scripts and styles of the current build are whatever index.html links to.
+const cacheShell = async () => {
+    const cache = await caches.open(CACHE);
+    const response = await fetch('/index.html', { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`index.html answered ${response.status}`);
+    const page = await response.clone().text();
+    const assets = [...page.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1]);
+    await cache.put('/index.html', response);
+    await cache.addAll([...new Set([...SHELL, ...assets])]);
+};
+
+const networkFirst = async (request, fallbackUrl) => {
+    const cache = await caches.open(CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = (await cache.match(request)) ?? (fallbackUrl && (await cache.match(fallbackUrl)));
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+};
+
+// The CDN answers opaquely (no CORS), so its responses are cached whatever their status.
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    const fresh = fetch(request).then(async (response) => {
+        await cache.put(request, response.clone());
+        return response;
+    });
+    if (!cached) return fresh;
+    fresh.catch(() => {});
+    return cached;
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter((name) => name !== CACHE).map((name) => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        if (url.pathname.startsWith('/api/')) {
+            if (CACHED_API.includes(url.pathname)) event.respondWith(networkFirst(request));
+            return;
+        }
+        // /track/... links are served by index.html, so any page falls back to it.
+        if (request.mode === 'navigate') event.respondWith(networkFirst(request, '/index.html'));
+        else event.respondWith(cacheFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
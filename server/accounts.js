@@ -0,0 +1,85 @@
+import { createHash, randomBytes, randomInt, timingSafeEqual } from 'crypto';
+import { isValidPhone, lastTenDigits } from './bookings.js';
+import { HttpError } from './errors.js';
+
+const CODE_TTL_MS = 5 * 60 * 1000;
+const RESEND_AFTER_MS = 30 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const digest = (value) => createHash('sha256').update(String(value ?? '')).digest();
+
+// Stands in for an SMS gateway: the code goes to the server log instead of a phone.
+// Set OTP_SHOW_CODES=true to also show it on the login page while testing; never in
+// production, as anyone could then sign in to any number.
+export const createStubOtpSender = () => ({
+    async send(phone, code) {
+        console.log(`OTP for ${phone}: ${code}`);
+    },
+});
+
+// Household accounts, one per phone number, signed in with a one-time code sent to
+// that number. Proving the number is what links an account to its pickups, so there
+// is no separate sign-up step. With `exposeCodes` the code is also returned to the
+// browser, which lets the stub sender work end to end without a phone. Expired codes
+// and sessions are deleted when next read, and swept whenever someone signs in.
+export const createAccountAuth = ({
+    store,
+    sender = createStubOtpSender(),
+    exposeCodes = process.env.OTP_SHOW_CODES === 'true',
+}) => ({
+    async requestCode(phone) {
+        if (!isValidPhone(phone)) throw new HttpError(400, 'Please enter a valid 10-digit mobile number.', { phone: 'invalid' });
+        const id = lastTenDigits(phone);
+        await store.removeWhere('otpCodes', (pending) => pending.expiresAt <= Date.now());
+        const previous = await store.get('otpCodes', id);
+        if (previous && Date.now() - previous.sentAt < RESEND_AFTER_MS) {
+            throw new HttpError(429, 'A code was just sent. Please wait a few seconds before asking for another.');
+        }
+        const code = String(randomInt(0, 1000000)).padStart(6, '0');
+        await store.insert('otpCodes', { id, codeHash: digest(code).toString('hex'), sentAt: Date.now(), expiresAt: Date.now() + CODE_TTL_MS, attempts: 0 });
+        await sender.send(id, code);
+        return { sent: true, expiresInSeconds: CODE_TTL_MS / 1000, ...(exposeCodes && { devCode: code }) };
+    },
+
+    verifyCode: (phone, code) => store.exclusive(async () => {
+        const id = lastTenDigits(phone);
+        const pending = await store.get('otpCodes', id);
+        if (!pending || pending.expiresAt <= Date.now()) {
+            if (pending) await store.remove('otpCodes', id);
+            throw new HttpError(401, 'That code has expired. Please ask for a new one.');
+        }
+        if (pending.attempts >= MAX_CODE_ATTEMPTS) throw new HttpError(429, 'Too many wrong codes. Please ask for a new one.');
+        if (!timingSafeEqual(digest(String(code ?? '').trim()), Buffer.from(pending.codeHash, 'hex'))) {
+            await store.update('otpCodes', id, { attempts: pending.attempts + 1 });
+            throw new HttpError(401, 'Wrong code. Please check the SMS and try again.');
+        }
+        await store.remove('otpCodes', id);
+        const now = new Date().toISOString();
+        const existing = await store.get('accounts', id);
+        const account = existing
+            ? await store.update('accounts', id, { lastLoginAt: now })
+            : await store.insert('accounts', { id, phone: id, createdAt: now, lastLoginAt: now });
+        await store.removeWhere('accountSessions', (session) => session.expiresAt <= Date.now());
+        const token = randomBytes(32).toString('hex');
+        await store.insert('accountSessions', { id: token, accountId: id, expiresAt: Date.now() + SESSION_TTL_MS });
+        return { token, account: { phone: account.phone, createdAt: account.createdAt } };
+    }),
+
+    async logout(token) {
+        await store.remove('accountSessions', token);
+    },
+
+    // Express middleware: sets req.account or rejects with 401.
+    requireAccount: async (req, res, next) => {
+        const token = (req.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
+        const session = token ? await store.get('accountSessions', token) : null;
+        const live = session && session.expiresAt > Date.now();
+        if (session && !live) await store.remove('accountSessions', token);
+        const account = live && (await store.get('accounts', session.accountId));
+        if (!account) throw new HttpError(401, 'Please log in again.');
+        req.account = account;
+        req.accountToken = token;
+        next();
+    },
+});
@@ -0,0 +1,63 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { HttpError } from './errors.js';
+
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+// Hashing first gives equal-length buffers, so the comparison leaks nothing about the length.
+const digest = (value) => createHash('sha256').update(String(value ?? '')).digest();
+
+// Login for whoever keeps the material catalog up to date. There is one shared
+// password, ADMIN_PASSWORD; without it the admin API stays switched off. Failed
+// attempts are rate-limited per client IP, so one guesser cannot lock everyone out.
+export const createAdminAuth = ({ store, password = process.env.ADMIN_PASSWORD }) => {
+    const failedLogins = new Map();
+
+    const forgetExpiredLockouts = (now) => {
+        for (const [ip, attempts] of failedLogins) {
+            if (now - attempts.since >= LOCKOUT_MS) failedLogins.delete(ip);
+        }
+    };
+
+    const assertEnabled = () => {
+        if (!password) throw new HttpError(503, 'The admin page is switched off. Set ADMIN_PASSWORD on the server to use it.');
+    };
+
+    return {
+        async login(attempt, ip = '') {
+            assertEnabled();
+            forgetExpiredLockouts(Date.now());
+            const attempts = failedLogins.get(ip);
+            if (attempts && attempts.count >= MAX_FAILED_LOGINS) {
+                throw new HttpError(429, 'Too many wrong passwords. Please wait 15 minutes and try again.');
+            }
+            if (!timingSafeEqual(digest(attempt), digest(password))) {
+                failedLogins.set(ip, { count: (attempts?.count ?? 0) + 1, since: attempts?.since ?? Date.now() });
+                throw new HttpError(401, 'Wrong password.');
+            }
+            failedLogins.delete(ip);
+            await store.removeWhere('adminSessions', (session) => session.expiresAt <= Date.now());
+            const token = randomBytes(32).toString('hex');
+            await store.insert('adminSessions', { id: token, expiresAt: Date.now() + SESSION_TTL_MS });
+            return { token };
+        },
+
+        async logout(token) {
+            await store.remove('adminSessions', token);
+        },
+
+        // Express middleware: rejects with 401 unless the request carries a live admin session.
+        requireAdmin: async (req, res, next) => {
+            assertEnabled();
+            const token = (req.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
+            const session = token ? await store.get('adminSessions', token) : null;
+            if (!session || session.expiresAt <= Date.now()) {
+                if (session) await store.remove('adminSessions', token);
+                throw new HttpError(401, 'Please log in again.');
+            }
+            req.adminToken = token;
+            next();
+        },
+    };
+};
@@ -0,0 +1,237 @@
+import { GoogleGenAI, Type } from '@google/genai';
+import { AiError, InvalidImageError, InvalidResponseError, NetworkError, QuotaError } from '../../shared/errors.js';
+import { LANGUAGES, resolveLanguage } from '../../shared/languages.js';
+import { getRateCard } from '../../shared/pricing.js';
+import { identifyResultSchema } from '../../shared/schemas.js';
+import { parseJsonResponse, t, validateResponse } from '../../shared/validation.js';
+
+const MODEL = 'gemini-2.5-flash';
+
+const chatSystemInstruction = `You are "Kabaadi Assistant", a friendly, helpful AI guide for "Kabaadi and Co", a platform connecting users with local scrap dealers (kabaadiwalas).
+
+Your responsibilities are:
+1.  Answer questions about what scrap we buy, from the list of materials below.
+2.  Give price quotes with the quote_scrap function, never from memory, and always say that "the final price is set by the kabaadiwala after weighing."
+3.  Explain our simple process: Schedule Pickup -> Kabaadiwala Arrives -> Weigh & Pay -> Responsible Recycling.
+4.  Help users book a pickup right here in the chat. Check their pincode with check_service_area, pick a date and slot from the available ones, and collect their name, 10-digit mobile number and address. Then call propose_pickup.
+5.  propose_pickup does not book anything: it shows the customer a confirmation button. Never say a pickup is booked; tell them to press "Confirm booking" below your message.
+6.  Encourage users to use the "Scrap Identifier" for unknown items.
+7.  If you don't know an answer, politely say, "That's a great question! For the most accurate information, please fill out our contact form, and a local expert will get in touch."
+
+Keep your tone helpful and local. Use Indian currency symbol (₹) for prices. Keep answers concise (2-3 sentences).`;
+
+// The customer's chosen UI language, for everything the model writes for them.
+const languageName = (language) => LANGUAGES[resolveLanguage(language)].name;
+
+const replyLanguageInstruction = (language) => `Always reply in ${languageName(language)}, even if earlier messages were in another language. Write prices with the ₹ symbol and Latin digits.`;
+
+// The catalog can change from the admin page, so everything built from it is rebuilt per request.
+const materialList = ({ materials }) => Object.entries(materials).map(([id, { name }]) => `"${id}" (${name})`).join(', ');
+
+const categoryList = ({ categories }) => Object.entries(categories).map(([id, { name }]) => `"${id}" (${name})`).join(', ');
+
+const catalogInstruction = ({ categories, materials }) => {
+    const lines = Object.entries(categories).flatMap(([categoryId, category]) => {
+        const names = Object.values(materials).filter((material) => material.category === categoryId).map(({ name }) => name);
+        return names.length > 0 ? [`- ${category.name}: ${names.join(', ')}`] : [];
+    });
+    return `The materials we currently buy, by category:\n${lines.join('\n')}`;
+};
+
+const cityIds = ({ rateCards }) => Object.keys(getRateCard(undefined, rateCards).cities);
+
+const identifyPrompt = (catalog) => `You are an expert scrap (kabaad) identifier for an Indian company, "Kabaadi and Co". Analyze the photos and list every distinct scrap item you can see. The same item may appear in more than one photo; list it once.
+
+    Respond only with a single, valid JSON object that conforms to the provided schema, with one entry in "items" per detected item.
+
+    - "itemName": The common name of the item (e.g., "Newspapers", "Copper Wire", "Plastic Bottles").
+    - "category": The closest of our categories: ${categoryList(catalog)}. Use "other" if none fits.
+    - "recyclable": A boolean value. True if it's recyclable scrap.
+    - "materialId": The closest match from our rate card: ${materialList(catalog)}. Use "other" if none fits.
+    - "estimatedQuantity": Your best guess of how much is visible, as a number.
+    - "unit": "kg" or "pieces", whichever the quantity is measured in.
+    - "estimatedPrice": A string with an estimated price range per kg or unit in Indian Rupees (₹). For example, "₹12-15 per kg" or "₹50-100 per piece". Include a disclaimer if the price is highly variable.`;
+
+const identifyLanguageInstruction = (language) => `Write "itemName" and "estimatedPrice" in ${languageName(language)}. Keep "category", "materialId" and "unit" exactly as listed above.`;
+
+const identifySchema = (catalog) => ({
+    type: Type.OBJECT,
+    properties: {
+        items: {
+            type: Type.ARRAY,
+            items: {
+                type: Type.OBJECT,
+                properties: {
+                    itemName: { type: Type.STRING },
+                    category: { type: Type.STRING, enum: [...Object.keys(catalog.categories), 'other'] },
+                    recyclable: { type: Type.BOOLEAN },
+                    materialId: { type: Type.STRING, enum: [...Object.keys(catalog.materials), 'other'] },
+                    estimatedQuantity: { type: Type.NUMBER },
+                    unit: { type: Type.STRING, enum: ['kg', 'pieces'] },
+                    estimatedPrice: { type: Type.STRING },
+                },
+                required: ['itemName', 'category', 'recyclable', 'materialId', 'estimatedQuantity', 'unit', 'estimatedPrice'],
+            },
+        },
+    },
+    required: ['items'],
+});
+
+const quoteItemsSchema = (catalog) => ({
+    type: Type.ARRAY,
+    items: {
+        type: Type.OBJECT,
+        properties: {
+            materialId: { type: Type.STRING, enum: Object.keys(catalog.materials) },
+            quantity: { type: Type.NUMBER },
+            unit: { type: Type.STRING, enum: ['kg', 'pieces'] },
+        },
+        required: ['materialId', 'quantity', 'unit'],
+    },
+});
+
+const chatFunctionDeclarations = (catalog) => [
+    {
+        name: 'quote_scrap',
+        description: `Price a list of scrap items from our current rate card. Materials: ${materialList(catalog)}.`,
+        parameters: {
+            type: Type.OBJECT,
+            properties: {
+                items: quoteItemsSchema(catalog),
+                city: { type: Type.STRING, enum: cityIds(catalog), description: "The customer's city, if known." },
+            },
+            required: ['items'],
+        },
+    },
+    {
+        name: 'check_service_area',
+        description: "Check whether we collect from the customer's address, by its 6-digit pincode, and list the open pickup dates and time slots.",
+        parameters: {
+            type: Type.OBJECT,
+            properties: { pincode: { type: Type.STRING } },
+            required: ['pincode'],
+        },
+    },
+    {
+        name: 'propose_pickup',
+        description: 'Check a pickup request and show the customer a button to confirm it. Does not book until they press it.',
+        parameters: {
+            type: Type.OBJECT,
+            properties: {
+                name: { type: Type.STRING },
+                phone: { type: Type.STRING, description: '10-digit Indian mobile number.' },
+                address: { type: Type.STRING },
+                pincode: { type: Type.STRING },
+                date: { type: Type.STRING, description: 'YYYY-MM-DD, one of the available dates from check_service_area.' },
+                slotId: { type: Type.STRING, description: 'A slot id from check_service_area.' },
+                items: quoteItemsSchema(catalog),
+                notes: { type: Type.STRING, description: 'Anything else the kabaadiwala should know, including items not on the rate card.' },
+            },
+            required: ['name', 'phone', 'address', 'pincode', 'date', 'slotId'],
+        },
+    },
+];
+
+// Stops a confused model from calling functions forever.
+const MAX_TOOL_ROUNDS = 4;
+
+const confirmPrompt = (name, language) => `Generate a friendly, professional confirmation message for a user named "${name}" who just submitted a pickup request on our scrap collection website, 'Kabaadi and Co'. Reassure them that we're connecting them with a local kabaadiwala who will call them soon to confirm the details. Keep it concise, under 60 words. Write it in ${languageName(language)}.`;
+
+const replyText = t.string({ nonEmpty: true });
+
+const NETWORK_ERROR_CODES = /^(?:ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|EPIPE|UND_ERR_\w+)$/;
+
+// fetch reports a dropped connection as TypeError('fetch failed') with the socket
+// error as its cause. Any other TypeError is a bug in our code, not the network.
+const isNetworkFailure = (error) => {
+    const code = error?.cause?.code ?? error?.code;
+    return (typeof code === 'string' && NETWORK_ERROR_CODES.test(code))
+        || /fetch failed|ECONNRESET|ETIMEDOUT|ENOTFOUND|network/i.test(String(error?.message ?? ''));
+};
+
+// Maps SDK and transport failures onto our AI error types.
+export const classifyGeminiError = (error) => {
+    if (error instanceof AiError) return error;
+    const status = error?.status ?? error?.code;
+    const message = String(error?.message ?? '');
+    if (status === 429 || /RESOURCE_EXHAUSTED|quota/i.test(message)) return new QuotaError(undefined, { cause: error });
+    if (status === 400 && /image|mime|inline.?data/i.test(message)) return new InvalidImageError(undefined, { cause: error });
+    if (status >= 500 || isNetworkFailure(error)) {
+        return new NetworkError(undefined, { cause: error });
+    }
+    return new AiError(undefined, { cause: error });
+};
+
+// `ai` is the Gemini SDK client; tests pass a stand-in that replays recorded responses.
+export const createGeminiProvider = ({ apiKey, ai = new GoogleGenAI({ apiKey }) }) => {
+    // The conversation lives in the browser; each request rebuilds the session from it.
+    const createChat = (history, language, catalog, tools) => ai.chats.create({
+        model: MODEL,
+        history: history.map(({ role, text }) => ({ role, parts: [{ text }] })),
+        config: {
+            systemInstruction: [chatSystemInstruction, catalogInstruction(catalog), replyLanguageInstruction(language), tools?.context()].filter(Boolean).join('\n\n'),
+            thinkingConfig: { thinkingBudget: 0 },
+            ...(tools && { tools: [{ functionDeclarations: chatFunctionDeclarations(catalog).filter(({ name }) => tools.names.includes(name)) }] }),
+        },
+    });
+
+    return {
+        name: 'gemini',
+
+        async chat({ message, history, language, catalog }) {
+            const response = await createChat(history, language, catalog).sendMessage({ message });
+            return validateResponse(replyText, response.text?.trim());
+        },
+
+        // Yields reply text as it arrives, plus any events the tools raise for the browser.
+        // Function calls are run between model turns until the model answers in text.
+        async *chatStream({ message, history, language, catalog, tools }) {
+            const chat = createChat(history, language, catalog, tools);
+            let input = message;
+            let received = false;
+            for (let round = 0; round <= MAX_TOOL_ROUNDS && input; round++) {
+                const calls = [];
+                for await (const chunk of await chat.sendMessageStream({ message: input })) {
+                    const parts = chunk.candidates?.[0]?.content?.parts ?? [];
+                    calls.push(...parts.filter((part) => part.functionCall).map((part) => part.functionCall));
+                    const text = parts.filter((part) => part.text && !part.thought).map((part) => part.text).join('');
+                    if (!text) continue;
+                    received = true;
+                    yield text;
+                }
+                input = null;
+                if (calls.length === 0 || !tools) break;
+                const responses = [];
+                for (const call of calls) {
+                    const { result, event } = await tools.execute(call.name, call.args);
+                    if (event) {
+                        // A proposed pickup is an answer in itself, even if the model adds no text.
+                        received = true;
+                        yield event;
+                    }
+                    responses.push({ functionResponse: { id: call.id, name: call.name, response: result } });
+                }
+                input = responses;
+            }
+            if (!received) throw new InvalidResponseError(undefined, { cause: new Error('Empty chat stream') });
+        },
+
+        async identify({ images, language, catalog }) {
+            const response = await ai.models.generateContent({
+                model: MODEL,
+                contents: { parts: [{ text: `${identifyPrompt(catalog)}\n\n    ${identifyLanguageInstruction(language)}` }, ...images.map(({ data, mimeType }) => ({ inlineData: { data, mimeType } }))] },
+                config: { responseMimeType: 'application/json', responseSchema: identifySchema(catalog) },
+            });
+            return parseJsonResponse(identifyResultSchema, response.text);
+        },
+
+        async confirm({ name, language }) {
+            const response = await ai.models.generateContent({
+                model: MODEL,
+                contents: confirmPrompt(name, language),
+                config: { thinkingConfig: { thinkingBudget: 0 } }
+            });
+            return validateResponse(replyText, response.text?.trim());
+        },
+    };
+};
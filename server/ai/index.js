@@ -0,0 +1,12 @@
+import { classifyGeminiError, createGeminiProvider } from './gemini.js';
+import { createMockProvider } from './mock.js';
+import { withResilience } from './resilient.js';
+
+// `gemini` replaces the SDK client and `retry` the backoff settings, both for tests.
+export const createAiProvider = ({ apiKey = process.env.GEMINI_API_KEY, gemini, retry } = {}) => {
+    if (!apiKey && !gemini) {
+        console.warn("GEMINI_API_KEY environment variable not set. AI features will use mock data.");
+        return createMockProvider();
+    }
+    return withResilience(createGeminiProvider({ apiKey, ai: gemini }), createMockProvider(), { classifyError: classifyGeminiError, retry });
+};
@@ -0,0 +1,150 @@
+import { getRateCard } from '../../shared/pricing.js';
+import { DEFAULT_LANGUAGE } from '../../shared/languages.js';
+import { DEFAULT_CITY } from '../../shared/rateCard.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const MATERIAL_KEYWORDS = {
+    'newspaper': /newspaper|akhbar|raddi/i,
+    'cardboard': /cardboard|carton|box/i,
+    'pet-bottles': /plastic|bottle|\bpet\b/i,
+    'steel': /steel|iron|loha/i,
+    'aluminum-cans': /alumin(?:i)?um|\bcans?\b/i,
+    'copper-wire': /copper|wire/i,
+    'old-laptop': /laptop|computer|e-?waste/i,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Materials added in the admin page are matched by their name.
+const materialPattern = (id, material) => MATERIAL_KEYWORDS[id] ?? new RegExp(escapeRegExp(material.name), 'i');
+
+// Materials priced in the default city, with the patterns that spot them in a message.
+const pricedMaterials = (catalog) => {
+    const city = getRateCard(undefined, catalog.rateCards).cities[DEFAULT_CITY];
+    const materials = Object.entries(catalog.materials)
+        .filter(([id]) => city.rates[id])
+        .map(([id, material]) => ({ id, material, pattern: materialPattern(id, material) }));
+    return { city, materials };
+};
+
+// Canned sentences in each UI language. Material and city names stay in English.
+const CANNED = {
+    en: {
+        help: 'I can help with scrap prices, what we buy, and how pickups work. Ask me about a material like newspaper or copper wire, or use the Scrap Value Calculator for a detailed estimate.',
+        price: ({ material, min, max, per, city }) => `${material} is currently around ₹${min}-${max} per ${per} in ${city}, but prices may vary based on location, quality, and current market rates. The final price is set by the kabaadiwala after weighing.`,
+        quoteIntro: (city) => `Here's a quote from our rate card for ${city}:`,
+        quoteOutro: (note) => `${note} You can book a pickup with the form in [Contact](#contact).`,
+        total: 'Total',
+        items: { newspaper: 'Old Newspapers', bottles: 'Plastic Bottles' },
+        confirm: (name) => `Thank you for your request, ${name}! We've received it and are now connecting you with a verified kabaadiwala in your area. They will call you shortly to confirm the pickup time. Thanks for using Kabaadi and Co!`,
+    },
+    hi: {
+        help: 'मैं कबाड़ के दाम, हम क्या खरीदते हैं और पिकअप कैसे होता है, इसमें मदद कर सकता हूं। अख़बार या तांबे के तार जैसी किसी चीज़ के बारे में पूछें, या पूरे अनुमान के लिए कबाड़ मूल्य कैलकुलेटर इस्तेमाल करें।',
+        price: ({ material, min, max, per, city }) => `${city} में ${material} का दाम अभी लगभग ₹${min}-${max} प्रति ${per} है, लेकिन दाम जगह, गुणवत्ता और बाज़ार भाव के अनुसार बदल सकता है। अंतिम दाम कबाड़ीवाला तौल के बाद तय करता है।`,
+        quoteIntro: (city) => `${city} के लिए हमारी रेट लिस्ट से अनुमान:`,
+        quoteOutro: () => 'अंतिम दाम आपके दरवाज़े पर तौल के बाद तय होता है। आप [संपर्क](#contact) फ़ॉर्म से पिकअप बुक कर सकते हैं।',
+        total: 'कुल',
+        items: { newspaper: 'पुराने अख़बार', bottles: 'प्लास्टिक बोतलें' },
+        confirm: (name) => `धन्यवाद, ${name}! आपका अनुरोध मिल गया है और हम आपको आपके इलाके के एक सत्यापित कबाड़ीवाले से जोड़ रहे हैं। वे पिकअप का समय पक्का करने के लिए जल्द ही आपको फ़ोन करेंगे।`,
+    },
+    mr: {
+        help: 'मी भंगाराचे भाव, आम्ही काय घेतो आणि पिकअप कसा होतो याबद्दल मदत करू शकतो. वर्तमानपत्र किंवा तांब्याची तार अशा वस्तूबद्दल विचारा, किंवा सविस्तर अंदाजासाठी भंगार किंमत कॅल्क्युलेटर वापरा.',
+        price: ({ material, min, max, per, city }) => `${city} मध्ये ${material} चा भाव सध्या सुमारे ₹${min}-${max} प्रति ${per} आहे, पण भाव ठिकाण, गुणवत्ता आणि बाजारभावानुसार बदलू शकतो. अंतिम किंमत भंगारवाला वजन केल्यानंतर ठरवतो.`,
+        quoteIntro: (city) => `${city} साठी आमच्या दरपत्रकावरून अंदाज:`,
+        quoteOutro: () => 'अंतिम किंमत तुमच्या दारात वजन केल्यानंतर ठरते. तुम्ही [संपर्क](#contact) फॉर्मने पिकअप बुक करू शकता.',
+        total: 'एकूण',
+        items: { newspaper: 'जुनी वर्तमानपत्रे', bottles: 'प्लास्टिक बाटल्या' },
+        confirm: (name) => `धन्यवाद, ${name}! तुमची विनंती मिळाली आहे आणि आम्ही तुम्हाला तुमच्या भागातील एका पडताळलेल्या भंगारवाल्याशी जोडत आहोत. पिकअपची वेळ पक्की करण्यासाठी ते लवकरच तुम्हाला फोन करतील.`,
+    },
+};
+
+const canned = (language = DEFAULT_LANGUAGE) => CANNED[language] ?? CANNED[DEFAULT_LANGUAGE];
+
+export const cannedConfirmation = (name, language) => canned(language).confirm(name);
+
+// Answers price questions straight from the rate card; everything else gets a pointer to the tools.
+const ruleBasedReply = (message, language, catalog) => {
+    const text = canned(language);
+    const { city, materials } = pricedMaterials(catalog);
+    const match = materials.find(({ pattern }) => pattern.test(message));
+    if (!match) return text.help;
+    const [unit, rate] = Object.entries(city.rates[match.id])[0];
+    return text.price({ material: match.material.name, min: rate.min, max: rate.max, per: unit === 'pieces' ? 'piece' : unit, city: city.name });
+};
+
+// Picks out phrases like "20 kg newspaper" or "an old laptop" so the offline assistant
+// can still give a basket quote through the chat tools.
+const quantityPattern = (pattern) => new RegExp(String.raw`(\d+(?:\.\d+)?|an?|one)\s*(kgs?|kilos?|pieces?|pcs)?\s*(?:of\s+)?(?:old\s+)?(?:${pattern.source})`, 'i');
+
+const requestedItems = (message, catalog) => {
+    const { city, materials } = pricedMaterials(catalog);
+    return materials.flatMap(({ id, pattern }) => {
+        const match = message.match(quantityPattern(pattern));
+        if (!match) return [];
+        const quantity = /^\d/.test(match[1]) ? Number(match[1]) : 1;
+        const unit = match[2] ? (/^k/i.test(match[2]) ? 'kg' : 'pieces') : Object.keys(city.rates[id])[0];
+        return [{ materialId: id, quantity, unit }];
+    });
+};
+
+const quoteReply = async (message, tools, language, catalog) => {
+    const items = requestedItems(message, catalog);
+    if (!tools || items.length === 0) return null;
+    const { result } = await tools.execute('quote_scrap', { items });
+    if (result.error) return null;
+    const lines = result.items.map((item) => `- ${item.material}, ${item.quantity} ${item.unit}: ₹${item.estimatedValue.min}-${item.estimatedValue.max}`);
+    const text = canned(language);
+    return [text.quoteIntro(result.city), ...lines, `**${text.total}: ₹${result.total.min}-${result.total.max}**`, '', text.quoteOutro(result.note)].join('\n');
+};
+
+// Canned and rule-based responses so the whole app keeps working offline and without
+// a Gemini key. Also used as the fallback when Gemini returns something unusable.
+export const createMockProvider = () => ({
+    name: 'mock',
+
+    async chat({ message, language, catalog }) {
+        await delay(800);
+        return ruleBasedReply(message, language, catalog);
+    },
+
+    async *chatStream({ message, tools, language, catalog }) {
+        await delay(400);
+        const reply = (await quoteReply(message, tools, language, catalog)) ?? ruleBasedReply(message, language, catalog);
+        for (const word of reply.split(/(?<=\s)/)) {
+            await delay(30);
+            yield word;
+        }
+    },
+
+    async identify({ language } = {}) {
+        await delay(1500);
+        const { newspaper, bottles } = canned(language).items;
+        return {
+            items: [
+                {
+                    itemName: newspaper,
+                    category: 'paper',
+                    recyclable: true,
+                    materialId: 'newspaper',
+                    estimatedQuantity: 5,
+                    unit: 'kg',
+                    estimatedPrice: '₹12-15 per kg'
+                },
+                {
+                    itemName: bottles,
+                    category: 'plastics',
+                    recyclable: true,
+                    materialId: 'pet-bottles',
+                    estimatedQuantity: 12,
+                    unit: 'pieces',
+                    estimatedPrice: '₹0.30-0.50 per piece'
+                },
+            ],
+        };
+    },
+
+    async confirm({ name, language }) {
+        return cannedConfirmation(name, language);
+    },
+});
@@ -0,0 +1,57 @@
+import { InvalidResponseError, isTransientError } from '../../shared/errors.js';
+import { withRetry } from '../../shared/retry.js';
+
+// Wraps a provider so every call is retried with backoff on transient failures,
+// and an unusable model response is replaced by the fallback provider's answer.
+// Identify results that came from the fallback are flagged so the UI can say so.
+export const withResilience = (provider, fallback, { classifyError = (error) => error, retry } = {}) => {
+    const wrap = (method) => async (args) => {
+        try {
+            return await withRetry(async () => {
+                try {
+                    return await provider[method](args);
+                } catch (error) {
+                    throw classifyError(error);
+                }
+            }, { shouldRetry: isTransientError, ...retry });
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.warn(`Invalid ${method} response from ${provider.name}, using ${fallback.name} instead:`, error.cause?.message);
+            const result = await fallback[method](args);
+            return typeof result === 'object' ? { ...result, fallback: true } : result;
+        }
+    };
+
+    // A stream can only be retried or replaced until its first chunk has been passed on.
+    const wrapStream = (method) => async function* (args) {
+        let opened;
+        try {
+            opened = await withRetry(async () => {
+                try {
+                    const stream = provider[method](args);
+                    return { stream, first: await stream.next() };
+                } catch (error) {
+                    throw classifyError(error);
+                }
+            }, { shouldRetry: isTransientError, ...retry });
+        } catch (error) {
+            if (!(error instanceof InvalidResponseError)) throw error;
+            console.warn(`Invalid ${method} response from ${provider.name}, using ${fallback.name} instead:`, error.cause?.message);
+            yield* fallback[method](args);
+            return;
+        }
+        try {
+            for (let chunk = opened.first; !chunk.done; chunk = await opened.stream.next()) yield chunk.value;
+        } catch (error) {
+            throw classifyError(error);
+        }
+    };
+
+    return {
+        name: provider.name,
+        chat: wrap('chat'),
+        chatStream: wrapStream('chatStream'),
+        identify: wrap('identify'),
+        confirm: wrap('confirm'),
+    };
+};
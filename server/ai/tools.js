@@ -0,0 +1,86 @@
+import { estimateBasket } from '../../shared/estimate.js';
+import { PricingError } from '../../shared/pricing.js';
+import { bookingCounter, checkPickupRequest } from '../bookings.js';
+import { HttpError } from '../errors.js';
+import { isValidPincode } from '../serviceAreas.js';
+
+const longDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' });
+
+// Functions the chat assistant can call. Each returns `result` for the model and,
+// optionally, an `event` for the browser. Nothing here books a pickup: the booking
+// tool only checks the details and asks the customer to confirm in the chat window,
+// which then goes through the normal pickup form endpoint.
+export const createChatTools = ({ store, scheduler, catalog }) => {
+    const handlers = {
+        async quote_scrap({ items, city }) {
+            try {
+                const estimate = estimateBasket({ items, city: city || undefined, catalog: await catalog.current() });
+                return {
+                    result: {
+                        city: estimate.cityName,
+                        items: estimate.items.map(({ material, quantity, unit, estimatedValue }) => ({ material, quantity, unit, estimatedValue })),
+                        total: estimate.total,
+                        note: estimate.disclaimer,
+                    },
+                };
+            } catch (error) {
+                if (!(error instanceof PricingError)) throw error;
+                return { result: { error: error.message } };
+            }
+        },
+
+        async check_service_area({ pincode }) {
+            if (!isValidPincode(pincode)) return { result: { error: 'Ask the customer for their 6-digit pincode.' } };
+            const area = scheduler.findArea(pincode);
+            if (!area) return { result: { served: false, message: `We don't collect from pincode ${pincode} yet.` } };
+            const bookedCount = bookingCounter(await store.all('pickups'), area.id);
+            const days = scheduler.availability(area, bookedCount)
+                .map((day) => ({ date: day.date, day: longDay(day.date), slots: day.slots.filter((slot) => slot.available).map(({ id, label }) => ({ id, label })) }))
+                .filter((day) => day.slots.length > 0);
+            return { result: { served: true, area: area.name, city: area.city, availableDays: days } };
+        },
+
+        async propose_pickup(args) {
+            const request = {
+                name: args.name,
+                phone: args.phone,
+                address: args.address,
+                pincode: args.pincode,
+                date: args.date,
+                slotId: args.slotId,
+                message: args.notes ?? '',
+                ...(args.items?.length && { items: args.items }),
+            };
+            try {
+                const { value, area, slot } = checkPickupRequest(scheduler, { ...request, city: scheduler.findArea(args.pincode)?.city }, await catalog.current());
+                const booking = {
+                    request: { ...request, city: area.city },
+                    areaName: area.name,
+                    day: longDay(value.date),
+                    slotLabel: slot.label,
+                    estimate: value.estimate ?? null,
+                };
+                return {
+                    result: { status: 'awaiting_customer_confirmation', day: booking.day, slot: slot.label, area: area.name, estimatedTotal: value.estimate?.total ?? null },
+                    event: { event: 'booking', data: booking },
+                };
+            } catch (error) {
+                if (!(error instanceof HttpError)) throw error;
+                return { result: { error: error.message, fields: error.details ?? null } };
+            }
+        },
+    };
+
+    return {
+        names: Object.keys(handlers),
+
+        // Tells the model what "Saturday" means.
+        context: () => `Today is ${longDay(scheduler.today())} in India (${scheduler.today()}).`,
+
+        async execute(name, args = {}) {
+            const handler = handlers[name];
+            if (!handler) return { result: { error: `Unknown function ${name}.` } };
+            return handler(args);
+        },
+    };
+};
@@ -0,0 +1,60 @@
+import cors from 'cors';
+import express from 'express';
+import { createAiProvider } from './ai/index.js';
+import { createChatTools } from './ai/tools.js';
+import { createAccountAuth } from './accounts.js';
+import { createAdminAuth } from './admin.js';
+import { createCatalog } from './catalog.js';
+import { createDealerAuth } from './dealers.js';
+import { errorHandler, notFound } from './errors.js';
+import { createAccountRouter } from './routes/account.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createAiRouter } from './routes/ai.js';
+import { createAvailabilityRouter } from './routes/availability.js';
+import { createDealerRouter } from './routes/dealer.js';
+import { createEstimateRouter } from './routes/estimate.js';
+import { createMaterialsRouter } from './routes/materials.js';
+import { createPickupsRouter } from './routes/pickups.js';
+import { createScheduler } from './serviceAreas.js';
+import { createStore } from './store.js';
+
+// TRUST_PROXY is handed to Express's "trust proxy" setting: true, a hop count, or
+// addresses such as "loopback". Unset, req.ip is whoever connected to us directly.
+const trustProxySetting = (value) => {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+export const createApp = ({
+    store = createStore(),
+    ai = createAiProvider(),
+    scheduler = createScheduler(),
+    dealerAuth = createDealerAuth({ store }),
+    catalog = createCatalog({ store }),
+    adminAuth = createAdminAuth({ store }),
+    accountAuth = createAccountAuth({ store }),
+    trustProxy = trustProxySetting(process.env.TRUST_PROXY),
+} = {}) => {
+    const app = express();
+    // Login lockouts are kept per client IP, which behind a proxy is only known from X-Forwarded-For.
+    app.set('trust proxy', trustProxy);
+    app.use(cors());
+    // Photos arrive as base64, so the identifier gets a larger body limit.
+    app.use('/api/identify', express.json({ limit: '8mb' }));
+    app.use(express.json({ limit: '100kb' }));
+
+    app.get('/api/health', (req, res) => res.json({ ok: true }));
+    app.use('/api/materials', createMaterialsRouter({ catalog }));
+    app.use('/api/pickups', createPickupsRouter({ store, scheduler, catalog }));
+    app.use('/api/availability', createAvailabilityRouter({ store, scheduler }));
+    app.use('/api/dealer', createDealerRouter({ store, auth: dealerAuth, catalog }));
+    app.use('/api/account', createAccountRouter({ store, scheduler, auth: accountAuth }));
+    app.use('/api/admin', createAdminRouter({ auth: adminAuth, catalog }));
+    app.use('/api/estimate', createEstimateRouter({ catalog }));
+    app.use('/api', createAiRouter({ ai, catalog, tools: createChatTools({ store, scheduler, catalog }) }));
+
+    app.use('/api', notFound);
+    app.use(errorHandler);
+    return app;
+};
@@ -0,0 +1,201 @@
+import { randomBytes } from 'crypto';
+import { addImpact } from '../shared/impact.js';
+import { isCustomerChangeable, PICKUP_STATUS } from '../shared/pickupStatus.js';
+import { PricingError, quoteBasket } from '../shared/pricing.js';
+import { HttpError } from './errors.js';
+import { isValidPincode } from './serviceAreas.js';
+
+const PHONE_PATTERN = /^(?:\+?91[\s-]?)?[6-9]\d{9}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CLIENT_REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generatePickupId = () => {
+    const bytes = randomBytes(6);
+    return 'KAB-' + Array.from(bytes, (byte) => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+};
+
+const formatDay = (day) => new Date(`${day}T00:00:00Z`).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+export const lastTenDigits = (phone) => String(phone ?? '').replace(/\D/g, '').slice(-10);
+
+export const isValidPhone = (phone) => PHONE_PATTERN.test(String(phone ?? '').replace(/\s+/g, ''));
+
+export const isActiveBooking = (pickup) => pickup.status !== PICKUP_STATUS.CANCELLED;
+
+// Patch that moves a pickup to `status` and records when, for the tracking timeline.
+export const withStatus = (pickup, status, now = new Date()) => ({
+    status,
+    history: [...(pickup.history ?? [{ status: PICKUP_STATUS.REQUESTED, at: pickup.createdAt }]), { status, at: now.toISOString() }],
+});
+
+// What anyone holding the tracking link may see: no phone number or address.
+export const trackingView = ({ phone, address, ...pickup }) => pickup;
+
+// Returns (date, slotId) => number of active pickups already booked in that slot of an area.
+export const bookingCounter = (pickups, areaId) => {
+    const counts = new Map();
+    for (const pickup of pickups) {
+        if (pickup.areaId !== areaId || !isActiveBooking(pickup)) continue;
+        const key = `${pickup.date}|${pickup.slotId}`;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+    }
+    return (date, slotId) => counts.get(`${date}|${slotId}`) ?? 0;
+};
+
+export const validatePickup = (body = {}, catalog) => {
+    const value = {
+        name: cleanString(body.name),
+        phone: cleanString(body.phone).replace(/\s+/g, ''),
+        address: cleanString(body.address),
+        pincode: cleanString(body.pincode),
+        date: cleanString(body.date),
+        slotId: cleanString(body.slotId),
+        message: cleanString(body.message),
+        clientRequestId: cleanString(body.clientRequestId),
+    };
+    const errors = {};
+    if (!value.name) errors.name = 'Name is required.';
+    else if (value.name.length > 100) errors.name = 'Name is too long.';
+    if (!value.phone) errors.phone = 'Phone number is required.';
+    else if (!PHONE_PATTERN.test(value.phone)) errors.phone = 'Please enter a valid 10-digit mobile number.';
+    if (!value.address) errors.address = 'Address is required.';
+    else if (value.address.length > 500) errors.address = 'Address is too long.';
+    if (!isValidPincode(value.pincode)) errors.pincode = 'Please enter a valid 6-digit pincode.';
+    if (!DATE_PATTERN.test(value.date)) errors.date = 'Please pick a pickup date.';
+    if (!value.slotId) errors.slotId = 'Please pick a time slot.';
+    if (value.clientRequestId && !CLIENT_REQUEST_ID_PATTERN.test(value.clientRequestId)) errors.clientRequestId = 'Invalid request id.';
+    const hasBasket = Array.isArray(body.items) && body.items.length > 0;
+    if (!value.message && !hasBasket) errors.message = 'Please list the scrap items you have.';
+    else if (value.message.length > 2000) errors.message = 'Message is too long.';
+    // A basket from the value calculator is re-priced here rather than trusted from the client.
+    if (hasBasket) {
+        try {
+            value.estimate = addImpact(quoteBasket({ items: body.items, city: body.city || undefined, catalog }));
+        } catch (error) {
+            if (!(error instanceof PricingError)) throw error;
+            errors.items = error.message;
+        }
+    }
+    return { value, errors };
+};
+
+const bookableSlot = (scheduler, date, slotId) => {
+    const slot = scheduler.checkBookable(date, slotId);
+    if (!slot) {
+        throw new HttpError(400, 'That time slot can no longer be booked. Please pick another one.', { slotId: 'unavailable' });
+    }
+    return slot;
+};
+
+const findServedArea = (scheduler, pincode) => {
+    const area = scheduler.findArea(pincode);
+    if (!area) {
+        throw new HttpError(400, `Sorry, we don't collect from pincode ${pincode} yet. We're expanding fast, so please check back soon!`, { pincode: 'not_served' });
+    }
+    return area;
+};
+
+// Call inside store.exclusive so the count cannot change before the booking is written.
+const assertSlotHasRoom = async (store, area, date, slot) => {
+    const booked = bookingCounter(await store.all('pickups'), area.id)(date, slot.id);
+    if (booked >= area.slotCapacity) {
+        throw new HttpError(409, `The ${slot.label} slot on ${formatDay(date)} is fully booked in ${area.name}. Please choose another time.`, { slotId: 'full' });
+    }
+};
+
+// Validates a pickup request against the current `catalog` and checks its service
+// area and slot, throwing HttpError for anything the customer needs to fix.
+export const checkPickupRequest = (scheduler, body, catalog) => {
+    const { value, errors } = validatePickup(body, catalog);
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, Object.values(errors)[0], errors);
+    }
+    const area = findServedArea(scheduler, value.pincode);
+    const slot = bookableSlot(scheduler, value.date, value.slotId);
+    return { value, area, slot };
+};
+
+const findByClientRequestId = async (store, clientRequestId) => (
+    clientRequestId ? (await store.all('pickups')).find((pickup) => pickup.clientRequestId === clientRequestId) ?? null : null
+);
+
+// Books a checked request unless its slot is already at capacity. A request sent
+// again with the same clientRequestId, say after a dropped connection, gets the
+// pickup that was already booked for it, even if its slot has since filled or passed.
+export const createPickup = async ({ store, scheduler, catalog }, body = {}) => {
+    const clientRequestId = cleanString(body.clientRequestId);
+    const alreadyBooked = await findByClientRequestId(store, clientRequestId);
+    if (alreadyBooked) return alreadyBooked;
+    const { value, area, slot } = checkPickupRequest(scheduler, body, await catalog.current());
+
+    return store.exclusive(async () => {
+        const booked = await findByClientRequestId(store, value.clientRequestId);
+        if (booked) return booked;
+        await assertSlotHasRoom(store, area, value.date, slot);
+        let id = generatePickupId();
+        while (await store.get('pickups', id)) id = generatePickupId();
+        const createdAt = new Date().toISOString();
+        return store.insert('pickups', {
+            id,
+            ...value,
+            areaId: area.id,
+            slotLabel: slot.label,
+            status: PICKUP_STATUS.REQUESTED,
+            history: [{ status: PICKUP_STATUS.REQUESTED, at: createdAt }],
+            createdAt,
+        });
+    });
+};
+
+// Loads a pickup for a customer change. The booking phone number stands in for a
+// login, since the tracking link itself may have been shared.
+const findOwnPickup = async (store, id, phone) => {
+    const pickup = await store.get('pickups', String(id).toUpperCase());
+    if (!pickup) throw new HttpError(404, 'No pickup found with that ID.');
+    if (!phone || lastTenDigits(phone) !== lastTenDigits(pickup.phone)) {
+        throw new HttpError(403, 'That phone number does not match this pickup.', { phone: 'mismatch' });
+    }
+    if (!isCustomerChangeable(pickup.status)) {
+        throw new HttpError(409, 'This pickup can no longer be changed. Please contact your kabaadiwala directly.', { status: 'locked' });
+    }
+    return pickup;
+};
+
+export const cancelPickup = ({ store }, id, body = {}) => store.exclusive(async () => {
+    const pickup = await findOwnPickup(store, id, body.phone);
+    return store.update('pickups', pickup.id, withStatus(pickup, PICKUP_STATUS.CANCELLED));
+});
+
+// Moves a pickup to another slot. An assigned kabaadiwala may not be free at the
+// new time, so the pickup goes back to the open pool for the area.
+export const reschedulePickup = async ({ store, scheduler }, id, body = {}) => {
+    const date = cleanString(body.date);
+    const slotId = cleanString(body.slotId);
+    if (!DATE_PATTERN.test(date)) throw new HttpError(400, 'Please pick a pickup date.', { date: 'required' });
+    if (!slotId) throw new HttpError(400, 'Please pick a time slot.', { slotId: 'required' });
+    const slot = bookableSlot(scheduler, date, slotId);
+
+    return store.exclusive(async () => {
+        const pickup = await findOwnPickup(store, id, body.phone);
+        if (pickup.date === date && pickup.slotId === slot.id) {
+            throw new HttpError(400, 'Your pickup is already booked for that slot.', { slotId: 'unchanged' });
+        }
+        // The area may have been dropped from the service-area config since booking.
+        const area = findServedArea(scheduler, pickup.pincode);
+        await assertSlotHasRoom(store, area, date, slot);
+        return store.update('pickups', pickup.id, {
+            date,
+            slotId: slot.id,
+            slotLabel: slot.label,
+            ...(pickup.status === PICKUP_STATUS.ASSIGNED && {
+                ...withStatus(pickup, PICKUP_STATUS.REQUESTED),
+                dealerId: null,
+                dealerName: null,
+                assignedAt: null,
+            }),
+        });
+    });
+};
@@ -0,0 +1,104 @@
+import { getRateCard } from '../shared/pricing.js';
+import { DEFAULT_CATALOG } from '../shared/rateCard.js';
+import { HttpError } from './errors.js';
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_ID_LENGTH = 40;
+const MAX_NAME_LENGTH = 60;
+const MAX_RATE = 100000;
+const UNITS = ['kg', 'pieces'];
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toAmount = (value) => (value === '' || value === null ? NaN : Number(value));
+
+// `rates` is { [cityId]: { kg?: { min, max }, pieces?: { min, max } } }; cities and
+// units left out are simply not priced for this material.
+export const validateMaterial = (body = {}, { categories, rateCard }) => {
+    const value = { name: cleanString(body.name), category: cleanString(body.category) };
+    const rates = {};
+    const errors = {};
+    if (!value.name) errors.name = 'Name is required.';
+    else if (value.name.length > MAX_NAME_LENGTH) errors.name = 'Name is too long.';
+    if (!Object.hasOwn(categories, value.category)) errors.category = 'Please choose a category.';
+    for (const [cityId, city] of Object.entries(rateCard.cities)) {
+        for (const unit of UNITS) {
+            const rate = body.rates?.[cityId]?.[unit];
+            if (rate == null) continue;
+            const min = toAmount(rate.min);
+            const max = toAmount(rate.max);
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min || max > MAX_RATE) {
+                errors.rates ??= `${city.name}: enter a lowest and highest price per ${unit === 'kg' ? 'kg' : 'piece'}, lowest first.`;
+                continue;
+            }
+            (rates[cityId] ??= {})[unit] = { min, max };
+        }
+    }
+    if (!errors.rates && Object.keys(rates).length === 0) errors.rates = 'Enter a rate for at least one city.';
+    return { value, rates, errors };
+};
+
+// Materials and rates edited in the admin page, layered over the built-in catalog.
+// A stored material replaces the built-in one with the same id. Rate changes are
+// published as a new rate card effective today rather than edits to the current one,
+// so every estimate can still be traced to the card it was priced from.
+export const createCatalog = ({ store, defaults = DEFAULT_CATALOG }) => {
+    const current = async () => {
+        const materials = await store.all('materials');
+        const rateCards = (await store.all('rateCards')).sort((a, b) => a.publishedAt.localeCompare(b.publishedAt));
+        return {
+            categories: defaults.categories,
+            materials: { ...defaults.materials, ...Object.fromEntries(materials.map(({ id, name, category }) => [id, { name, category }])) },
+            rateCards: [...defaults.rateCards, ...rateCards.map(({ id, ...card }) => card)],
+        };
+    };
+
+    // What the browser needs: every material and the rate card in force on `date`.
+    const view = async (date = new Date()) => {
+        const { categories, materials, rateCards } = await current();
+        return { categories, materials, rateCard: getRateCard(date, rateCards) };
+    };
+
+    const nextVersion = async (day) => {
+        const base = day.replaceAll('-', '.');
+        let version = base;
+        for (let n = 2; await store.get('rateCards', version); n++) version = `${base}-${n}`;
+        return version;
+    };
+
+    // Call inside store.exclusive, so two saves never publish the same rate card version.
+    const writeMaterial = async (id, body, now) => {
+        if (!ID_PATTERN.test(id) || id.length > MAX_ID_LENGTH) {
+            throw new HttpError(400, 'Material ids use lowercase letters, digits and dashes.', { id: 'invalid' });
+        }
+        const { categories, rateCards } = await current();
+        const card = getRateCard(now, rateCards);
+        const { value, rates, errors } = validateMaterial(body, { categories, rateCard: card });
+        if (Object.keys(errors).length > 0) throw new HttpError(400, Object.values(errors)[0], errors);
+
+        const day = now.toISOString().slice(0, 10);
+        const version = await nextVersion(day);
+        const cities = Object.fromEntries(Object.entries(card.cities).map(([cityId, city]) => {
+            const { [id]: previous, ...others } = city.rates;
+            return [cityId, { ...city, rates: rates[cityId] ? { ...others, [id]: rates[cityId] } : others }];
+        }));
+        await store.insert('materials', { id, ...value, updatedAt: now.toISOString() });
+        await store.insert('rateCards', { id: version, version, effectiveFrom: day, publishedAt: now.toISOString(), cities });
+        return view(now);
+    };
+
+    return {
+        current,
+        view,
+
+        // Adds a material, refusing an id that is already taken so nothing is overwritten by accident.
+        addMaterial: (id, body, now = new Date()) => store.exclusive(async () => {
+            if (Object.hasOwn((await current()).materials, id)) {
+                throw new HttpError(409, `There is already a material with the id "${id}". Edit it instead.`, { id: 'taken' });
+            }
+            return writeMaterial(id, body, now);
+        }),
+
+        saveMaterial: (id, body, now = new Date()) => store.exclusive(() => writeMaterial(id, body, now)),
+    };
+};
@@ -0,0 +1,79 @@
+import { randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { HttpError } from './errors.js';
+
+const DEFAULT_CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'dealers.json');
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+export const loadDealers = (filePath = process.env.DEALERS_FILE || DEFAULT_CONFIG_FILE) => (
+    JSON.parse(readFileSync(filePath, 'utf8')).dealers
+);
+
+export const hashPin = (pin) => {
+    const salt = randomBytes(16).toString('hex');
+    return `scrypt$${salt}$${scryptSync(String(pin), salt, 32).toString('hex')}`;
+};
+
+export const verifyPin = (pin, pinHash) => {
+    const [scheme, salt, expected] = String(pinHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !expected) return false;
+    const actual = scryptSync(String(pin), salt, 32);
+    const expectedBytes = Buffer.from(expected, 'hex');
+    return expectedBytes.length === actual.length && timingSafeEqual(actual, expectedBytes);
+};
+
+export const publicDealer = ({ id, name, phone, areaIds }) => ({ id, name, phone, areaIds });
+
+// PIN login for kabaadiwalas. Sessions are opaque bearer tokens kept in the store,
+// so they survive a server restart. Failed attempts are rate-limited per client IP
+// and phone, so a stranger who knows a kabaadiwala's number cannot lock them out.
+// Lapsed lockouts and sessions are cleared out at each login.
+export const createDealerAuth = ({ store, dealers = loadDealers() }) => {
+    const failedLogins = new Map();
+
+    return {
+        async login(phone, pin, ip = '') {
+            const now = Date.now();
+            for (const [key, attempts] of failedLogins) {
+                if (now - attempts.since >= LOCKOUT_MS) failedLogins.delete(key);
+            }
+            const dealerPhone = String(phone ?? '').replace(/\D/g, '').slice(-10);
+            const key = `${ip} ${dealerPhone}`;
+            const attempts = failedLogins.get(key);
+            if (attempts && attempts.count >= MAX_FAILED_LOGINS) {
+                throw new HttpError(429, 'Too many wrong PINs. Please wait 15 minutes and try again.');
+            }
+            const dealer = dealers.find((candidate) => candidate.phone === dealerPhone);
+            if (!dealer || !verifyPin(pin, dealer.pinHash)) {
+                failedLogins.set(key, { count: (attempts?.count ?? 0) + 1, since: attempts?.since ?? now });
+                throw new HttpError(401, 'Wrong phone number or PIN.');
+            }
+            failedLogins.delete(key);
+            await store.removeWhere('dealerSessions', (session) => session.expiresAt <= now);
+            const token = randomBytes(32).toString('hex');
+            await store.insert('dealerSessions', { id: token, dealerId: dealer.id, expiresAt: now + SESSION_TTL_MS });
+            return { token, dealer: publicDealer(dealer) };
+        },
+
+        async logout(token) {
+            await store.remove('dealerSessions', token);
+        },
+
+        // Express middleware: sets req.dealer or rejects with 401.
+        requireDealer: async (req, res, next) => {
+            const token = (req.get('Authorization') ?? '').replace(/^Bearer\s+/i, '');
+            const session = token ? await store.get('dealerSessions', token) : null;
+            const live = session && session.expiresAt > Date.now();
+            if (session && !live) await store.remove('dealerSessions', token);
+            const dealer = live && dealers.find((candidate) => candidate.id === session.dealerId);
+            if (!dealer) throw new HttpError(401, 'Please log in again.');
+            req.dealer = dealer;
+            req.dealerToken = token;
+            next();
+        },
+    };
+};
@@ -0,0 +1,32 @@
+import { AiError } from '../shared/errors.js';
+
+export class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+export const notFound = (req, res) => {
+    res.status(404).json({ error: 'Not found.' });
+};
+
+export const errorHandler = (err, req, res, next) => {
+    if (err instanceof HttpError) {
+        res.status(err.status).json({ error: err.message, ...(err.details && { details: err.details }) });
+        return;
+    }
+    if (err instanceof AiError) {
+        console.error(`${err.name}:`, err.cause ?? err.message);
+        res.status(err.status).json({ error: err.message, code: err.code });
+        return;
+    }
+    if (err.type === 'entity.parse.failed') {
+        res.status(400).json({ error: 'Request body is not valid JSON.' });
+        return;
+    }
+    console.error('Unhandled server error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+};
@@ -0,0 +1,8 @@
+import 'dotenv/config';
+import { createApp } from './app.js';
+
+const port = Number(process.env.PORT) || 3001;
+
+createApp().listen(port, () => {
+    console.log(`Kabaadi API listening on http://localhost:${port}`);
+});
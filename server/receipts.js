@@ -0,0 +1,64 @@
+import { itemImpact, sumImpacts } from '../shared/impact.js';
+import { HttpError } from './errors.js';
+
+const MAX_RECEIPT_LINES = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Checks the kabaadiwala's lines against the current `materials`, naming each one as it stands today.
+export const validateWeighedItems = (items, materials) => {
+    if (!Array.isArray(items) || items.length === 0) throw new HttpError(400, 'Record at least one weighed item.');
+    if (items.length > MAX_RECEIPT_LINES) throw new HttpError(400, `A receipt can have up to ${MAX_RECEIPT_LINES} lines.`);
+    return items.map((item, index) => {
+        const line = `Line ${index + 1}`;
+        if (!Object.hasOwn(materials, item?.materialId ?? '')) throw new HttpError(400, `${line}: please choose a material.`);
+        if (item.unit !== 'kg' && item.unit !== 'pieces') throw new HttpError(400, `${line}: unit must be kg or pieces.`);
+        const quantity = Number(item.quantity);
+        const amountPaid = Number(item.amountPaid);
+        if (!Number.isFinite(quantity) || quantity <= 0) throw new HttpError(400, `${line}: enter the weight or count.`);
+        if (!Number.isFinite(amountPaid) || amountPaid < 0) throw new HttpError(400, `${line}: enter the amount paid.`);
+        return { materialId: item.materialId, material: materials[item.materialId].name, unit: item.unit, quantity: round2(quantity), amountPaid: round2(amountPaid) };
+    });
+};
+
+// Lines up what was actually weighed and paid against the calculator estimate the
+// customer booked with, material by material. Estimated lines that were not
+// collected stay on the receipt with a zero quantity so nothing silently disappears.
+export const buildReceipt = (pickup, weighedItems, dealer, now = new Date()) => {
+    const estimateLines = pickup.estimate?.items ?? [];
+    const lines = weighedItems.map((item) => {
+        const estimated = estimateLines.find((line) => line.materialId === item.materialId && line.unit === item.unit);
+        return {
+            materialId: item.materialId,
+            material: item.material,
+            unit: item.unit,
+            quantity: item.quantity,
+            amountPaid: item.amountPaid,
+            estimatedQuantity: estimated?.quantity ?? null,
+            estimatedValue: estimated?.estimatedValue ?? null,
+            impact: itemImpact(item),
+        };
+    });
+    for (const estimated of estimateLines) {
+        if (lines.some((line) => line.materialId === estimated.materialId && line.unit === estimated.unit)) continue;
+        lines.push({
+            materialId: estimated.materialId,
+            material: estimated.material,
+            unit: estimated.unit,
+            quantity: 0,
+            amountPaid: 0,
+            estimatedQuantity: estimated.quantity,
+            estimatedValue: estimated.estimatedValue,
+            impact: itemImpact({ ...estimated, quantity: 0 }),
+        });
+    }
+
+    return {
+        lines,
+        totalPaid: round2(lines.reduce((total, line) => total + line.amountPaid, 0)),
+        estimatedTotal: pickup.estimate?.total ?? null,
+        impact: sumImpacts(lines.map((line) => line.impact)),
+        dealer: { id: dealer.id, name: dealer.name },
+        completedAt: now.toISOString(),
+    };
+};
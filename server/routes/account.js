@@ -0,0 +1,41 @@
+import { Router } from 'express';
+import { statementCsv, statementPdf } from '../statement.js';
+import { buildWallet } from '../wallet.js';
+
+export const createAccountRouter = ({ store, scheduler, auth }) => {
+    const router = Router();
+
+    const walletFor = async (account) => buildWallet(await store.all('pickups'), account, { today: (date) => scheduler.today(date) });
+
+    router.post('/otp', async (req, res) => {
+        res.json(await auth.requestCode(req.body.phone));
+    });
+
+    router.post('/verify', async (req, res) => {
+        const { phone, code } = req.body;
+        res.json(await auth.verifyCode(phone, code));
+    });
+
+    router.use(auth.requireAccount);
+
+    router.post('/logout', async (req, res) => {
+        await auth.logout(req.accountToken);
+        res.json({ ok: true });
+    });
+
+    router.get('/wallet', async (req, res) => {
+        res.json(await walletFor(req.account));
+    });
+
+    router.get('/statement.csv', async (req, res) => {
+        const csv = statementCsv(await walletFor(req.account));
+        res.attachment(`recyclink-statement-${scheduler.today()}.csv`).type('text/csv; charset=utf-8').send(csv);
+    });
+
+    router.get('/statement.pdf', async (req, res) => {
+        const today = scheduler.today();
+        res.attachment(`recyclink-statement-${today}.pdf`).type('application/pdf').send(statementPdf(await walletFor(req.account), today));
+    });
+
+    return router;
+};
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+
+export const createAdminRouter = ({ auth, catalog }) => {
+    const router = Router();
+
+    router.post('/login', async (req, res) => {
+        res.json(await auth.login(req.body.password, req.ip));
+    });
+
+    router.use(auth.requireAdmin);
+
+    router.post('/logout', async (req, res) => {
+        await auth.logout(req.adminToken);
+        res.json({ ok: true });
+    });
+
+    router.get('/catalog', async (req, res) => {
+        res.json(await catalog.view());
+    });
+
+    // Both publish the material's rates as a new rate card. Adding refuses an id that is
+    // already taken; saving adds the material if the id is new.
+    router.post('/materials', async (req, res) => {
+        const { id, ...material } = req.body;
+        res.status(201).json(await catalog.addMaterial(typeof id === 'string' ? id.trim() : '', material));
+    });
+
+    router.put('/materials/:id', async (req, res) => {
+        res.json(await catalog.saveMaterial(req.params.id, req.body));
+    });
+
+    return router;
+};
@@ -0,0 +1,126 @@
+import { Router } from 'express';
+import { trimChatHistory } from '../../shared/chat.js';
+import { AiError, InvalidImageError } from '../../shared/errors.js';
+import { resolveLanguage } from '../../shared/languages.js';
+import { getRateCard, PricingError, quoteScrap } from '../../shared/pricing.js';
+import { cannedConfirmation } from '../ai/mock.js';
+import { HttpError } from '../errors.js';
+
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const MAX_IMAGES = 4;
+const MAX_MESSAGE_LENGTH = 1000;
+
+const cleanHistory = (history) => {
+    if (!Array.isArray(history)) return [];
+    return trimChatHistory(history
+        .filter((turn) => (turn?.role === 'user' || turn?.role === 'model') && typeof turn.text === 'string')
+        .map(({ role, text }) => ({ role, text })));
+};
+
+const chatRequest = (body) => {
+    const message = typeof body.message === 'string' ? body.message.trim() : '';
+    if (!message) throw new HttpError(400, 'Message is required.');
+    if (message.length > MAX_MESSAGE_LENGTH) throw new HttpError(400, 'Message is too long.');
+    return { message, history: cleanHistory(body.history), language: resolveLanguage(body.language) };
+};
+
+// The category comes from the catalog: the material's own if the model matched one,
+// otherwise the category the model picked, if it is one of ours.
+const categorize = (item, { categories, materials }) => {
+    const material = Object.hasOwn(materials, item.materialId ?? '') ? materials[item.materialId] : null;
+    const categoryId = material?.category ?? (Object.hasOwn(categories, item.category) ? item.category : null);
+    return { ...item, materialId: material ? item.materialId : null, categoryId, category: categoryId ? categories[categoryId].name : 'Other' };
+};
+
+// Prices come from our rate card for the customer's city whenever the model maps an
+// item to a known material; its own estimatedPrice string is only kept for things we
+// have no rate for.
+const priceDetectedItem = (detected, catalog, city) => {
+    const item = categorize(detected, catalog);
+    if (!item.materialId) return item;
+    try {
+        const quote = quoteScrap({ materialId: item.materialId, quantity: Number(item.estimatedQuantity), unit: item.unit, city, catalog });
+        return {
+            ...item,
+            rate: quote.rate,
+            estimatedValue: quote.estimatedValue,
+            estimatedPrice: `₹${quote.rate.min}-${quote.rate.max} per ${quote.rate.per}`,
+        };
+    } catch (error) {
+        if (!(error instanceof PricingError)) throw error;
+        return item;
+    }
+};
+
+export const createAiRouter = ({ ai, catalog, tools }) => {
+    const router = Router();
+
+    router.post('/chat', async (req, res) => {
+        const reply = await ai.chat({ ...chatRequest(req.body), catalog: await catalog.current() });
+        res.json({ reply });
+    });
+
+    // Streams the reply as server-sent events: `delta` events carrying text, any
+    // events raised by the chat tools (such as `booking`), then `done`, or `error`
+    // if the model fails part-way. Failures before the first chunk are ordinary
+    // JSON error responses.
+    router.post('/chat/stream', async (req, res) => {
+        const stream = ai.chatStream({ ...chatRequest(req.body), catalog: await catalog.current(), tools });
+        let chunk = await stream.next();
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+        res.flushHeaders();
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        try {
+            for (; !chunk.done; chunk = await stream.next()) {
+                if (closed) {
+                    await stream.return();
+                    return;
+                }
+                if (typeof chunk.value === 'string') send('delta', { text: chunk.value });
+                else send(chunk.value.event, chunk.value.data);
+            }
+            send('done', {});
+        } catch (error) {
+            console.error('Chat stream failed:', error);
+            const aiError = error instanceof AiError ? error : new AiError();
+            send('error', { error: aiError.message, code: aiError.code });
+        }
+        res.end();
+    });
+
+    router.post('/identify', async (req, res) => {
+        const { images } = req.body;
+        if (!Array.isArray(images) || images.length === 0) throw new HttpError(400, 'Please upload a photo first.');
+        if (images.length > MAX_IMAGES) throw new HttpError(400, `Please upload at most ${MAX_IMAGES} photos at a time.`);
+        if (images.some((image) => typeof image?.data !== 'string' || !image.data || !IMAGE_MIME_TYPES.includes(image.mimeType))) {
+            throw new InvalidImageError();
+        }
+        const current = await catalog.current();
+        const city = typeof req.body.city === 'string' && req.body.city ? req.body.city : undefined;
+        if (city && !Object.hasOwn(getRateCard(undefined, current.rateCards).cities, city)) {
+            throw new HttpError(400, 'We do not have rates for that city yet.');
+        }
+        const result = await ai.identify({
+            images: images.map(({ data, mimeType }) => ({ data, mimeType })),
+            language: resolveLanguage(req.body.language),
+            catalog: current,
+        });
+        res.json({ ...result, items: result.items.map((item) => priceDetectedItem(item, current, city)) });
+    });
+
+    router.post('/confirm', async (req, res) => {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+        if (!name) throw new HttpError(400, 'Name is required.');
+        const language = resolveLanguage(req.body.language);
+        try {
+            res.json({ message: await ai.confirm({ name, language }) });
+        } catch (error) {
+            console.error("Error generating contact response from Gemini:", error);
+            res.json({ message: cannedConfirmation(name, language) });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { bookingCounter } from '../bookings.js';
+import { HttpError } from '../errors.js';
+import { isValidPincode } from '../serviceAreas.js';
+
+export const createAvailabilityRouter = ({ store, scheduler }) => {
+    const router = Router();
+
+    router.get('/', async (req, res) => {
+        const pincode = String(req.query.pincode ?? '').trim();
+        if (!isValidPincode(pincode)) throw new HttpError(400, 'Please enter a valid 6-digit pincode.');
+        const area = scheduler.findArea(pincode);
+        if (!area) {
+            res.json({ served: false, message: `Sorry, we don't collect from pincode ${pincode} yet. We're expanding fast, so please check back soon!` });
+            return;
+        }
+        const bookedCount = bookingCounter(await store.all('pickups'), area.id);
+        res.json({
+            served: true,
+            area: { id: area.id, name: area.name, city: area.city },
+            days: scheduler.availability(area, bookedCount),
+        });
+    });
+
+    return router;
+};
@@ -0,0 +1,90 @@
+import { Router } from 'express';
+import { PICKUP_STATUS } from '../../shared/pickupStatus.js';
+import { withStatus } from '../bookings.js';
+import { HttpError } from '../errors.js';
+import { buildReceipt, validateWeighedItems } from '../receipts.js';
+import { publicDealer } from '../dealers.js';
+
+// Dealers only see a customer's name, phone and address once they own the pickup.
+const dealerView = (pickup, dealer) => {
+    const { name, phone, address, ...rest } = pickup;
+    return pickup.dealerId === dealer.id ? pickup : rest;
+};
+
+export const createDealerRouter = ({ store, auth, catalog }) => {
+    const router = Router();
+
+    // Moves a pickup from one status to the next, as long as this dealer may.
+    const transition = (req, from, patch) => store.exclusive(async () => {
+        const pickup = await store.get('pickups', req.params.id.toUpperCase());
+        if (!pickup || !req.dealer.areaIds.includes(pickup.areaId)) throw new HttpError(404, 'No pickup found with that ID.');
+        if (pickup.dealerId && pickup.dealerId !== req.dealer.id) throw new HttpError(409, 'Another kabaadiwala has already accepted this pickup.');
+        if (!from.includes(pickup.status)) throw new HttpError(409, 'This pickup has moved on since you last refreshed. Please refresh.');
+        const { status, ...changes } = typeof patch === 'function' ? patch(pickup) : patch;
+        return store.update('pickups', pickup.id, { ...changes, ...withStatus(pickup, status) });
+    });
+
+    router.post('/login', async (req, res) => {
+        const { phone, pin } = req.body;
+        res.json(await auth.login(phone, pin, req.ip));
+    });
+
+    router.use(auth.requireDealer);
+
+    router.get('/me', (req, res) => res.json(publicDealer(req.dealer)));
+
+    router.post('/logout', async (req, res) => {
+        await auth.logout(req.dealerToken);
+        res.json({ ok: true });
+    });
+
+    router.get('/pickups', async (req, res) => {
+        const pickups = (await store.all('pickups'))
+            .filter((pickup) => (
+                (pickup.status === PICKUP_STATUS.REQUESTED && req.dealer.areaIds.includes(pickup.areaId))
+                || pickup.dealerId === req.dealer.id
+            ))
+            .sort((a, b) => `${a.date}${a.slotId}`.localeCompare(`${b.date}${b.slotId}`));
+        res.json({ pickups: pickups.map((pickup) => dealerView(pickup, req.dealer)) });
+    });
+
+    router.post('/pickups/:id/accept', async (req, res) => {
+        const pickup = await transition(req, [PICKUP_STATUS.REQUESTED], {
+            status: PICKUP_STATUS.ASSIGNED,
+            dealerId: req.dealer.id,
+            dealerName: req.dealer.name,
+            assignedAt: new Date().toISOString(),
+        });
+        res.json(pickup);
+    });
+
+    router.post('/pickups/:id/en-route', async (req, res) => {
+        const pickup = await transition(req, [PICKUP_STATUS.ASSIGNED], {
+            status: PICKUP_STATUS.EN_ROUTE,
+            enRouteAt: new Date().toISOString(),
+        });
+        res.json(pickup);
+    });
+
+    router.post('/pickups/:id/arrived', async (req, res) => {
+        const pickup = await transition(req, [PICKUP_STATUS.ASSIGNED, PICKUP_STATUS.EN_ROUTE], { status: PICKUP_STATUS.ARRIVED });
+        res.json(pickup);
+    });
+
+    router.post('/pickups/:id/complete', async (req, res) => {
+        const items = validateWeighedItems(req.body.items, (await catalog.current()).materials);
+        const pickup = await transition(req, [PICKUP_STATUS.ASSIGNED, PICKUP_STATUS.EN_ROUTE, PICKUP_STATUS.ARRIVED], (current) => {
+            const receipt = buildReceipt(current, items, req.dealer);
+            return { status: PICKUP_STATUS.PAID, receipt };
+        });
+        res.json(pickup);
+    });
+
+    // Scrap has been handed on to the recycler.
+    router.post('/pickups/:id/recycled', async (req, res) => {
+        const pickup = await transition(req, [PICKUP_STATUS.PAID], { status: PICKUP_STATUS.RECYCLED });
+        res.json(pickup);
+    });
+
+    return router;
+};
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { estimateBasket } from '../../shared/estimate.js';
+import { PricingError } from '../../shared/pricing.js';
+import { HttpError } from '../errors.js';
+
+export const createEstimateRouter = ({ catalog }) => {
+    const router = Router();
+
+    router.post('/', async (req, res) => {
+        const { items, city } = req.body;
+        const current = await catalog.current();
+        try {
+            res.json(estimateBasket({ items, city, catalog: current }));
+        } catch (error) {
+            if (error instanceof PricingError) throw new HttpError(400, error.message);
+            throw error;
+        }
+    });
+
+    return router;
+};
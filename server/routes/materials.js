@@ -0,0 +1,13 @@
+import { Router } from 'express';
+
+// The one material catalog behind the services grid, the calculator, the identifier
+// and the chat assistant.
+export const createMaterialsRouter = ({ catalog }) => {
+    const router = Router();
+
+    router.get('/', async (req, res) => {
+        res.json(await catalog.view());
+    });
+
+    return router;
+};
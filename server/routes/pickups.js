@@ -0,0 +1,30 @@
+import { Router } from 'express';
+import { cancelPickup, createPickup, reschedulePickup, trackingView } from '../bookings.js';
+import { HttpError } from '../errors.js';
+
+export const createPickupsRouter = ({ store, scheduler, catalog }) => {
+    const router = Router();
+
+    router.post('/', async (req, res) => {
+        const pickup = await createPickup({ store, scheduler, catalog }, req.body);
+        res.status(201).json(pickup);
+    });
+
+    router.get('/:id', async (req, res) => {
+        const pickup = await store.get('pickups', req.params.id.toUpperCase());
+        if (!pickup) throw new HttpError(404, 'No pickup found with that ID.');
+        res.json(trackingView(pickup));
+    });
+
+    router.post('/:id/cancel', async (req, res) => {
+        const pickup = await cancelPickup({ store }, req.params.id, req.body);
+        res.json(trackingView(pickup));
+    });
+
+    router.post('/:id/reschedule', async (req, res) => {
+        const pickup = await reschedulePickup({ store, scheduler }, req.params.id, req.body);
+        res.json(trackingView(pickup));
+    });
+
+    return router;
+};
@@ -0,0 +1,10 @@
+// Prints the pinHash for a dealer PIN, for pasting into server/config/dealers.json:
+//   node server/scripts/hashPin.js 4821
+import { hashPin } from '../dealers.js';
+
+const pin = process.argv[2];
+if (!/^\d{4,6}$/.test(pin ?? '')) {
+    console.error('Usage: node server/scripts/hashPin.js <4-6 digit PIN>');
+    process.exit(1);
+}
+console.log(hashPin(pin));
@@ -0,0 +1,72 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CONFIG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'config', 'service-areas.json');
+
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const loadServiceAreaConfig = (filePath = process.env.SERVICE_AREAS_FILE || DEFAULT_CONFIG_FILE) => (
+    JSON.parse(readFileSync(filePath, 'utf8'))
+);
+
+export const isValidPincode = (pincode) => PINCODE_PATTERN.test(String(pincode ?? ''));
+
+// Which service area (if any) a pincode falls into, and which slots are bookable there.
+export const createScheduler = (config = loadServiceAreaConfig()) => {
+    const localParts = (date) => {
+        const parts = new Intl.DateTimeFormat('en-CA', {
+            timeZone: config.timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23',
+        }).formatToParts(date);
+        const get = (type) => parts.find((part) => part.type === type).value;
+        return { day: `${get('year')}-${get('month')}-${get('day')}`, hour: Number(get('hour')) };
+    };
+
+    const bookableDays = (now) => {
+        const first = new Date(`${localParts(now).day}T00:00:00Z`);
+        return Array.from({ length: config.bookingWindowDays }, (_, index) => new Date(first.getTime() + index * DAY_MS).toISOString().slice(0, 10));
+    };
+
+    const isSlotInFuture = (day, slot, now) => {
+        const local = localParts(now);
+        if (day !== local.day) return day > local.day;
+        return slot.startHour >= local.hour + config.minLeadHours;
+    };
+
+    return {
+        slots: config.slots,
+        timeZone: config.timeZone,
+
+        // The current date in the service areas' time zone, as YYYY-MM-DD.
+        today(now = new Date()) {
+            return localParts(now).day;
+        },
+
+        findArea(pincode) {
+            if (!isValidPincode(pincode)) return null;
+            return config.areas.find((area) => area.pincodePrefixes.some((prefix) => String(pincode).startsWith(prefix))) ?? null;
+        },
+
+        findSlot(slotId) {
+            return config.slots.find((slot) => slot.id === slotId) ?? null;
+        },
+
+        // Null when the day/slot is outside the booking window or already too close to book.
+        checkBookable(day, slotId, now = new Date()) {
+            const slot = this.findSlot(slotId);
+            if (!slot || !bookableDays(now).includes(day) || !isSlotInFuture(day, slot, now)) return null;
+            return slot;
+        },
+
+        availability(area, bookedCount, now = new Date()) {
+            return bookableDays(now).map((day) => ({
+                date: day,
+                slots: config.slots.map((slot) => {
+                    const remaining = isSlotInFuture(day, slot, now) ? Math.max(0, area.slotCapacity - bookedCount(day, slot.id)) : 0;
+                    return { id: slot.id, label: slot.label, remaining, available: remaining > 0 };
+                }),
+            }));
+        },
+    };
+};
@@ -0,0 +1,132 @@
+import { IMPACT_METRICS } from '../shared/impact.js';
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const ROW_HEIGHT = 16;
+const ITEMS_MAX_CHARS = 34;
+const COLUMNS = [
+    { x: MARGIN, title: 'Date' },
+    { x: 115, title: 'Pickup' },
+    { x: 190, title: 'Collected by' },
+    { x: 290, title: 'Items' },
+    { x: 470, title: 'Paid' },
+    { x: 530, title: 'CO2e kg' },
+];
+
+const formatAmount = (amount) => amount.toLocaleString('en-IN', { maximumFractionDigits: 2 });
+
+const itemsText = (entry) => entry.items.map((item) => `${item.material} ${item.quantity} ${item.unit}`).join(', ');
+
+// Spreadsheets run cells that start with = + - or @ as formulas; a leading quote stops that.
+const csvCell = (value) => {
+    const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const csvRow = (cells) => cells.map(csvCell).join(',');
+
+// One row per pickup and a totals row. The byte-order mark makes Excel read it as UTF-8.
+export const statementCsv = (wallet) => {
+    const rows = [
+        ['Completed on', 'Pickup ID', 'Collected by', 'Items', 'Amount paid (INR)', ...IMPACT_METRICS.map(({ label, unit }) => `${label} (${unit})`)],
+        ...wallet.pickups.map((entry) => [
+            entry.completedOn, entry.id, entry.dealerName, itemsText(entry), entry.totalPaid, ...IMPACT_METRICS.map(({ key }) => entry.impact[key]),
+        ]),
+        ['Total', '', '', wallet.totals.pickups === 1 ? '1 pickup' : `${wallet.totals.pickups} pickups`, wallet.totals.earned, ...IMPACT_METRICS.map(({ key }) => wallet.totals.impact[key])],
+    ];
+    return `\uFEFF${rows.map(csvRow).join('\r\n')}\r\n`;
+};
+
+// The standard PDF fonts only cover Latin-1, so ₹ and CO₂ are spelled out and
+// anything else outside plain ASCII is replaced.
+const pdfString = (value) => `(${String(value)
+    .replaceAll('₹', 'Rs. ')
+    .replaceAll('₂', '2')
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/[\\()]/g, '\\$&')})`;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+// Lays the statement out as pages of positioned text runs.
+const layout = (wallet, generatedOn) => {
+    const pages = [];
+    let page;
+    let y;
+    const newPage = () => {
+        page = [];
+        pages.push(page);
+        y = PAGE_HEIGHT - MARGIN;
+    };
+    const text = (x, value, { size = 10, bold = false } = {}) => page.push({ x, y, value, size, bold });
+    const nextLine = (height = ROW_HEIGHT) => {
+        y -= height;
+    };
+    const tableHeader = () => {
+        COLUMNS.forEach((column) => text(column.x, column.title, { size: 9, bold: true }));
+        nextLine();
+    };
+
+    newPage();
+    text(MARGIN, 'Recyclink Green Wallet Statement', { size: 18, bold: true });
+    nextLine(24);
+    text(MARGIN, `Phone ${wallet.account.phone} - generated on ${generatedOn}`);
+    nextLine(28);
+    text(MARGIN, `Pickups: ${wallet.totals.pickups}`, { bold: true });
+    text(200, `Total earned: Rs. ${formatAmount(wallet.totals.earned)}`, { bold: true });
+    nextLine();
+    IMPACT_METRICS.forEach(({ key, label, unit }) => {
+        text(MARGIN, `${label}: ${formatAmount(wallet.totals.impact[key])} ${unit}`);
+        nextLine();
+    });
+    nextLine();
+    if (wallet.pickups.length === 0) {
+        text(MARGIN, 'No completed pickups yet.');
+    } else {
+        tableHeader();
+        for (const entry of wallet.pickups) {
+            if (y < MARGIN) {
+                newPage();
+                tableHeader();
+            }
+            [entry.completedOn, entry.id, truncate(entry.dealerName, 18), truncate(itemsText(entry), ITEMS_MAX_CHARS), formatAmount(entry.totalPaid), formatAmount(entry.impact.co2eKg)]
+                .forEach((value, index) => text(COLUMNS[index].x, value, { size: 9 }));
+            nextLine();
+        }
+    }
+    return pages;
+};
+
+// A minimal hand-written PDF: Helvetica text only, which is all a statement needs
+// and saves pulling in a PDF library. Objects 1-4 are the catalog, page tree and
+// two fonts; each page then adds a page object and its content stream.
+export const statementPdf = (wallet, generatedOn) => {
+    const pages = layout(wallet, generatedOn);
+    const objects = [
+        `<< /Type /Catalog /Pages 2 0 R >>`,
+        `<< /Type /Pages /Kids [${pages.map((_, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>`,
+        `<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>`,
+    ];
+    pages.forEach((runs, index) => {
+        const content = runs
+            .map((run) => `BT /${run.bold ? 'F2' : 'F1'} ${run.size} Tf ${run.x} ${run.y} Td ${pdfString(run.value)} Tj ET`)
+            .join('\n');
+        objects.push(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+            `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`,
+        );
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf);
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf);
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+};
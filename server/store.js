@@ -0,0 +1,99 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DATA_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'data', 'db.json');
+
+// A tiny JSON-file store. Every collection is a plain object keyed by record id,
+// and writes are serialised so concurrent requests never interleave on disk.
+export const createStore = (filePath = process.env.DATA_FILE || DEFAULT_DATA_FILE) => {
+    let data = null;
+    let writeQueue = Promise.resolve();
+    let lock = Promise.resolve();
+
+    const load = async () => {
+        if (data) return data;
+        try {
+            data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            data = {};
+        }
+        return data;
+    };
+
+    // A failed write is reported to its own caller only, and `undo` takes its change back
+    // out of memory before the next write runs, so a later save never carries it to disk.
+    const persist = (undo) => {
+        const write = writeQueue.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            const tmpFile = `${filePath}.tmp`;
+            await fs.writeFile(tmpFile, JSON.stringify(data, null, 2));
+            await fs.rename(tmpFile, filePath);
+        }).catch((error) => {
+            undo();
+            throw error;
+        });
+        writeQueue = write;
+        return write;
+    };
+
+    const restore = (records, id, previous) => {
+        if (previous === undefined) delete records[id];
+        else records[id] = previous;
+    };
+
+    const collection = async (name) => {
+        const db = await load();
+        db[name] ??= {};
+        return db[name];
+    };
+
+    return {
+        // Runs `fn` with no other exclusive section in flight, for read-check-write
+        // sequences such as booking the last place in a time slot.
+        exclusive(fn) {
+            const run = lock.then(fn);
+            lock = run.catch(() => {});
+            return run;
+        },
+        async all(name) {
+            return Object.values(await collection(name));
+        },
+        async get(name, id) {
+            return (await collection(name))[id] ?? null;
+        },
+        async insert(name, record) {
+            const records = await collection(name);
+            const previous = records[record.id];
+            records[record.id] = record;
+            await persist(() => restore(records, record.id, previous));
+            return record;
+        },
+        async update(name, id, patch) {
+            const records = await collection(name);
+            const previous = records[id];
+            if (!previous) return null;
+            records[id] = { ...previous, ...patch };
+            await persist(() => restore(records, id, previous));
+            return records[id];
+        },
+        async remove(name, id) {
+            const records = await collection(name);
+            const previous = records[id];
+            if (!previous) return false;
+            delete records[id];
+            await persist(() => restore(records, id, previous));
+            return true;
+        },
+        // Deletes every record `predicate` matches, writing the file once. Resolves to how many went.
+        async removeWhere(name, predicate) {
+            const records = await collection(name);
+            const removed = Object.entries(records).filter(([, record]) => predicate(record));
+            if (removed.length === 0) return 0;
+            for (const [id] of removed) delete records[id];
+            await persist(() => removed.forEach(([id, record]) => restore(records, id, record)));
+            return removed.length;
+        },
+    };
+};
@@ -0,0 +1,51 @@
+import { sumImpacts } from '../shared/impact.js';
+import { lastTenDigits } from './bookings.js';
+
+const CHART_MONTHS = 12;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// The last `count` months up to and including `month` (YYYY-MM), oldest first.
+const monthsEndingAt = (month, count) => {
+    const [year, monthIndex] = month.split('-').map(Number);
+    return Array.from({ length: count }, (_, index) => {
+        const date = new Date(Date.UTC(year, monthIndex - 1 - (count - 1 - index), 1));
+        return date.toISOString().slice(0, 7);
+    });
+};
+
+const summarize = (entries) => ({
+    pickups: entries.length,
+    earned: round2(entries.reduce((total, entry) => total + entry.totalPaid, 0)),
+    impact: sumImpacts(entries.map((entry) => entry.impact)),
+});
+
+// A household's green wallet: every pickup booked with the account's phone number
+// that a kabaadiwala has weighed and paid for, newest first, with monthly and
+// lifetime totals. Months follow the service areas' time zone, via `today`.
+export const buildWallet = (pickups, account, { today, now = new Date() }) => {
+    const entries = pickups
+        .filter((pickup) => pickup.receipt && lastTenDigits(pickup.phone) === account.phone)
+        .map(({ id, date, slotLabel, receipt }) => ({
+            id,
+            date,
+            slotLabel,
+            completedAt: receipt.completedAt,
+            completedOn: today(new Date(receipt.completedAt)),
+            dealerName: receipt.dealer.name,
+            items: receipt.lines
+                .filter((line) => line.quantity > 0)
+                .map(({ materialId, material, quantity, unit, amountPaid }) => ({ materialId, material, quantity, unit, amountPaid })),
+            totalPaid: receipt.totalPaid,
+            impact: receipt.impact,
+        }))
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt));
+
+    return {
+        account: { phone: account.phone, createdAt: account.createdAt },
+        pickups: entries,
+        months: monthsEndingAt(today(now).slice(0, 7), CHART_MONTHS)
+            .map((month) => ({ month, ...summarize(entries.filter((entry) => entry.completedOn.startsWith(month))) })),
+        totals: summarize(entries),
+    };
+};
@@ -0,0 +1,9 @@
+// How many past messages (user and assistant) go to the model with each question.
+export const MAX_CHAT_HISTORY = 20;
+
+// Keeps the most recent messages, starting on a user turn as Gemini expects.
+export const trimChatHistory = (history, limit = MAX_CHAT_HISTORY) => {
+    const recent = history.slice(-limit);
+    const firstUserTurn = recent.findIndex((turn) => turn.role === 'user');
+    return firstUserTurn === -1 ? [] : recent.slice(firstUserTurn);
+};
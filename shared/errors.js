@@ -0,0 +1,86 @@
+// Errors from the AI features. `message` is always safe to show to the user;
+// technical detail belongs in `cause`. The server sends `code` so the browser
+// can rebuild the same error type from an API response.
+export class AiError extends Error {
+    constructor(message = 'Our AI assistant ran into a problem. Please try again.', { cause } = {}) {
+        super(message, { cause });
+        this.name = 'AiError';
+        this.code = 'ai_error';
+        this.status = 502;
+    }
+}
+
+export class NetworkError extends AiError {
+    constructor(message = "We couldn't reach our servers. Please check your connection and try again.", options) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.code = 'network';
+        this.status = 503;
+    }
+}
+
+// The browser knows it has no connection, so the request was not even tried.
+export class OfflineError extends NetworkError {
+    constructor(message = "You're offline. Please try again when you're back online.", options) {
+        super(message, options);
+        this.name = 'OfflineError';
+        this.code = 'offline';
+    }
+}
+
+export class QuotaError extends AiError {
+    constructor(message = 'Our AI assistant is very busy right now. Please try again in a minute.', options) {
+        super(message, options);
+        this.name = 'QuotaError';
+        this.code = 'quota';
+        this.status = 429;
+    }
+}
+
+export class InvalidImageError extends AiError {
+    constructor(message = "We couldn't read that photo. Please try a clearer PNG, JPG, or WEBP image.", options) {
+        super(message, options);
+        this.name = 'InvalidImageError';
+        this.code = 'invalid_image';
+        this.status = 422;
+    }
+}
+
+export class InvalidResponseError extends AiError {
+    constructor(message = 'We got an unexpected answer. Please try again.', options) {
+        super(message, options);
+        this.name = 'InvalidResponseError';
+        this.code = 'invalid_response';
+        this.status = 502;
+    }
+}
+
+const ERRORS_BY_CODE = {
+    ai_error: AiError,
+    network: NetworkError,
+    offline: OfflineError,
+    quota: QuotaError,
+    invalid_image: InvalidImageError,
+    invalid_response: InvalidResponseError,
+};
+
+// A connection that failed, as opposed to one the browser knows it does not have.
+export const isConnectionError = (error) => error instanceof NetworkError && !(error instanceof OfflineError);
+
+// Network and quota failures are worth another attempt; the rest will fail the same way
+// again, as will anything tried while the browser is offline. The server already retries
+// the AI provider like this, so the page itself only retries connection errors.
+export const isTransientError = (error) => isConnectionError(error) || error instanceof QuotaError;
+
+// Rebuilds a typed error from a failed API response. Non-AI failures (e.g. form
+// validation) become a plain Error carrying the server's message, status and details.
+export const errorFromResponse = (status, body) => {
+    const ErrorType = ERRORS_BY_CODE[body?.code];
+    if (ErrorType) return new ErrorType(body.error || undefined);
+    if (status === 429) return new QuotaError();
+    if (status === 502 || status === 503 || status === 504) return new NetworkError();
+    const error = new Error(body?.error || 'Something went wrong. Please try again.');
+    error.status = status;
+    error.details = body?.details ?? null;
+    return error;
+};
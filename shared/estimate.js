@@ -0,0 +1,11 @@
+import { addImpact } from './impact.js';
+import { quoteBasket } from './pricing.js';
+
+export const ESTIMATE_DISCLAIMER = 'Based on our published rate card. The final price is set after weighing at your doorstep and depends on quality.';
+
+// The full calculator result: rate-card prices plus environmental impact. Pure, so the
+// browser can produce the same estimate when the API is unreachable.
+export const estimateBasket = ({ items, city, date, catalog }) => ({
+    ...addImpact(quoteBasket({ items, city, date, catalog })),
+    disclaimer: ESTIMATE_DISCLAIMER,
+});
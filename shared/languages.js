@@ -0,0 +1,10 @@
+// Languages the site and the AI features can use. `name` is what we tell the model.
+export const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English' },
+    hi: { name: 'Hindi', nativeName: 'हिन्दी' },
+    mr: { name: 'Marathi', nativeName: 'मराठी' },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const resolveLanguage = (code) => (Object.hasOwn(LANGUAGES, code) ? code : DEFAULT_LANGUAGE);
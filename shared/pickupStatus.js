@@ -0,0 +1,34 @@
+export const PICKUP_STATUS = {
+    REQUESTED: 'requested',
+    ASSIGNED: 'assigned',
+    EN_ROUTE: 'en_route',
+    ARRIVED: 'arrived',
+    PAID: 'paid',
+    RECYCLED: 'recycled',
+    CANCELLED: 'cancelled',
+};
+
+export const PICKUP_STATUS_LABELS = {
+    requested: 'Requested',
+    assigned: 'Dealer Assigned',
+    en_route: 'Dealer On The Way',
+    arrived: 'Arrived',
+    paid: 'Weighed & Paid',
+    recycled: 'Recycled',
+    cancelled: 'Cancelled',
+};
+
+// The customer-facing timeline, in order. It follows the process steps on the home page.
+export const TRACKING_STEPS = [
+    PICKUP_STATUS.REQUESTED,
+    PICKUP_STATUS.ASSIGNED,
+    PICKUP_STATUS.EN_ROUTE,
+    PICKUP_STATUS.ARRIVED,
+    PICKUP_STATUS.PAID,
+    PICKUP_STATUS.RECYCLED,
+];
+
+// Until the kabaadiwala sets off, the customer can still cancel or move the pickup.
+export const isCustomerChangeable = (status) => status === PICKUP_STATUS.REQUESTED || status === PICKUP_STATUS.ASSIGNED;
+
+export const isFinalStatus = (status) => status === PICKUP_STATUS.RECYCLED || status === PICKUP_STATUS.CANCELLED;
@@ -0,0 +1,74 @@
+import { DEFAULT_CATALOG, DEFAULT_CITY, RATE_CARDS } from './rateCard.js';
+
+export class PricingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PricingError';
+    }
+}
+
+const UNIT_LABELS = { kg: 'kg', pieces: 'piece' };
+
+export const MAX_BASKET_ITEMS = 20;
+
+// The card in force on `date`: the latest one whose effectiveFrom is not in the future.
+// Cards published on the same day are in order, so the last one listed wins.
+export const getRateCard = (date = new Date(), cards = RATE_CARDS) => {
+    const day = date.toISOString().slice(0, 10);
+    const card = cards
+        .filter((candidate) => candidate.effectiveFrom <= day)
+        .reduce((latest, candidate) => (latest && latest.effectiveFrom > candidate.effectiveFrom ? latest : candidate), null);
+    if (!card) throw new PricingError('No rate card is in effect yet.');
+    return card;
+};
+
+const roundRupees = (amount) => Math.round(amount);
+
+export const quoteScrap = ({ materialId, quantity, unit, city = DEFAULT_CITY, date, catalog = DEFAULT_CATALOG }) => {
+    const card = getRateCard(date, catalog.rateCards);
+    const cityRates = Object.hasOwn(card.cities, city) ? card.cities[city] : null;
+    if (!cityRates) throw new PricingError('We do not have rates for that city yet.');
+    const material = Object.hasOwn(catalog.materials, materialId) ? catalog.materials[materialId] : null;
+    const materialRates = cityRates.rates[materialId];
+    if (!material || !materialRates) throw new PricingError('We do not have a rate for that scrap type yet.');
+    const rate = Object.hasOwn(materialRates, unit) ? materialRates[unit] : null;
+    if (!rate) {
+        const supported = Object.keys(materialRates).map((key) => UNIT_LABELS[key]).join(' or ');
+        throw new PricingError(`${material.name} is priced per ${supported}.`);
+    }
+    if (!Number.isFinite(quantity) || quantity <= 0) throw new PricingError('Please enter a valid weight or quantity.');
+
+    return {
+        materialId,
+        material: material.name,
+        quantity,
+        unit,
+        city,
+        cityName: cityRates.name,
+        rate: { min: rate.min, max: rate.max, per: UNIT_LABELS[unit] },
+        estimatedValue: { min: roundRupees(rate.min * quantity), max: roundRupees(rate.max * quantity) },
+        rateCard: { version: card.version, effectiveFrom: card.effectiveFrom },
+    };
+};
+
+export const quoteBasket = ({ items, city = DEFAULT_CITY, date, catalog }) => {
+    if (!Array.isArray(items) || items.length === 0) throw new PricingError('Add at least one item to your basket.');
+    if (items.length > MAX_BASKET_ITEMS) throw new PricingError(`A basket can hold up to ${MAX_BASKET_ITEMS} items.`);
+    const quotes = items.map((item) => quoteScrap({
+        materialId: item?.materialId,
+        quantity: Number(item?.quantity),
+        unit: item?.unit,
+        city,
+        date,
+        catalog,
+    }));
+    const sum = (key) => quotes.reduce((total, quote) => total + quote.estimatedValue[key], 0);
+
+    return {
+        city,
+        cityName: quotes[0].cityName,
+        items: quotes.map(({ materialId, material, quantity, unit, rate, estimatedValue }) => ({ materialId, material, quantity, unit, rate, estimatedValue })),
+        total: { min: sum('min'), max: sum('max') },
+        rateCard: quotes[0].rateCard,
+    };
+};
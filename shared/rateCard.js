@@ -0,0 +1,69 @@
+// Buying rates in ₹ per kg or per piece, per city. Add a new entry (never edit an
+// old one) when rates change, so past estimates can still be traced to their card.
+export const RATE_CARDS = [
+    {
+        version: '2025.10',
+        effectiveFrom: '2025-10-01',
+        cities: {
+            delhi: {
+                name: 'Delhi NCR',
+                rates: {
+                    'newspaper': { kg: { min: 12, max: 15 } },
+                    'cardboard': { kg: { min: 8, max: 10 } },
+                    'pet-bottles': { kg: { min: 10, max: 14 }, pieces: { min: 0.3, max: 0.5 } },
+                    'steel': { kg: { min: 28, max: 35 } },
+                    'aluminum-cans': { kg: { min: 90, max: 110 }, pieces: { min: 1.5, max: 2 } },
+                    'copper-wire': { kg: { min: 420, max: 500 } },
+                    'old-laptop': { pieces: { min: 300, max: 800 } },
+                },
+            },
+            mumbai: {
+                name: 'Mumbai',
+                rates: {
+                    'newspaper': { kg: { min: 13, max: 16 } },
+                    'cardboard': { kg: { min: 9, max: 11 } },
+                    'pet-bottles': { kg: { min: 11, max: 15 }, pieces: { min: 0.3, max: 0.5 } },
+                    'steel': { kg: { min: 30, max: 36 } },
+                    'aluminum-cans': { kg: { min: 95, max: 115 }, pieces: { min: 1.5, max: 2 } },
+                    'copper-wire': { kg: { min: 430, max: 510 } },
+                    'old-laptop': { pieces: { min: 350, max: 850 } },
+                },
+            },
+            bengaluru: {
+                name: 'Bengaluru',
+                rates: {
+                    'newspaper': { kg: { min: 12, max: 14 } },
+                    'cardboard': { kg: { min: 8, max: 10 } },
+                    'pet-bottles': { kg: { min: 10, max: 13 }, pieces: { min: 0.25, max: 0.4 } },
+                    'steel': { kg: { min: 27, max: 34 } },
+                    'aluminum-cans': { kg: { min: 90, max: 105 }, pieces: { min: 1.5, max: 2 } },
+                    'copper-wire': { kg: { min: 410, max: 490 } },
+                    'old-laptop': { pieces: { min: 300, max: 750 } },
+                },
+            },
+        },
+    },
+];
+
+export const CATEGORIES = {
+    'paper': { name: 'Paper & Cardboard', description: 'Newspapers, books, magazines, and all types of cardboard boxes.' },
+    'plastics': { name: 'Plastics', description: 'PET bottles, milk jugs, containers, and other household plastic items.' },
+    'metals': { name: 'Metals', description: 'Iron, steel, aluminum cans, copper wires, and brass items.' },
+    'ewaste': { name: 'E-Waste', description: 'Old laptops, mobile phones, chargers, TVs, and other electronics.' },
+};
+
+export const MATERIALS = {
+    'newspaper': { name: 'Newspaper', category: 'paper' },
+    'cardboard': { name: 'Cardboard', category: 'paper' },
+    'pet-bottles': { name: 'Plastic Bottles (PET)', category: 'plastics' },
+    'steel': { name: 'Steel', category: 'metals' },
+    'aluminum-cans': { name: 'Aluminum Cans', category: 'metals' },
+    'copper-wire': { name: 'Copper Wire', category: 'metals' },
+    'old-laptop': { name: 'Old Laptop', category: 'ewaste' },
+};
+
+export const DEFAULT_CITY = 'delhi';
+
+// The built-in catalog. The server layers materials and rate cards added in the
+// admin page on top of it (see server/catalog.js); the browser falls back to it offline.
+export const DEFAULT_CATALOG = { categories: CATEGORIES, materials: MATERIALS, rateCards: RATE_CARDS };
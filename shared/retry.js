@@ -0,0 +1,15 @@
+import { isTransientError } from './errors.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retries `fn` with exponential backoff and a little jitter while `shouldRetry` says so.
+export const withRetry = async (fn, { retries = 2, baseDelayMs = 500, shouldRetry = isTransientError } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) throw error;
+            await sleep(baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25));
+        }
+    }
+};
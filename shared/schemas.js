@@ -0,0 +1,67 @@
+import { IMPACT_METRICS } from './impact.js';
+import { t } from './validation.js';
+
+const range = t.object({ min: t.number(), max: t.number() });
+
+const rate = t.object({ min: t.number({ min: 0 }), max: t.number({ min: 0 }), per: t.string() });
+
+const impact = t.object(Object.fromEntries(IMPACT_METRICS.map(({ key }) => [key, t.number({ min: 0 })])));
+
+export const detectedItemSchema = t.object({
+    itemName: t.string({ nonEmpty: true }),
+    category: t.string(),
+    categoryId: t.nullable(t.string()),
+    recyclable: t.boolean(),
+    materialId: t.nullable(t.string()),
+    estimatedQuantity: t.optional(t.number({ min: 0 })),
+    unit: t.optional(t.oneOf('kg', 'pieces')),
+    estimatedPrice: t.string(),
+    rate: t.optional(rate),
+    estimatedValue: t.optional(range),
+});
+
+export const identifyResultSchema = t.object({
+    items: t.array(detectedItemSchema, { max: 20 }),
+    fallback: t.optional(t.boolean()),
+});
+
+export const estimateResultSchema = t.object({
+    city: t.string(),
+    cityName: t.string(),
+    items: t.array(t.object({
+        materialId: t.string(),
+        material: t.string(),
+        quantity: t.number({ min: 0 }),
+        unit: t.oneOf('kg', 'pieces'),
+        rate,
+        estimatedValue: range,
+        impact,
+    })),
+    total: range,
+    rateCard: t.object({ version: t.string(), effectiveFrom: t.string() }),
+    impact,
+    disclaimer: t.string(),
+});
+
+const ratePair = t.object({ min: t.number({ min: 0 }), max: t.number({ min: 0 }) });
+
+export const catalogSchema = t.object({
+    categories: t.record(t.object({ name: t.string({ nonEmpty: true }), description: t.string() })),
+    materials: t.record(t.object({ name: t.string({ nonEmpty: true }), category: t.string() })),
+    rateCard: t.object({
+        version: t.string(),
+        effectiveFrom: t.string(),
+        cities: t.record(t.object({
+            name: t.string({ nonEmpty: true }),
+            rates: t.record(t.object({ kg: t.optional(ratePair), pieces: t.optional(ratePair) })),
+        })),
+    }),
+});
+
+export const chatReplySchema = t.object({
+    reply: t.string({ nonEmpty: true }),
+});
+
+export const confirmReplySchema = t.object({
+    message: t.string({ nonEmpty: true }),
+});
@@ -0,0 +1,78 @@
+import { InvalidResponseError } from './errors.js';
+
+export class ValidationError extends Error {
+    constructor(path, expected) {
+        super(`${path || 'value'} should be ${expected}`);
+        this.name = 'ValidationError';
+        this.path = path;
+    }
+}
+
+const fail = (path, expected) => {
+    throw new ValidationError(path, expected);
+};
+
+// Minimal schema combinators. A schema is a function (value, path) => value that
+// throws ValidationError on mismatch. Objects keep unknown keys as they are.
+export const t = {
+    string: ({ nonEmpty = false } = {}) => (value, path) => {
+        if (typeof value !== 'string' || (nonEmpty && !value.trim())) fail(path, nonEmpty ? 'a non-empty string' : 'a string');
+        return value;
+    },
+    number: ({ min = -Infinity } = {}) => (value, path) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min) fail(path, `a number of at least ${min}`);
+        return value;
+    },
+    boolean: () => (value, path) => {
+        if (typeof value !== 'boolean') fail(path, 'true or false');
+        return value;
+    },
+    oneOf: (...options) => (value, path) => {
+        if (!options.includes(value)) fail(path, `one of ${options.join(', ')}`);
+        return value;
+    },
+    array: (item, { max = Infinity } = {}) => (value, path) => {
+        if (!Array.isArray(value) || value.length > max) fail(path, `a list of at most ${max} entries`);
+        return value.map((entry, index) => item(entry, `${path}[${index}]`));
+    },
+    object: (shape) => (value, path) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+        const result = { ...value };
+        for (const [key, schema] of Object.entries(shape)) {
+            const checked = schema(value[key], path ? `${path}.${key}` : key);
+            if (checked === undefined) delete result[key];
+            else result[key] = checked;
+        }
+        return result;
+    },
+    // An object used as a map: any keys, every value matching `item`.
+    record: (item) => (value, path) => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) fail(path, 'an object');
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, item(entry, path ? `${path}.${key}` : key)]));
+    },
+    optional: (schema) => (value, path) => (value === undefined ? undefined : schema(value, path)),
+    nullable: (schema) => (value, path) => (value === null || value === undefined ? null : schema(value, path)),
+};
+
+export const validate = (schema, value) => schema(value, '');
+
+// For data that comes from a model or over the network: any mismatch means the
+// response as a whole cannot be trusted.
+export const validateResponse = (schema, value) => {
+    try {
+        return validate(schema, value);
+    } catch (error) {
+        if (error instanceof ValidationError) throw new InvalidResponseError(undefined, { cause: error });
+        throw error;
+    }
+};
+
+export const parseJsonResponse = (schema, text) => {
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        throw new InvalidResponseError(undefined, { cause: error });
+    }
+    return validateResponse(schema, value);
+};
@@ -0,0 +1,199 @@
+import { getJson, postJson, requestJson } from './api.js';
+import { formatRateCardDate } from './format.js';
+import { html } from './render.js';
+
+const TOKEN_KEY = 'recyclink.adminToken';
+const UNITS = [{ id: 'kg', label: 'per kg' }, { id: 'pieces', label: 'per piece' }];
+
+document.addEventListener('DOMContentLoaded', () => {
+    const loginSection = document.getElementById('admin-login');
+    const loginForm = document.getElementById('admin-login-form');
+    const loginError = document.getElementById('admin-login-error');
+    const dashboard = document.getElementById('admin-dashboard');
+    const logoutButton = document.getElementById('admin-logout-button');
+    const addButton = document.getElementById('admin-add-button');
+    const rateCardP = document.getElementById('admin-rate-card');
+    const messageP = document.getElementById('admin-message');
+    const materialForm = document.getElementById('admin-material-form');
+    const formTitle = document.getElementById('admin-form-title');
+    const idInput = document.getElementById('admin-material-id');
+    const nameInput = document.getElementById('admin-material-name');
+    const categorySelect = document.getElementById('admin-material-category');
+    const rateInputs = document.getElementById('admin-rate-inputs');
+    const cancelButton = document.getElementById('admin-cancel-button');
+    const materialsList = document.getElementById('admin-materials');
+
+    let token = sessionStorage.getItem(TOKEN_KEY);
+    let catalog = null;
+
+    const showMessage = (message, isError = false) => {
+        messageP.textContent = message;
+        messageP.className = message ? `mb-4 ${isError ? 'text-red-600' : 'text-brand-green font-medium'}` : 'hidden';
+    };
+
+    const showLoggedIn = (loggedIn) => {
+        loginSection.classList.toggle('hidden', loggedIn);
+        dashboard.classList.toggle('hidden', !loggedIn);
+        logoutButton.classList.toggle('hidden', !loggedIn);
+    };
+
+    const clearSession = () => {
+        token = null;
+        catalog = null;
+        sessionStorage.removeItem(TOKEN_KEY);
+        showLoggedIn(false);
+    };
+
+    const handleError = (error) => {
+        if (error.status === 401) {
+            clearSession();
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+            return;
+        }
+        showMessage(error.message || 'Something went wrong. Please try again.', true);
+    };
+
+    const rateText = (rate) => (rate ? `₹${rate.min} - ₹${rate.max}` : '—');
+
+    const materialTable = (categoryId, category) => {
+        const cities = Object.entries(catalog.rateCard.cities);
+        const materials = Object.entries(catalog.materials).filter(([, material]) => material.category === categoryId);
+        return html`
+            <div>
+                <h2 class="text-lg font-bold mb-3">${category.name}</h2>
+                ${materials.length === 0 ? html`<p class="text-brand-gray text-sm">No materials in this category yet.</p>` : html`
+                <div class="overflow-x-auto bg-white rounded-xl shadow">
+                    <table class="w-full text-sm text-left">
+                        <thead class="border-b text-brand-gray">
+                            <tr>
+                                <th class="p-3">Material</th>
+                                ${cities.map(([, city]) => html`<th class="p-3">${city.name}</th>`)}
+                                <th class="p-3"></th>
+                            </tr>
+                        </thead>
+                        <tbody class="divide-y">
+                            ${materials.map(([id, material]) => html`
+                            <tr>
+                                <td class="p-3"><span class="font-medium">${material.name}</span><span class="block text-xs text-brand-gray">${id}</span></td>
+                                ${cities.map(([, city]) => html`
+                                <td class="p-3">${UNITS.map((unit) => html`<span class="block">${rateText(city.rates[id]?.[unit.id])} ${unit.label}</span>`)}</td>`)}
+                                <td class="p-3 text-right"><button type="button" class="edit-material-button text-brand-green font-medium hover:underline" data-id="${id}">Edit</button></td>
+                            </tr>`)}
+                        </tbody>
+                    </table>
+                </div>`}
+            </div>`;
+    };
+
+    const render = () => {
+        rateCardP.textContent = `Rate card v${catalog.rateCard.version}, effective ${formatRateCardDate(catalog.rateCard.effectiveFrom)}`;
+        materialsList.innerHTML = html`${Object.entries(catalog.categories).map(([id, category]) => materialTable(id, category))}`;
+    };
+
+    const openForm = (materialId) => {
+        const material = materialId ? catalog.materials[materialId] : null;
+        formTitle.textContent = material ? `Edit ${material.name}` : 'Add a material';
+        idInput.value = materialId ?? '';
+        idInput.readOnly = Boolean(material);
+        nameInput.value = material?.name ?? '';
+        categorySelect.innerHTML = html`${Object.entries(catalog.categories).map(([id, category]) => html`
+            <option value="${id}" ${id === material?.category ? 'selected' : ''}>${category.name}</option>`)}`;
+        rateInputs.innerHTML = html`${Object.entries(catalog.rateCard.cities).map(([cityId, city]) => html`
+            <div class="grid grid-cols-2 md:grid-cols-5 gap-2 items-center">
+                <span class="col-span-2 md:col-span-1 font-medium">${city.name}</span>
+                ${UNITS.map((unit) => ['min', 'max'].map((bound) => html`
+                <input type="number" min="0" step="0.01" data-city="${cityId}" data-unit="${unit.id}" data-bound="${bound}"
+                    value="${city.rates[materialId]?.[unit.id]?.[bound] ?? ''}" placeholder="${bound === 'min' ? 'Lowest' : 'Highest'} ${unit.label}"
+                    aria-label="${city.name}: ${bound === 'min' ? 'lowest' : 'highest'} price ${unit.label}"
+                    class="bg-brand-light-gray border border-gray-300 rounded-md p-2 text-sm" />`))}
+            </div>`)}`;
+        materialForm.classList.remove('hidden');
+        showMessage('');
+        (material ? nameInput : idInput).focus();
+    };
+
+    const closeForm = () => {
+        materialForm.classList.add('hidden');
+        materialForm.reset();
+    };
+
+    // Blank pairs are left out; the server rejects half-filled ones.
+    const formRates = () => {
+        const rates = {};
+        rateInputs.querySelectorAll('input[data-bound="min"]').forEach((minInput) => {
+            const { city, unit } = minInput.dataset;
+            const maxInput = rateInputs.querySelector(`input[data-city="${city}"][data-unit="${unit}"][data-bound="max"]`);
+            if (minInput.value === '' && maxInput.value === '') return;
+            (rates[city] ??= {})[unit] = { min: minInput.value, max: maxInput.value };
+        });
+        return rates;
+    };
+
+    const loadCatalog = async () => {
+        showMessage('');
+        try {
+            catalog = await getJson('/api/admin/catalog', { token });
+            render();
+        } catch (error) {
+            handleError(error);
+        }
+    };
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.classList.add('hidden');
+        const { password } = Object.fromEntries(new FormData(loginForm));
+        try {
+            ({ token } = await postJson('/api/admin/login', { password }));
+            sessionStorage.setItem(TOKEN_KEY, token);
+            loginForm.reset();
+            showLoggedIn(true);
+            await loadCatalog();
+        } catch (error) {
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+        }
+    });
+
+    logoutButton.addEventListener('click', async () => {
+        await postJson('/api/admin/logout', {}, { token }).catch(() => {});
+        closeForm();
+        clearSession();
+    });
+
+    addButton.addEventListener('click', () => openForm(null));
+    cancelButton.addEventListener('click', closeForm);
+
+    materialsList.addEventListener('click', (e) => {
+        const button = e.target instanceof Element ? e.target.closest('.edit-material-button') : null;
+        if (button) openForm(button.dataset.id);
+    });
+
+    materialForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = materialForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            const material = { name: nameInput.value, category: categorySelect.value, rates: formRates() };
+            // The id is locked when editing, so an editable one means a new material.
+            catalog = idInput.readOnly
+                ? await requestJson(`/api/admin/materials/${encodeURIComponent(idInput.value)}`, { method: 'PUT', token, body: material })
+                : await postJson('/api/admin/materials', { id: idInput.value.trim(), ...material }, { token });
+            closeForm();
+            render();
+            showMessage(`Saved. Rate card v${catalog.rateCard.version} is now in effect.`);
+        } catch (error) {
+            handleError(error);
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    if (token) {
+        showLoggedIn(true);
+        loadCatalog();
+    } else {
+        showLoggedIn(false);
+    }
+});
@@ -0,0 +1,13 @@
+import { postEventStream, postJson } from './api.js';
+
+// Photos take a while to upload and analyse, so the identifier waits longer than other calls.
+const IDENTIFY_TIMEOUT_MS = 60000;
+
+// The assistant features as the page sees them. This provider goes through our API,
+// which holds the Gemini key; the page sections take any object with the same
+// methods, so tests can hand them recorded answers instead.
+export const createApiAiProvider = () => ({
+    chatStream: (request, onEvent) => postEventStream('/api/chat/stream', request, onEvent),
+    identify: (request) => postJson('/api/identify', request, { timeoutMs: IDENTIFY_TIMEOUT_MS }),
+    confirm: (request) => postJson('/api/confirm', request),
+});
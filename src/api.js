@@ -0,0 +1,90 @@
+import { InvalidResponseError, NetworkError, OfflineError, errorFromResponse } from '../shared/errors.js';
+
+const REQUEST_TIMEOUT_MS = 20000;
+const STREAM_IDLE_TIMEOUT_MS = 30000;
+
+// On flaky mobile data a request can hang instead of failing; give up rather than
+// leave a spinner running forever. The request is still tried when the browser says
+// it is offline, as the service worker may answer it from its cache.
+const timedFetch = async (url, init, timeoutMs) => {
+    try {
+        return await fetch(url, { ...init, signal: init.signal ?? AbortSignal.timeout(timeoutMs) });
+    } catch (error) {
+        throw navigator.onLine ? new NetworkError(undefined, { cause: error }) : new OfflineError(undefined, { cause: error });
+    }
+};
+
+// Every call to our own API goes through here. Failures surface as the typed
+// errors from shared/errors.js, whose messages are user-facing.
+export const requestJson = async (url, { method = 'GET', body, token, timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await timedFetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) }, timeoutMs);
+    const data = await response.json().catch(() => null);
+    if (!response.ok) throw errorFromResponse(response.status, data);
+    if (data === null) throw new InvalidResponseError();
+    return data;
+};
+
+export const getJson = (url, options) => requestJson(url, options);
+
+export const postJson = (url, payload, options) => requestJson(url, { ...options, method: 'POST', body: payload ?? {} });
+
+// For downloads such as statements. Failures surface the same way as in requestJson.
+export const getBlob = async (url, { token, timeoutMs = REQUEST_TIMEOUT_MS } = {}) => {
+    const response = await timedFetch(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} }, timeoutMs);
+    if (!response.ok) throw errorFromResponse(response.status, await response.json().catch(() => null));
+    return response.blob();
+};
+
+const readEvents = async (body, onEvent, onChunk) => {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        let result;
+        try {
+            result = await reader.read();
+        } catch (error) {
+            throw new NetworkError(undefined, { cause: error });
+        }
+        if (result.done) return;
+        onChunk();
+        buffer += result.value;
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = block.match(/^event: (.*)$/m)?.[1] ?? 'message';
+            let data;
+            try {
+                data = JSON.parse(block.match(/^data: (.*)$/m)?.[1] ?? 'null');
+            } catch (error) {
+                throw new InvalidResponseError(undefined, { cause: error });
+            }
+            if (event === 'error') throw errorFromResponse(502, data);
+            onEvent(event, data);
+        }
+    }
+};
+
+// POSTs and reads a text/event-stream response, calling onEvent(event, data) for each
+// message as it arrives. An `error` event rejects with the same typed errors as
+// requestJson, and so does a stream that goes quiet for too long.
+export const postEventStream = async (url, payload, onEvent) => {
+    const controller = new AbortController();
+    let idleTimer;
+    const restartIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT_MS);
+    };
+    restartIdleTimer();
+    try {
+        const response = await timedFetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload ?? {}), signal: controller.signal });
+        if (!response.ok) throw errorFromResponse(response.status, await response.json().catch(() => null));
+        if (!response.body) throw new InvalidResponseError();
+        await readEvents(response.body, onEvent, restartIdleTimer);
+    } finally {
+        clearTimeout(idleTimer);
+    }
+};
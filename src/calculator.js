@@ -0,0 +1,195 @@
+import { InvalidResponseError, isConnectionError, NetworkError } from '../shared/errors.js';
+import { estimateBasket } from '../shared/estimate.js';
+import { PricingError, quoteScrap } from '../shared/pricing.js';
+import { withRetry } from '../shared/retry.js';
+import { estimateResultSchema } from '../shared/schemas.js';
+import { validateResponse } from '../shared/validation.js';
+import { postJson } from './api.js';
+import { categoryLabel, materialLabel, materialsByCategory, materialUnits } from './catalog.js';
+import { formatRateCardDate, formatRupees } from './format.js';
+import { errorMessage, t } from './i18n.js';
+import { queueRequest } from './offlineQueue.js';
+import { html } from './render.js';
+import { renderImpactGrid, showLoadingSpinner } from './views.js';
+
+export const fetchEstimate = async ({ items, city }) => validateResponse(estimateResultSchema, await withRetry(() => postJson('/api/estimate', { items, city }), { shouldRetry: isConnectionError }));
+
+// Pricing is rule-based, so if the API is unreachable or answers with something
+// unusable we can still work the estimate out here from the same rate card. Without
+// a connection the estimate is also queued, to be re-priced by the server once it is back.
+export const calculateScrapValue = async (basketItems, city, catalog) => {
+    const items = basketItems.map(({ materialId, quantity, unit }) => ({ materialId, quantity, unit }));
+    try {
+        return await fetchEstimate({ items, city });
+    } catch (error) {
+        if (!(error instanceof NetworkError || error instanceof InvalidResponseError)) throw error;
+        console.warn('Estimating on this device instead:', error);
+        const local = { ...estimateBasket({ items, city, catalog }), local: true };
+        if (!(error instanceof NetworkError)) return local;
+        const queued = await queueRequest('estimate', { items, city }).catch(() => null);
+        return { ...local, queuedId: queued?.id ?? null };
+    }
+};
+
+// The value calculator: a basket of materials and quantities, priced as a whole.
+// `onSchedule(estimate)` is called when the customer wants the estimate picked up.
+export const initCalculator = ({ getCatalog, onSchedule }) => {
+    const calculatorForm = document.getElementById('value-calculator-form');
+    const basketContainer = document.getElementById('calculator-basket');
+    const basketList = document.getElementById('calculator-basket-items');
+    const calculatorResults = document.getElementById('calculator-results');
+    const typeSelect = document.getElementById('scrap-type-calculator');
+    const unitSelect = document.getElementById('scrap-unit-calculator');
+    const citySelect = document.getElementById('scrap-city-calculator');
+    const basket = [];
+
+    const materialName = (materialId) => materialLabel(getCatalog(), materialId);
+
+    // A line's value range from the rate card on this device, so it shows before the
+    // basket is priced. Blank if the line has no rate in the chosen city.
+    const lineSubtotal = ({ materialId, quantity, unit }) => {
+        try {
+            const { estimatedValue } = quoteScrap({ materialId, quantity, unit, city: citySelect?.value || undefined, catalog: getCatalog() });
+            return `${formatRupees(estimatedValue.min)} - ${formatRupees(estimatedValue.max)}`;
+        } catch (error) {
+            if (!(error instanceof PricingError)) throw error;
+            return '';
+        }
+    };
+
+    const renderBasket = () => {
+        basketContainer?.classList.toggle('hidden', basket.length === 0);
+        basketList.innerHTML = basket.map((item, index) => html`
+            <li class="flex items-center justify-between py-2">
+                <span class="text-brand-dark">${item.name}</span>
+                <span class="flex items-center space-x-4">
+                    <span class="text-brand-gray">${item.quantity} ${t(`units.${item.unit}`)}</span>
+                    <span class="text-brand-dark font-medium whitespace-nowrap">${lineSubtotal(item)}</span>
+                    <button type="button" data-remove-index="${index}" class="text-red-500 hover:text-red-700 text-sm" aria-label="${t('calculator.removeItem', { name: item.name })}">${t('calculator.remove')}</button>
+                </span>
+            </li>`).join('');
+    };
+
+    const addToBasket = ({ materialId, name, quantity, unit }) => {
+        // Adding the same material in the same unit again tops up the existing line.
+        const existing = basket.find((item) => item.materialId === materialId && item.unit === unit);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            basket.push({ materialId, name, quantity, unit });
+        }
+        calculatorResults.innerHTML = '';
+        renderBasket();
+    };
+
+    // One option per material that has a rate, grouped by category.
+    const renderMaterialOptions = () => {
+        if (!typeSelect) return;
+        const catalog = getCatalog();
+        typeSelect.querySelectorAll('optgroup').forEach((group) => group.remove());
+        materialsByCategory(catalog).forEach(({ categoryId, materialIds }) => {
+            const group = document.createElement('optgroup');
+            group.label = categoryLabel(catalog, categoryId);
+            materialIds
+                .filter((materialId) => materialUnits(catalog, materialId).length > 0)
+                .forEach((materialId) => group.append(new Option(materialName(materialId), materialId)));
+            if (group.children.length > 0) typeSelect.append(group);
+        });
+    };
+
+    // Only offer the units the chosen material is priced in.
+    const renderUnitOptions = () => {
+        if (!unitSelect) return;
+        const units = typeSelect?.value ? materialUnits(getCatalog(), typeSelect.value) : ['kg', 'pieces'];
+        unitSelect.innerHTML = '';
+        units.forEach((unit) => unitSelect.add(new Option(t(`units.${unit}`), unit)));
+    };
+
+    const renderEstimate = (data) => {
+        const impactHTML = html`
+                   <div class="mt-4 pt-4 border-t">
+                     <p class="text-brand-gray">${t('calculator.impact')}</p>
+                     ${renderImpactGrid(data.impact)}
+                   </div>`;
+        const linesHTML = data.items.map((item) => html`
+                        <tr class="border-b border-gray-200">
+                            <td class="py-2">${materialName(item.materialId)}<span class="block text-xs text-brand-gray">${t('calculator.lineRate', {
+                                quantity: item.quantity,
+                                unit: t(`units.${item.unit}`),
+                                min: formatRupees(item.rate.min),
+                                max: formatRupees(item.rate.max),
+                                per: t(`calculator.per.${item.unit}`),
+                            })}</span></td>
+                            <td class="py-2 text-right whitespace-nowrap">${formatRupees(item.estimatedValue.min)} - ${formatRupees(item.estimatedValue.max)}</td>
+                        </tr>`);
+        calculatorResults.dataset.queuedId = data.queuedId ?? '';
+        calculatorResults.innerHTML = html`
+            <div>
+                <h4 class="text-xl font-bold text-brand-dark mb-4 text-center">${t('calculator.result')}</h4>
+                <div class="bg-brand-light-gray p-6 rounded-lg border border-gray-200 text-center">
+                   <table class="w-full text-left text-sm text-brand-dark mb-4">
+                        <tbody>${linesHTML}</tbody>
+                   </table>
+                   <p class="text-brand-gray">${t('calculator.totalIn', { city: t(`cities.${data.city}`) })}</p>
+                   <p class="text-4xl font-bold text-brand-orange my-2">${formatRupees(data.total.min)} - ${formatRupees(data.total.max)}</p>${impactHTML}
+                   <p class="text-xs text-gray-500 mt-4">${t('calculator.disclaimer')}</p>
+                   <p class="text-xs text-gray-500 mt-1">${t('calculator.rateCard', { version: data.rateCard.version, date: formatRateCardDate(data.rateCard.effectiveFrom) })}${data.local ? t('calculator.local') : ''}
+                        ${data.queuedId ? html` <span class="bg-brand-orange/20 rounded-full px-2 py-0.5 whitespace-nowrap">${t('sync.pendingBadge')}</span>` : ''}</p>
+                   <button type="button" id="calculator-schedule-button" class="mt-6 bg-brand-green hover:bg-opacity-90 text-white font-bold py-2 px-6 rounded-full">${t('calculator.schedule')}</button>
+                </div>
+            </div>`;
+        document.getElementById('calculator-schedule-button')?.addEventListener('click', () => onSchedule(data));
+    };
+
+    renderMaterialOptions();
+    renderUnitOptions();
+    typeSelect?.addEventListener('change', renderUnitOptions);
+    citySelect?.addEventListener('change', renderBasket);
+
+    calculatorForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const quantity = Number(document.getElementById('scrap-weight-calculator').value);
+        const unit = unitSelect.value;
+        if (!typeSelect.value || !(quantity > 0)) return;
+        addToBasket({ materialId: typeSelect.value, name: materialName(typeSelect.value), quantity, unit });
+        calculatorForm.reset();
+        renderUnitOptions();
+    });
+
+    basketList?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-remove-index]');
+        if (!button) return;
+        basket.splice(Number(button.dataset.removeIndex), 1);
+        calculatorResults.innerHTML = '';
+        renderBasket();
+    });
+
+    document.getElementById('calculator-estimate-button')?.addEventListener('click', async () => {
+        if (basket.length === 0) return;
+        const city = document.getElementById('scrap-city-calculator').value;
+        showLoadingSpinner(calculatorResults, t('calculator.calculating'));
+        try {
+            renderEstimate(await calculateScrapValue(basket, city, getCatalog()));
+        } catch(error) {
+            calculatorResults.innerHTML = html`<p class="text-red-500 text-center">${errorMessage(error)}</p>`;
+        }
+    });
+
+    return {
+        addToBasket,
+
+        getCity: () => citySelect?.value,
+
+        // Call after the catalog changes.
+        refreshMaterials() {
+            renderMaterialOptions();
+            renderUnitOptions();
+            renderBasket();
+        },
+
+        // Swaps the on-device estimate for the server's once a queued one has synced.
+        showSyncedEstimate(entry, estimate) {
+            if (calculatorResults.dataset.queuedId === entry.id && calculatorResults.childElementCount > 0) renderEstimate(estimate);
+        },
+    };
+};
@@ -0,0 +1,37 @@
+import { getRateCard } from '../shared/pricing.js';
+import { DEFAULT_CATALOG } from '../shared/rateCard.js';
+import { catalogSchema } from '../shared/schemas.js';
+import { validateResponse } from '../shared/validation.js';
+import { getJson } from './api.js';
+import { translateOr } from './i18n.js';
+
+// The material catalog from /api/materials, in the shape shared/pricing.js takes.
+// If the API is unreachable the built-in catalog keeps the page and the on-device
+// estimate working.
+export const loadCatalog = async () => {
+    try {
+        const { categories, materials, rateCard } = validateResponse(catalogSchema, await getJson('/api/materials'));
+        return { categories, materials, rateCards: [rateCard] };
+    } catch (error) {
+        console.warn('Using the built-in material catalog:', error);
+        return DEFAULT_CATALOG;
+    }
+};
+
+export const materialLabel = (catalog, materialId) => translateOr(`materials.${materialId}`, catalog.materials[materialId]?.name ?? materialId);
+
+export const categoryLabel = (catalog, categoryId) => translateOr(`services.${categoryId}.title`, catalog.categories[categoryId]?.name ?? categoryId);
+
+export const categoryDescription = (catalog, categoryId) => translateOr(`services.${categoryId}.description`, catalog.categories[categoryId]?.description ?? '');
+
+// Material ids grouped under each category that has any, in catalog order.
+export const materialsByCategory = (catalog) => Object.keys(catalog.categories)
+    .map((categoryId) => ({ categoryId, materialIds: Object.keys(catalog.materials).filter((id) => catalog.materials[id].category === categoryId) }))
+    .filter(({ materialIds }) => materialIds.length > 0);
+
+// The units a material is priced in, in any city on the current rate card.
+export const materialUnits = (catalog, materialId) => {
+    const { cities } = getRateCard(new Date(), catalog.rateCards);
+    const units = new Set(Object.values(cities).flatMap((city) => Object.keys(city.rates[materialId] ?? {})));
+    return ['kg', 'pieces'].filter((unit) => units.has(unit));
+};
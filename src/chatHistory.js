@@ -0,0 +1,31 @@
+// The assistant conversation is kept in localStorage so it survives reloads.
+// Only the most recent messages are kept; the model sees fewer still (shared/chat.js).
+const STORAGE_KEY = 'recyclink.chatHistory';
+export const MAX_STORED_MESSAGES = 50;
+
+const isTurn = (turn) => (turn?.role === 'user' || turn?.role === 'model') && typeof turn.text === 'string';
+
+export const loadChatHistory = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]');
+        return Array.isArray(stored) ? stored.filter(isTurn) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+export const saveChatHistory = (history) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(history.slice(-MAX_STORED_MESSAGES)));
+    } catch (error) {
+        // Storage is full or disabled; the conversation just won't outlive the page.
+    }
+};
+
+export const clearChatHistory = () => {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+        // Nothing stored to clear.
+    }
+};
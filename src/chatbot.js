@@ -0,0 +1,180 @@
+import { trimChatHistory } from '../shared/chat.js';
+import { isConnectionError } from '../shared/errors.js';
+import { withRetry } from '../shared/retry.js';
+import { chatReplySchema } from '../shared/schemas.js';
+import { validateResponse } from '../shared/validation.js';
+import { clearChatHistory, loadChatHistory, MAX_STORED_MESSAGES, saveChatHistory } from './chatHistory.js';
+import { formatPickupDay, formatRupees } from './format.js';
+import { errorMessage, getLanguage, t } from './i18n.js';
+import { submitPickup } from './pickups.js';
+import { html, raw, renderMarkdown } from './render.js';
+
+// One conversation with the assistant, kept in `history` and written back with `save`.
+// Like the stored copy, `history` only holds the most recent messages.
+export const createChatSession = ({ ai, history = loadChatHistory(), save = saveChatHistory, clear = clearChatHistory }) => {
+    const recordTurn = (userText, modelText) => {
+        history.push({ role: 'user', text: userText }, { role: 'model', text: modelText });
+        if (history.length > MAX_STORED_MESSAGES) history.splice(0, history.length, ...trimChatHistory(history, MAX_STORED_MESSAGES));
+        save(history);
+    };
+
+    return {
+        history,
+        recordTurn,
+
+        // Streams the assistant's reply, calling onText with the reply so far as it grows.
+        // Bookings the assistant proposes are returned for the customer to confirm; a
+        // proposal can be the whole answer, with no text at all.
+        // A dropped connection is only retried if nothing has been shown yet.
+        async send(message, onText) {
+            let reply = '';
+            const bookings = [];
+            await withRetry(() => ai.chatStream({ message, history: trimChatHistory(history), language: getLanguage() }, (event, data) => {
+                if (event === 'booking') bookings.push(data);
+                if (event !== 'delta') return;
+                reply += data.text;
+                onText(reply);
+            }), { shouldRetry: (error) => reply === '' && bookings.length === 0 && isConnectionError(error) });
+            if (bookings.length === 0) validateResponse(chatReplySchema, { reply });
+            recordTurn(message, reply || bookings.map((booking) => t('chat.proposeModel', { day: formatPickupDay(booking.request.date), slot: booking.slotLabel })).join(' '));
+            return { reply, bookings };
+        },
+
+        clear() {
+            history.length = 0;
+            clear();
+        },
+    };
+};
+
+// The chat window in the corner of the page.
+export const initChatbot = ({ session }) => {
+    const chatbotToggleButton = document.getElementById('chatbot-toggle-button');
+    const chatbotWindow = document.getElementById('chatbot-window');
+    const chatbotCloseButton = document.getElementById('chatbot-close-button');
+    const chatbotClearButton = document.getElementById('chatbot-clear-button');
+    const chatbotMessagesContainer = document.getElementById('chatbot-messages');
+    const chatbotForm = document.getElementById('chatbot-form');
+    const chatbotInput = document.getElementById('chatbot-input');
+    const chatbotSubmitButton = document.getElementById('chatbot-submit-button');
+
+    const appendChatBubble = (content, tone = 'bot') => {
+        const bubbleEl = document.createElement('div');
+        bubbleEl.className = `flex ${tone === 'user' ? 'justify-end' : 'justify-start'}`;
+        bubbleEl.innerHTML = tone === 'user'
+            ? html`<div class="bg-brand-green text-white p-3 rounded-lg max-w-[80%]"><p class="text-sm">${content}</p></div>`
+            : tone === 'error'
+                ? html`<div class="bg-red-100 p-3 rounded-lg max-w-[80%]"><p class="text-sm text-red-600">${content}</p></div>`
+                : html`<div class="bg-brand-light-gray p-3 rounded-lg max-w-[80%]"><div class="text-sm text-brand-dark space-y-2">${content}</div></div>`;
+        chatbotMessagesContainer.appendChild(bubbleEl);
+        chatbotMessagesContainer.scrollTop = chatbotMessagesContainer.scrollHeight;
+        return bubbleEl;
+    };
+
+    // The assistant can only propose a pickup; it is booked when the customer
+    // presses Confirm, through the same endpoint as the contact form.
+    const appendBookingCard = (booking) => {
+        const { request, estimate } = booking;
+        const cardEl = appendChatBubble(html`
+            <p class="font-semibold">${t('chat.confirmTitle')}</p>
+            <p>${formatPickupDay(request.date)}, ${booking.slotLabel}</p>
+            <p>${request.name} · ${request.phone}</p>
+            <p>${request.address}, ${request.pincode}</p>
+            ${estimate ? html`<p>${t('chat.estimate', { min: formatRupees(estimate.total.min), max: formatRupees(estimate.total.max) })}</p>` : ''}
+            ${request.message ? html`<p class="italic">${request.message}</p>` : ''}
+            <p class="booking-status hidden"></p>
+            <div class="booking-actions flex items-center gap-3 pt-1">
+                <button type="button" data-booking="confirm" class="bg-brand-green text-white font-bold py-1 px-3 rounded-full">${t('chat.confirm')}</button>
+                <button type="button" data-booking="dismiss" class="text-brand-gray hover:underline">${t('chat.dismiss')}</button>
+            </div>`);
+        const statusEl = cardEl.querySelector('.booking-status');
+        const actionsEl = cardEl.querySelector('.booking-actions');
+        const setStatus = (content, tone) => {
+            statusEl.innerHTML = html`${content}`;
+            statusEl.className = `booking-status ${tone === 'error' ? 'text-red-600' : 'text-brand-green font-semibold'}`;
+        };
+
+        actionsEl.addEventListener('click', async (e) => {
+            const action = e.target instanceof Element ? e.target.closest('[data-booking]')?.dataset.booking : null;
+            if (!action) return;
+            if (action === 'dismiss') {
+                actionsEl.remove();
+                setStatus(t('chat.notBooked'), 'error');
+                session.recordTurn(t('chat.declineUser'), t('chat.declineModel'));
+                return;
+            }
+            actionsEl.querySelectorAll('button').forEach((button) => { button.disabled = true; });
+            try {
+                const { pickup, queued } = await submitPickup(request);
+                actionsEl.remove();
+                if (queued) {
+                    setStatus(t('chat.queued'));
+                    return;
+                }
+                setStatus(html`${t('chat.booked')} <span class="font-mono">${pickup.id}</span>. <a href="/track/${encodeURIComponent(pickup.id)}" class="underline">${t('chat.trackIt')}</a>`);
+                session.recordTurn(t('chat.acceptUser'), t('chat.acceptModel', { day: formatPickupDay(pickup.date), slot: pickup.slotLabel, id: pickup.id }));
+            } catch (error) {
+                setStatus(errorMessage(error), 'error');
+                actionsEl.querySelectorAll('button').forEach((button) => { button.disabled = false; });
+            }
+        });
+    };
+
+    const renderChatTranscript = () => {
+        chatbotMessagesContainer.innerHTML = '';
+        appendChatBubble(html`<p>${t('chat.welcome')}</p>`);
+        session.history.forEach((turn) => appendChatBubble(turn.role === 'user' ? turn.text : renderMarkdown(turn.text), turn.role === 'user' ? 'user' : 'bot'));
+    };
+
+    const toggleChatbot = (forceOpen = null) => {
+        const isOpen = chatbotWindow.classList.contains('flex');
+        if (forceOpen === true || (forceOpen === null && !isOpen)) {
+            chatbotWindow.classList.remove('hidden');
+            chatbotWindow.classList.add('flex');
+            if (chatbotMessagesContainer.children.length === 0) renderChatTranscript();
+        } else if (forceOpen === false || (forceOpen === null && isOpen)) {
+            chatbotWindow.classList.remove('flex');
+            chatbotWindow.classList.add('hidden');
+        }
+    };
+
+    chatbotToggleButton?.addEventListener('click', () => toggleChatbot());
+    chatbotCloseButton?.addEventListener('click', () => toggleChatbot(false));
+    chatbotClearButton?.addEventListener('click', () => {
+        session.clear();
+        renderChatTranscript();
+    });
+
+    chatbotForm?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const userMessage = chatbotInput.value.trim();
+        if (!userMessage) return;
+
+        appendChatBubble(userMessage, 'user');
+        chatbotInput.value = '';
+        // One question at a time, so replies land in the history in order.
+        chatbotInput.disabled = true;
+        chatbotSubmitButton.disabled = true;
+        chatbotClearButton.disabled = true;
+
+        const botMsgEl = appendChatBubble(raw(`<svg class="animate-spin h-5 w-5 text-brand-green" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>`));
+        const botTextEl = botMsgEl.querySelector('div > div');
+
+        try {
+            const { reply, bookings } = await session.send(userMessage, (text) => {
+                botTextEl.innerHTML = renderMarkdown(text);
+                chatbotMessagesContainer.scrollTop = chatbotMessagesContainer.scrollHeight;
+            });
+            if (!reply) botMsgEl.remove();
+            bookings.forEach(appendBookingCard);
+        } catch (error) {
+            botMsgEl.remove();
+            appendChatBubble(errorMessage(error), 'error');
+        } finally {
+            chatbotInput.disabled = false;
+            chatbotSubmitButton.disabled = false;
+            chatbotClearButton.disabled = false;
+            chatbotInput.focus();
+        }
+    });
+};
@@ -0,0 +1,204 @@
+import { confirmReplySchema } from '../shared/schemas.js';
+import { validateResponse } from '../shared/validation.js';
+import { materialLabel } from './catalog.js';
+import { formatPickupDay, formatRupees } from './format.js';
+import { errorMessage, getLanguage, t } from './i18n.js';
+import { checkAvailability, submitPickup } from './pickups.js';
+import { html } from './render.js';
+
+// The personal thank-you is a nicety; a standard one does if the assistant can't write it.
+export const generateContactResponse = async (ai, name) => {
+    try {
+        const { message } = validateResponse(confirmReplySchema, await ai.confirm({ name, language: getLanguage() }));
+        return message;
+    } catch (error) {
+        console.error("Error generating contact response:", error);
+        return t('contact.sentFallback', { name });
+    }
+};
+
+// The pickup request form, with slots offered for the pincode entered. A calculator
+// estimate handed over with setBasket is booked along with it.
+export const initContactForm = ({ ai, getCatalog }) => {
+    const contactForm = document.getElementById('contact-form');
+    const contactFormContainer = document.getElementById('contact-form-container');
+    const submitButton = document.getElementById('contact-submit-button');
+    const errorP = document.getElementById('contact-form-error');
+    const pincodeInput = document.getElementById('contact-pincode');
+    const dateSelect = document.getElementById('contact-date');
+    const slotSelect = document.getElementById('contact-slot');
+    const areaStatus = document.getElementById('contact-area-status');
+    const contactBasketSummary = document.getElementById('contact-basket-summary');
+    const contactMessageInput = document.querySelector('#contact-form textarea[name="message"]');
+    let availability = null;
+    let pickupBasket = null;
+
+    const renderContactBasket = () => {
+        if (!contactBasketSummary) return;
+        contactBasketSummary.classList.toggle('hidden', !pickupBasket);
+        contactMessageInput.required = !pickupBasket;
+        contactMessageInput.placeholder = pickupBasket ? t('contact.messageOptional') : t('contact.messagePlaceholder');
+        if (!pickupBasket) {
+            contactBasketSummary.innerHTML = '';
+            return;
+        }
+        contactBasketSummary.innerHTML = html`
+            <div class="flex items-center justify-between mb-2">
+                <p class="font-semibold">${t('contact.basketTitle', { city: t(`cities.${pickupBasket.city}`) })}</p>
+                <button type="button" id="contact-basket-remove" class="text-sm text-brand-orange hover:underline">${t('contact.remove')}</button>
+            </div>
+            <ul class="text-sm text-brand-light space-y-1">
+                ${pickupBasket.items.map((item) => html`<li>${item.quantity} ${t(`units.${item.unit}`)} ${materialLabel(getCatalog(), item.materialId)}: ${formatRupees(item.estimatedValue.min)} - ${formatRupees(item.estimatedValue.max)}</li>`)}
+            </ul>
+            <p class="mt-2 font-semibold text-brand-orange">${t('contact.estimatedTotal', { min: formatRupees(pickupBasket.total.min), max: formatRupees(pickupBasket.total.max) })}</p>`;
+        document.getElementById('contact-basket-remove')?.addEventListener('click', () => {
+            pickupBasket = null;
+            renderContactBasket();
+        });
+    };
+
+    const setAreaStatus = (text, tone = 'info') => {
+        areaStatus.textContent = text;
+        areaStatus.className = `mt-2 text-sm ${tone === 'error' ? 'text-red-400' : tone === 'ok' ? 'text-brand-green' : 'text-brand-light opacity-80'}`;
+    };
+
+    const renderSlotOptions = () => {
+        const day = availability?.days.find((d) => d.date === dateSelect.value);
+        const previous = slotSelect.value;
+        slotSelect.innerHTML = html`<option value="">${t('contact.timeSlot')}</option>${(day?.slots ?? []).map((slot) => html`
+            <option value="${slot.id}" ${slot.available ? '' : 'disabled'}>${slot.label}${slot.available ? '' : t('contact.full')}</option>`)}`;
+        slotSelect.disabled = !day;
+        if (day?.slots.some((slot) => slot.id === previous && slot.available)) slotSelect.value = previous;
+    };
+
+    const renderDateOptions = () => {
+        const previous = dateSelect.value;
+        const openDays = (availability?.days ?? []).filter((day) => day.slots.some((slot) => slot.available));
+        dateSelect.innerHTML = html`<option value="">${t('contact.pickupDate')}</option>${openDays.map((day) => html`
+            <option value="${day.date}">${formatPickupDay(day.date)}</option>`)}`;
+        dateSelect.disabled = openDays.length === 0;
+        if (openDays.some((day) => day.date === previous)) dateSelect.value = previous;
+        renderSlotOptions();
+    };
+
+    const refreshAvailability = async () => {
+        const pincode = pincodeInput.value.trim();
+        availability = null;
+        if (!/^[1-9]\d{5}$/.test(pincode)) {
+            renderDateOptions();
+            setAreaStatus(pincode ? t('contact.areaInvalid') : t('contact.areaPrompt'), pincode.length === 6 ? 'error' : 'info');
+            return;
+        }
+        setAreaStatus(t('contact.areaChecking'));
+        try {
+            const result = await checkAvailability(pincode);
+            if (pincodeInput.value.trim() !== pincode) return;
+            if (!result.served) {
+                renderDateOptions();
+                setAreaStatus(t('errors.not_served'), 'error');
+                return;
+            }
+            availability = result;
+            renderDateOptions();
+            setAreaStatus(dateSelect.disabled
+                ? t('contact.areaFull', { area: result.area.name })
+                : t('contact.areaServed', { area: result.area.name }), dateSelect.disabled ? 'error' : 'ok');
+        } catch (error) {
+            setAreaStatus(errorMessage(error), 'error');
+        }
+    };
+
+    const renderPickupBooked = (pickup, message) => {
+        delete contactFormContainer.dataset.queuedId;
+        contactFormContainer.innerHTML = html`
+            <div class="text-center p-8 bg-brand-green/10 border border-brand-green rounded-lg">
+              <h3 class="text-2xl font-bold text-white mb-2">${t('contact.sentTitle')}</h3>
+              <p class="text-brand-light">${message}</p>
+              <p class="text-brand-light mt-4">${t('contact.pickupOn')} <span class="font-bold">${formatPickupDay(pickup.date)}, ${pickup.slotLabel}</span></p>
+              <p class="text-brand-light mt-1">${t('contact.pickupId')} <span class="font-mono font-bold text-brand-orange">${pickup.id}</span></p>
+              <a href="/track/${encodeURIComponent(pickup.id)}" class="inline-block mt-4 bg-brand-green hover:bg-opacity-90 text-white font-bold py-2 px-6 rounded-full">${t('contact.track')}</a>
+            </div>`;
+    };
+
+    pincodeInput?.addEventListener('input', refreshAvailability);
+    dateSelect?.addEventListener('change', renderSlotOptions);
+
+    contactForm?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const formData = new FormData(contactForm);
+        const name = formData.get('name');
+
+        let isValid = true;
+        for (const [field, value] of formData.entries()) {
+            if (!value && !(field === 'message' && pickupBasket)) {
+                isValid = false;
+                break;
+            }
+        }
+
+        if (!isValid) {
+            errorP.textContent = t('contact.fillAll');
+            errorP.classList.remove('hidden');
+            return;
+        }
+
+        if (!formData.get('date') || !formData.get('slotId')) {
+            errorP.textContent = availability ? t('contact.pickSlot') : t('contact.pickServedPincode');
+            errorP.classList.remove('hidden');
+            return;
+        }
+
+        errorP.classList.add('hidden');
+        submitButton.disabled = true;
+        submitButton.textContent = t('contact.submitting');
+
+        try {
+            const { pickup, queued } = await submitPickup({
+                ...Object.fromEntries(formData),
+                ...(pickupBasket && {
+                    city: pickupBasket.city,
+                    items: pickupBasket.items.map(({ materialId, quantity, unit }) => ({ materialId, quantity, unit })),
+                }),
+            });
+            if (queued) {
+                const slot = availability?.days.find((day) => day.date === queued.payload.date)?.slots.find((candidate) => candidate.id === queued.payload.slotId);
+                contactFormContainer.dataset.queuedId = queued.id;
+                contactFormContainer.innerHTML = html`
+                    <div class="text-center p-8 bg-brand-orange/10 border border-brand-orange rounded-lg">
+                      <h3 class="text-2xl font-bold text-white mb-2">${t('contact.queuedTitle')}</h3>
+                      <p class="text-brand-light">${t('contact.queuedText', { day: formatPickupDay(queued.payload.date), slot: slot?.label ?? '' })}</p>
+                      <p class="inline-block mt-4 bg-brand-orange/20 text-brand-light rounded-full px-3 py-1 text-sm">${t('sync.pendingBadge')}</p>
+                    </div>`;
+                return;
+            }
+            renderPickupBooked(pickup, await generateContactResponse(ai, name));
+        } catch (error) {
+            console.error('FAILED to submit form:', error);
+            errorP.textContent = errorMessage(error);
+            errorP.classList.remove('hidden');
+            // Someone else may have taken the last place in the chosen slot.
+            if (error.status === 409) refreshAvailability();
+            submitButton.disabled = false;
+            submitButton.textContent = t('contact.submit');
+        }
+    });
+
+    return {
+        setBasket(estimate) {
+            pickupBasket = estimate;
+            renderContactBasket();
+        },
+
+        appendToMessage(text) {
+            if (!contactMessageInput) return;
+            contactMessageInput.value = contactMessageInput.value ? `${contactMessageInput.value.trimEnd()}\n${text}` : text;
+        },
+
+        // Replaces the "saved offline" card once its queued request has been booked.
+        showSyncedPickup(entry, pickup) {
+            if (contactFormContainer?.dataset.queuedId === entry.id) {
+                renderPickupBooked(pickup, t('contact.sentFallback', { name: entry.payload.name }));
+            }
+        },
+    };
+};
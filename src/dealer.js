@@ -0,0 +1,253 @@
+import { PICKUP_STATUS, PICKUP_STATUS_LABELS } from '../shared/pickupStatus.js';
+import { DEFAULT_CATALOG } from '../shared/rateCard.js';
+import { getJson, postJson } from './api.js';
+import { loadCatalog } from './catalog.js';
+import { formatPickupDay, formatRupees } from './format.js';
+import { html } from './render.js';
+
+const TOKEN_KEY = 'recyclink.dealerToken';
+const DEALER_KEY = 'recyclink.dealer';
+
+document.addEventListener('DOMContentLoaded', () => {
+    const loginSection = document.getElementById('dealer-login');
+    const loginForm = document.getElementById('dealer-login-form');
+    const loginError = document.getElementById('dealer-login-error');
+    const dashboard = document.getElementById('dealer-dashboard');
+    const sessionBar = document.getElementById('dealer-session');
+    const dealerName = document.getElementById('dealer-name');
+    const logoutButton = document.getElementById('dealer-logout-button');
+    const refreshButton = document.getElementById('dealer-refresh-button');
+    const errorP = document.getElementById('dealer-error');
+    const myPickups = document.getElementById('dealer-my-pickups');
+    const openPickups = document.getElementById('dealer-open-pickups');
+
+    let token = sessionStorage.getItem(TOKEN_KEY);
+    let dealer = JSON.parse(sessionStorage.getItem(DEALER_KEY) ?? 'null');
+    let pickups = [];
+    let completingId = null;
+    let catalog = DEFAULT_CATALOG;
+    loadCatalog().then((loaded) => { catalog = loaded; });
+
+    const showError = (message) => {
+        errorP.textContent = message;
+        errorP.classList.toggle('hidden', !message);
+    };
+
+    const showLoggedIn = (loggedIn) => {
+        loginSection.classList.toggle('hidden', loggedIn);
+        dashboard.classList.toggle('hidden', !loggedIn);
+        sessionBar.classList.toggle('hidden', !loggedIn);
+        dealerName.textContent = loggedIn ? dealer.name : '';
+    };
+
+    const clearSession = () => {
+        token = null;
+        dealer = null;
+        sessionStorage.removeItem(TOKEN_KEY);
+        sessionStorage.removeItem(DEALER_KEY);
+        showLoggedIn(false);
+    };
+
+    const handleError = (error) => {
+        if (error.status === 401) {
+            clearSession();
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+            return;
+        }
+        showError(error.message || 'Something went wrong. Please try again.');
+    };
+
+    const estimateLines = (pickup) => (pickup.estimate?.items ?? []).map((item) => html`
+        <li>${item.material}: ${item.quantity} ${item.unit} (${formatRupees(item.estimatedValue.min)} - ${formatRupees(item.estimatedValue.max)})</li>`);
+
+    const renderCompleteForm = (pickup) => {
+        const lines = pickup.estimate?.items?.length ? pickup.estimate.items : [{ materialId: '', unit: 'kg', quantity: '' }];
+        const materialOptions = (selected) => Object.entries(catalog.materials).map(([id, { name }]) => html`
+            <option value="${id}" ${id === selected ? 'selected' : ''}>${name}</option>`);
+        const lineRow = (line) => html`
+            <div class="grid grid-cols-12 gap-2 weighed-line">
+                <select name="materialId" required class="col-span-5 bg-brand-light-gray border border-gray-300 rounded-md p-2 text-sm">
+                    <option value="">Material</option>
+                    ${materialOptions(line.materialId)}
+                </select>
+                <input name="quantity" type="number" min="0" step="0.01" required value="${line.quantity}" class="col-span-2 bg-brand-light-gray border border-gray-300 rounded-md p-2 text-sm" aria-label="Quantity" />
+                <select name="unit" class="col-span-2 bg-brand-light-gray border border-gray-300 rounded-md p-2 text-sm" aria-label="Unit">
+                    <option value="kg" ${line.unit === 'kg' ? 'selected' : ''}>kg</option>
+                    <option value="pieces" ${line.unit === 'pieces' ? 'selected' : ''}>pcs</option>
+                </select>
+                <input name="amountPaid" type="number" min="0" step="1" required placeholder="₹ paid" class="col-span-3 bg-brand-light-gray border border-gray-300 rounded-md p-2 text-sm" aria-label="Amount paid" />
+            </div>`;
+        return html`
+            <form class="complete-form mt-4 space-y-2 border-t pt-4" data-id="${pickup.id}">
+                <p class="text-sm font-medium text-brand-gray">Weighed items and amount paid</p>
+                <div class="weighed-lines space-y-2">${lines.map(lineRow)}</div>
+                <button type="button" class="add-line-button text-sm text-brand-green hover:underline">+ Add item</button>
+                <div class="flex space-x-2 pt-2">
+                    <button type="submit" class="bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm">Save &amp; Issue Receipt</button>
+                    <button type="button" class="cancel-complete-button text-sm text-brand-gray hover:underline">Cancel</button>
+                </div>
+            </form>`;
+    };
+
+    const actionsFor = (pickup) => {
+        if (pickup.status === PICKUP_STATUS.REQUESTED) {
+            return html`<button type="button" class="pickup-action bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm" data-action="accept" data-id="${pickup.id}">Accept Pickup</button>`;
+        }
+        if (pickup.status === PICKUP_STATUS.ASSIGNED) {
+            return html`
+                <button type="button" class="pickup-action bg-brand-orange text-white font-bold py-2 px-4 rounded-full text-sm" data-action="en-route" data-id="${pickup.id}">On My Way</button>
+                <button type="button" class="pickup-action bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm" data-action="complete" data-id="${pickup.id}">Record Weighing</button>`;
+        }
+        if (pickup.status === PICKUP_STATUS.EN_ROUTE) {
+            return html`
+                <button type="button" class="pickup-action bg-brand-orange text-white font-bold py-2 px-4 rounded-full text-sm" data-action="arrived" data-id="${pickup.id}">Mark Arrived</button>
+                <button type="button" class="pickup-action bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm" data-action="complete" data-id="${pickup.id}">Record Weighing</button>`;
+        }
+        if (pickup.status === PICKUP_STATUS.ARRIVED) {
+            return html`<button type="button" class="pickup-action bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm" data-action="complete" data-id="${pickup.id}">Record Weighing</button>`;
+        }
+        if (pickup.status === PICKUP_STATUS.PAID) {
+            return html`
+                <button type="button" class="pickup-action bg-brand-green text-white font-bold py-2 px-4 rounded-full text-sm" data-action="recycled" data-id="${pickup.id}">Mark Recycled</button>
+                <a href="/receipt.html?id=${encodeURIComponent(pickup.id)}" class="text-brand-green font-medium hover:underline text-sm">View Receipt (${formatRupees(pickup.receipt.totalPaid)} paid)</a>`;
+        }
+        if (pickup.status === PICKUP_STATUS.RECYCLED) {
+            return html`<a href="/receipt.html?id=${encodeURIComponent(pickup.id)}" class="text-brand-green font-medium hover:underline text-sm">View Receipt (${formatRupees(pickup.receipt.totalPaid)} paid)</a>`;
+        }
+        return '';
+    };
+
+    const pickupCard = (pickup) => html`
+        <div class="bg-white p-5 rounded-xl shadow">
+            <div class="flex items-start justify-between">
+                <div>
+                    <p class="font-bold">${pickup.id}</p>
+                    <p class="text-sm text-brand-gray">${formatPickupDay(pickup.date)}, ${pickup.slotLabel}</p>
+                </div>
+                <span class="text-xs font-medium bg-brand-light-gray rounded-full px-3 py-1">${PICKUP_STATUS_LABELS[pickup.status]}</span>
+            </div>
+            ${pickup.name ? html`
+            <div class="mt-3 text-sm">
+                <p class="font-medium">${pickup.name} · <a href="tel:${pickup.phone}" class="text-brand-green hover:underline">${pickup.phone}</a></p>
+                <p class="text-brand-gray">${pickup.address}, ${pickup.pincode}</p>
+            </div>` : html`<p class="mt-3 text-sm text-brand-gray">Pincode ${pickup.pincode}. Contact details appear once you accept.</p>`}
+            ${pickup.estimate ? html`
+            <ul class="mt-3 text-sm text-brand-gray list-disc list-inside">${estimateLines(pickup)}</ul>
+            <p class="mt-1 text-sm">Estimate: <span class="font-semibold">${formatRupees(pickup.estimate.total.min)} - ${formatRupees(pickup.estimate.total.max)}</span></p>` : ''}
+            ${pickup.message ? html`<p class="mt-2 text-sm italic text-brand-gray">"${pickup.message}"</p>` : ''}
+            <div class="mt-4 flex flex-wrap gap-2 items-center">${completingId === pickup.id ? '' : actionsFor(pickup)}</div>
+            ${completingId === pickup.id ? renderCompleteForm(pickup) : ''}
+        </div>`;
+
+    const render = () => {
+        const mine = pickups.filter((pickup) => pickup.dealerId === dealer.id);
+        const open = pickups.filter((pickup) => !pickup.dealerId);
+        myPickups.innerHTML = mine.length
+            ? html`${mine.map(pickupCard)}`
+            : html`<p class="text-brand-gray">You have not accepted any pickups yet.</p>`;
+        openPickups.innerHTML = open.length
+            ? html`${open.map(pickupCard)}`
+            : html`<p class="text-brand-gray">No open requests in your areas right now.</p>`;
+    };
+
+    const loadPickups = async () => {
+        showError('');
+        try {
+            ({ pickups } = await getJson('/api/dealer/pickups', { token }));
+            render();
+        } catch (error) {
+            handleError(error);
+        }
+    };
+
+    const replacePickup = (updated) => {
+        pickups = pickups.map((pickup) => (pickup.id === updated.id ? updated : pickup));
+        render();
+    };
+
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        loginError.classList.add('hidden');
+        const { phone, pin } = Object.fromEntries(new FormData(loginForm));
+        try {
+            ({ token, dealer } = await postJson('/api/dealer/login', { phone, pin }));
+            sessionStorage.setItem(TOKEN_KEY, token);
+            sessionStorage.setItem(DEALER_KEY, JSON.stringify(dealer));
+            loginForm.reset();
+            showLoggedIn(true);
+            await loadPickups();
+        } catch (error) {
+            loginError.textContent = error.message;
+            loginError.classList.remove('hidden');
+        }
+    });
+
+    logoutButton.addEventListener('click', async () => {
+        await postJson('/api/dealer/logout', {}, { token }).catch(() => {});
+        clearSession();
+    });
+
+    refreshButton.addEventListener('click', loadPickups);
+
+    dashboard.addEventListener('click', async (e) => {
+        const target = e.target instanceof Element ? e.target : null;
+        if (target?.closest('.add-line-button')) {
+            const container = target.closest('form').querySelector('.weighed-lines');
+            const row = container.lastElementChild.cloneNode(true);
+            row.querySelectorAll('input').forEach((input) => { input.value = ''; });
+            container.appendChild(row);
+            return;
+        }
+        if (target?.closest('.cancel-complete-button')) {
+            completingId = null;
+            render();
+            return;
+        }
+        const button = target?.closest('.pickup-action');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        if (action === 'complete') {
+            completingId = id;
+            render();
+            return;
+        }
+        button.disabled = true;
+        showError('');
+        try {
+            replacePickup(await postJson(`/api/dealer/pickups/${encodeURIComponent(id)}/${action}`, {}, { token }));
+        } catch (error) {
+            handleError(error);
+            if (error.status === 409) await loadPickups();
+        }
+    });
+
+    dashboard.addEventListener('submit', async (e) => {
+        const form = e.target instanceof HTMLFormElement && e.target.closest('.complete-form');
+        if (!form) return;
+        e.preventDefault();
+        const items = [...form.querySelectorAll('.weighed-line')].map((row) => ({
+            materialId: row.querySelector('[name="materialId"]').value,
+            quantity: Number(row.querySelector('[name="quantity"]').value),
+            unit: row.querySelector('[name="unit"]').value,
+            amountPaid: Number(row.querySelector('[name="amountPaid"]').value),
+        }));
+        form.querySelector('button[type="submit"]').disabled = true;
+        showError('');
+        try {
+            const updated = await postJson(`/api/dealer/pickups/${encodeURIComponent(form.dataset.id)}/complete`, { items }, { token });
+            completingId = null;
+            replacePickup(updated);
+        } catch (error) {
+            form.querySelector('button[type="submit"]').disabled = false;
+            handleError(error);
+        }
+    });
+
+    if (token && dealer) {
+        showLoggedIn(true);
+        loadPickups();
+    } else {
+        showLoggedIn(false);
+    }
+});
@@ -0,0 +1,16 @@
+import { getDateLocale } from './i18n.js';
+
+// Amounts always use Indian digit grouping (₹1,23,456) whatever the UI language.
+const rupees = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', minimumFractionDigits: 0, maximumFractionDigits: 2 });
+
+export const formatRupees = (amount) => rupees.format(amount);
+
+export const formatImpact = (value) => value.toLocaleString('en-IN', { maximumFractionDigits: value < 10 ? 2 : 0 });
+
+export const formatRateCardDate = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(getDateLocale(), { day: 'numeric', month: 'short', year: 'numeric' });
+
+export const formatMonth = (month) => new Date(`${month}-01T00:00:00`).toLocaleDateString(getDateLocale(), { month: 'short' });
+
+export const formatPickupDay = (isoDate) => new Date(`${isoDate}T00:00:00`).toLocaleDateString(getDateLocale(), { weekday: 'short', day: 'numeric', month: 'short' });
+
+export const formatDateTime = (isoString) => new Date(isoString).toLocaleString(getDateLocale(), { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
@@ -0,0 +1,85 @@
+import { DEFAULT_LANGUAGE, LANGUAGES, resolveLanguage } from '../shared/languages.js';
+import en from './locales/en.js';
+import hi from './locales/hi.js';
+import mr from './locales/mr.js';
+
+const CATALOGS = { en, hi, mr };
+const STORAGE_KEY = 'recyclink.language';
+
+const detectLanguage = () => {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored) return resolveLanguage(stored);
+    } catch (error) {
+        // Storage is disabled; fall through to the browser's preference.
+    }
+    const preferred = (navigator.languages ?? [navigator.language]).map((tag) => String(tag).slice(0, 2).toLowerCase());
+    return preferred.find((code) => Object.hasOwn(LANGUAGES, code)) ?? DEFAULT_LANGUAGE;
+};
+
+let language = detectLanguage();
+
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+export const getLanguage = () => language;
+
+// Dates follow the chosen language; Latin digits keep them consistent with prices.
+export const getDateLocale = () => `${language}-IN-u-nu-latn`;
+
+// Looks `key` up in the current catalog, falling back to English, and fills in
+// `{placeholders}` from `params`.
+export const t = (key, params = {}) => {
+    const template = lookup(CATALOGS[language], key) ?? lookup(en, key);
+    if (typeof template !== 'string') return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+// For names that come from the API, such as materials added in the admin page:
+// English always shows the API's name, other languages their own translation if
+// they have one.
+export const translateOr = (key, fallback) => {
+    if (language === DEFAULT_LANGUAGE) return fallback;
+    const template = lookup(CATALOGS[language], key);
+    return typeof template === 'string' ? template : fallback;
+};
+
+// Typed AI errors, and booking problems the server reports as codes in `details`
+// (such as { slotId: 'full' }), are shown in the user's language; anything else
+// keeps the server's message.
+export const errorMessage = (error) => {
+    const codes = [error?.code, ...Object.values(error?.details ?? {})].filter((code) => typeof code === 'string' && /^\w+$/.test(code));
+    const localized = codes.map((code) => lookup(CATALOGS[language], `errors.${code}`)).find((message) => typeof message === 'string');
+    return localized || error?.message || t('errors.generic');
+};
+
+export const setLanguage = (code) => {
+    language = resolveLanguage(code);
+    try {
+        localStorage.setItem(STORAGE_KEY, language);
+    } catch (error) {
+        // The choice just won't be remembered.
+    }
+};
+
+// Fills in every element marked with data-i18n (text) or data-i18n-placeholder,
+// data-i18n-aria-label or data-i18n-alt (attributes).
+export const translatePage = (root = document) => {
+    document.documentElement.lang = language;
+    root.querySelectorAll('[data-i18n]').forEach((el) => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => { el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel)); });
+    root.querySelectorAll('[data-i18n-alt]').forEach((el) => { el.alt = t(el.dataset.i18nAlt); });
+};
+
+// Language pickers are plain <select class="language-switcher"> elements. Changing
+// language reloads the page so everything, including dynamic content, re-renders.
+export const initLanguageSwitchers = () => {
+    document.querySelectorAll('select.language-switcher').forEach((select) => {
+        select.innerHTML = '';
+        Object.entries(LANGUAGES).forEach(([code, { nativeName }]) => select.add(new Option(nativeName, code, false, code === language)));
+        select.addEventListener('change', () => {
+            setLanguage(select.value);
+            window.location.reload();
+        });
+    });
+};
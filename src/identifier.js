@@ -0,0 +1,170 @@
+import { isConnectionError } from '../shared/errors.js';
+import { withRetry } from '../shared/retry.js';
+import { identifyResultSchema } from '../shared/schemas.js';
+import { validateResponse } from '../shared/validation.js';
+import { categoryLabel, materialLabel } from './catalog.js';
+import { formatRupees } from './format.js';
+import { errorMessage, getLanguage, t } from './i18n.js';
+import { html } from './render.js';
+import { showLoadingSpinner } from './views.js';
+
+const MAX_PHOTOS = 4;
+const MAX_PHOTO_DIMENSION = 1280;
+const PHOTO_QUALITY = 0.8;
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(img);
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(t('identifier.readFailed', { file: file.name })));
+    };
+    img.src = url;
+});
+
+// Phone photos are often 4000px+ and several MB; the model does not need more than ~1280px.
+export const compressPhoto = async (file) => {
+    const img = await loadImage(file);
+    const scale = Math.min(1, MAX_PHOTO_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    const dataUrl = canvas.toDataURL('image/jpeg', PHOTO_QUALITY);
+    return { dataUrl, mimeType: 'image/jpeg', data: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+};
+
+export const identifyScrap = async (ai, images, city) => validateResponse(identifyResultSchema, await withRetry(() => ai.identify({ images, city, language: getLanguage() }), { shouldRetry: isConnectionError }));
+
+// The photo identifier. Items it recognises can be passed on with `addToBasket`
+// (anything we have a rate for, as a calculator line) or `addToRequest` (the rest,
+// as a note for the kabaadiwala). Items are priced for the city `getCity` returns.
+// `preparePhoto` turns a picked file into { dataUrl, mimeType, data }.
+export const initIdentifier = ({ ai, getCatalog, getCity = () => undefined, addToBasket, addToRequest, preparePhoto = compressPhoto }) => {
+    const identifierFileInput = document.getElementById('waste-upload-input');
+    const identifierCameraInput = document.getElementById('waste-camera-input');
+    const identifierPreviews = document.getElementById('waste-image-previews');
+    const identifierUploadLabel = document.getElementById('waste-upload-label');
+    const identifierAddMoreLabel = document.getElementById('waste-add-more-label');
+    const identifierClearButton = document.getElementById('waste-clear-button');
+    const identifierResultArea = document.getElementById('identifier-result-area');
+    let photos = [];
+    let detectedItems = [];
+
+    const renderPhotoPreviews = () => {
+        const hasPhotos = photos.length > 0;
+        identifierPreviews.classList.toggle('hidden', !hasPhotos);
+        identifierUploadLabel.classList.toggle('hidden', hasPhotos);
+        identifierAddMoreLabel?.classList.toggle('hidden', !hasPhotos || photos.length >= MAX_PHOTOS);
+        identifierClearButton?.classList.toggle('hidden', !hasPhotos);
+        identifierPreviews.innerHTML = photos.map((photo, index) => html`
+            <img src="${photo.dataUrl}" alt="${t('identifier.photoAlt', { number: index + 1 })}" class="w-full h-full object-cover rounded-md ${photos.length === 1 ? 'col-span-2 row-span-2 object-contain' : ''}" />`).join('');
+    };
+
+    const hasRate = (item) => Boolean(item.materialId && getCatalog().materials[item.materialId]);
+
+    const handleIdentifyClick = async () => {
+        if (photos.length === 0) return;
+        showLoadingSpinner(identifierResultArea, photos.length > 1 ? t('identifier.analyzingMany', { count: photos.length }) : t('identifier.analyzingOne'));
+        try {
+            const result = await identifyScrap(ai, photos.map(({ data, mimeType }) => ({ data, mimeType })), getCity());
+            detectedItems = result.items;
+            if (detectedItems.length === 0) {
+                identifierResultArea.innerHTML = html`<p class="text-yellow-600 font-bold text-center">${t('identifier.nothingFound')}</p>`;
+                return;
+            }
+            const itemsHTML = detectedItems.map((item, index) => {
+                const action = item.recyclable
+                    ? html`<p class="font-bold text-xl text-brand-orange">${item.rate
+                        ? t('identifier.rate', { min: formatRupees(item.rate.min), max: formatRupees(item.rate.max), per: t(`calculator.per.${item.unit}`) })
+                        : item.estimatedPrice}</p>
+                       <button type="button" data-add-detected="${index}" class="mt-2 bg-brand-green hover:bg-opacity-90 text-white text-sm font-bold py-1 px-4 rounded-full">${hasRate(item) ? t('identifier.addToCalculator') : t('identifier.addToPickup')}</button>`
+                    : html`<p class="text-yellow-600 text-sm font-bold">${t('identifier.notScrap')}</p>`;
+                return html`
+                <li class="py-4">
+                    <h3 class="text-xl font-bold text-brand-dark">${item.itemName}</h3>
+                    <p class="text-sm text-brand-green font-semibold mb-2">${item.categoryId ? categoryLabel(getCatalog(), item.categoryId) : t('identifier.otherCategory')}</p>
+                    ${action}
+                </li>`;
+            });
+            const fallbackHTML = result.fallback
+                ? html`<p class="text-yellow-600 text-sm text-center mb-2">${t('identifier.fallback')}</p>`
+                : '';
+            identifierResultArea.innerHTML = html`<div class="text-left">${fallbackHTML}
+                <p class="text-brand-gray text-center mb-1">${detectedItems.length === 1 ? t('identifier.identifiedOne') : t('identifier.identifiedMany', { count: detectedItems.length })}</p>
+                <ul class="divide-y divide-gray-200 text-center">${itemsHTML}</ul>
+                <p class="text-xs text-brand-gray text-center mt-2">${t('identifier.priceNote')}</p>
+                <div class="text-center mt-4">
+                    <button data-scroll-to="#contact" class="bg-brand-orange hover:bg-opacity-90 text-white font-bold py-2 px-6 rounded-full">${t('identifier.schedulePickup')}</button>
+                </div>
+            </div>`;
+            document.querySelector('#identifier-result-area button[data-scroll-to]')?.addEventListener('click', function (e) {
+                 e.preventDefault();
+                 document.querySelector(this.dataset.scrollTo).scrollIntoView({ behavior: 'smooth' });
+            });
+        } catch (err) {
+            identifierResultArea.innerHTML = html`<p class="text-red-500 text-center">${errorMessage(err)}</p>`;
+        }
+    };
+
+    // Items we have a rate for join the calculator basket; anything else is noted in the pickup message.
+    const addDetectedItem = (item) => {
+        if (hasRate(item)) {
+            const catalog = getCatalog();
+            const quantity = Number(item.estimatedQuantity);
+            addToBasket({
+                materialId: item.materialId,
+                name: materialLabel(catalog, item.materialId),
+                quantity: quantity > 0 ? quantity : 1,
+                unit: item.unit === 'pieces' ? 'pieces' : 'kg',
+            });
+            return t('identifier.addedToBasket');
+        }
+        addToRequest(item.itemName);
+        return t('identifier.addedToRequest');
+    };
+
+    identifierResultArea?.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-add-detected]');
+        if (!button) return;
+        const item = detectedItems[Number(button.dataset.addDetected)];
+        if (!item) return;
+        button.textContent = `✓ ${addDetectedItem(item)}`;
+        button.disabled = true;
+    });
+
+    const resetIdentifierUI = () => {
+        identifierResultArea.innerHTML = html`<button id="waste-identify-button" class="bg-brand-orange hover:bg-opacity-90 text-white font-bold py-3 px-8 rounded-full text-lg shadow-lg disabled:bg-gray-400 disabled:cursor-not-allowed" disabled>${t('identifier.identify')}</button>`;
+        document.getElementById('waste-identify-button')?.addEventListener('click', handleIdentifyClick);
+    };
+    resetIdentifierUI();
+
+    const handlePhotoSelection = async (event) => {
+        const files = Array.from(event.target.files ?? []).slice(0, MAX_PHOTOS - photos.length);
+        event.target.value = '';
+        if (files.length === 0) return;
+        showLoadingSpinner(identifierResultArea, t('identifier.preparing'));
+        const prepared = await Promise.allSettled(files.map(preparePhoto));
+        photos = photos.concat(prepared.filter((p) => p.status === 'fulfilled').map((p) => p.value));
+        renderPhotoPreviews();
+        resetIdentifierUI();
+        if (photos.length > 0) document.getElementById('waste-identify-button')?.removeAttribute('disabled');
+        if (prepared.some((p) => p.status === 'rejected')) {
+            identifierResultArea.insertAdjacentHTML('beforeend', html`<p class="text-red-500 text-sm mt-2">${t('identifier.unreadable')}</p>`);
+        }
+    };
+
+    identifierFileInput?.addEventListener('change', handlePhotoSelection);
+    identifierCameraInput?.addEventListener('change', handlePhotoSelection);
+
+    identifierClearButton?.addEventListener('click', () => {
+        photos = [];
+        detectedItems = [];
+        renderPhotoPreviews();
+        resetIdentifierUI();
+    });
+};
@@ -0,0 +1,67 @@
+import { IMPACT_METRICS } from '../shared/impact.js';
+import { formatImpact } from './format.js';
+import { t } from './i18n.js';
+import { downloadBlob } from './views.js';
+
+const SIZE = 1080;
+const PADDING = 90;
+const COLORS = { dark: '#3E2723', green: '#4CAF50', orange: '#FF9800', light: '#F5F5F5' };
+const FILENAME = 'recyclink-impact.png';
+
+const font = (weight, size) => `${weight} ${size}px Inter, sans-serif`;
+
+// A square image of the household's lifetime impact, sized for social media.
+const drawImpactCard = async (totals) => {
+    await document.fonts?.ready;
+    const canvas = Object.assign(document.createElement('canvas'), { width: SIZE, height: SIZE });
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = COLORS.dark;
+    ctx.fillRect(0, 0, SIZE, SIZE);
+    ctx.fillStyle = COLORS.green;
+    ctx.fillRect(0, 0, SIZE, 24);
+
+    ctx.fillStyle = COLORS.light;
+    ctx.font = font(700, 64);
+    ctx.fillText(t('wallet.cardTitle'), PADDING, 190);
+    ctx.fillStyle = COLORS.orange;
+    ctx.font = font(500, 40);
+    ctx.fillText(t('wallet.cardPickups', { count: totals.pickups }), PADDING, 260);
+
+    IMPACT_METRICS.forEach(({ key, unit }, index) => {
+        const x = PADDING + (index % 2) * 470;
+        const y = 450 + Math.floor(index / 2) * 240;
+        const value = formatImpact(totals.impact[key]);
+        ctx.fillStyle = COLORS.green;
+        ctx.font = font(700, 96);
+        ctx.fillText(value, x, y);
+        const valueWidth = ctx.measureText(value).width;
+        ctx.font = font(500, 40);
+        ctx.fillText(t(`units.${unit}`), x + valueWidth + 16, y);
+        ctx.fillStyle = COLORS.light;
+        ctx.font = font(400, 36);
+        ctx.fillText(t(`impact.${key}`), x, y + 56);
+    });
+
+    ctx.fillStyle = COLORS.light;
+    ctx.font = font(700, 44);
+    ctx.fillText('Recyclink', PADDING, SIZE - PADDING - 50);
+    ctx.font = font(400, 32);
+    ctx.fillText(t('wallet.cardFooter'), PADDING, SIZE - PADDING);
+    return new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+};
+
+// Opens the share sheet with the card where the browser can share files, and
+// downloads it otherwise. Closing the share sheet is not an error.
+export const shareImpactCard = async (totals) => {
+    const blob = await drawImpactCard(totals);
+    const file = new File([blob], FILENAME, { type: 'image/png' });
+    if (!navigator.canShare?.({ files: [file] })) {
+        downloadBlob(blob, FILENAME);
+        return;
+    }
+    try {
+        await navigator.share({ files: [file], text: t('wallet.shareText', { co2: formatImpact(totals.impact.co2eKg) }) });
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+    }
+};
@@ -0,0 +1,288 @@
+export default {
+    meta: {
+        title: 'Recyclink | Sell Your Scrap Online',
+    },
+    nav: {
+        whyUs: 'Why Us',
+        whatWeBuy: 'What We Buy',
+        identifier: 'Identifier',
+        process: 'Our Process',
+        calculator: 'Calculator',
+        contact: 'Contact',
+        wallet: 'My Wallet',
+        schedulePickup: 'Schedule Pickup',
+        openMenu: 'Open navigation menu',
+        closeMenu: 'Close navigation menu',
+        language: 'Language',
+    },
+    hero: {
+        imageAlt: 'Scrap materials background',
+        title: 'Turn Your Scrap into Cash',
+        subtitle: 'Connect with your local scrap collector. Get fair prices for your paper, plastics, and metals, right from your doorstep.',
+        cta: 'Schedule a Free Pickup',
+    },
+    whyUs: {
+        imageAlt: 'A scrapyard',
+        title: 'Why Choose Recyclink?',
+        subtitle: 'We are your trusted partners, connecting you with local scrap dealers for a transparent, convenient, and rewarding experience.',
+        pricingTitle: 'Fair & Transparent Pricing',
+        pricingText: 'Our platform ensures you get competitive rates for your scrap, with on-the-spot weighing and payment.',
+        pickupTitle: 'Convenient Doorstep Pickup',
+        pickupText: 'No more hassle. Schedule a pickup, and a verified local scrap collector will arrive at your preferred time.',
+        localTitle: 'Support Local & The Environment',
+        localText: 'Empower local entrepreneurs and contribute to a greener planet with every item you sell.',
+    },
+    services: {
+        title: 'What We Buy',
+        subtitle: 'We accept a wide range of household and office scrap. Check out our categories below.',
+        paper: { title: 'Paper & Cardboard', description: 'Newspapers, books, magazines, and all types of cardboard boxes.' },
+        plastics: { title: 'Plastics', description: 'PET bottles, milk jugs, containers, and other household plastic items.' },
+        metals: { title: 'Metals', description: 'Iron, steel, aluminum cans, copper wires, and brass items.' },
+        ewaste: { title: 'E-Waste', description: 'Old laptops, mobile phones, chargers, TVs, and other electronics.' },
+    },
+    identifier: {
+        title: 'AI Scrap Identifier',
+        subtitle: "Not sure what it's worth? Upload or snap a few photos and our AI will identify each item and give you an estimated price!",
+        upload: 'Click to upload photos',
+        uploadHint: 'PNG, JPG, or WEBP, up to 4 photos',
+        takePhoto: 'Take a photo',
+        addMore: 'Add more',
+        clearPhotos: 'Clear photos',
+        identify: 'Identify Scrap',
+        preparing: 'Preparing photos...',
+        analyzingOne: 'Analyzing photo...',
+        analyzingMany: 'Analyzing {count} photos...',
+        photoAlt: 'scrap photo {number}',
+        readFailed: 'Could not read {file}.',
+        unreadable: 'Some photos could not be read and were skipped.',
+        nothingFound: "⚠️ We couldn't spot any scrap in these photos. Please try a clearer picture.",
+        notScrap: '⚠️ This may not be standard scrap. Please contact us for more information.',
+        fallback: "⚠️ Our AI couldn't analyse these photos reliably, so this is only a rough guess. Please check the items before adding them.",
+        identifiedOne: 'Identified Item:',
+        identifiedMany: 'Identified {count} Items:',
+        rate: '{min} - {max} per {per}',
+        otherCategory: 'Other scrap',
+        priceNote: '(Final price may vary based on quality & location)',
+        addToCalculator: 'Add to Calculator',
+        addToPickup: 'Add to Pickup',
+        addedToBasket: 'Added to the calculator',
+        addedToRequest: 'Added to pickup request',
+        schedulePickup: 'Schedule Pickup',
+    },
+    process: {
+        title: 'Our 4-Step Process',
+        subtitle: 'Simple, transparent, and rewarding from start to finish.',
+        schedule: { title: '1: Schedule Pickup', description: 'Fill out our simple form and pick a date and time slot for collection.' },
+        arrives: { title: '2: Kabaadiwala Arrives', description: 'A verified local scrap dealer arrives at your doorstep on time.' },
+        weigh: { title: '3: Weigh & Get Paid', description: 'Your items are weighed transparently, and you receive instant cash.' },
+        recycle: { title: '4: Eco-Friendly Recycling', description: 'Your scrap is sent for responsible recycling, protecting our planet.' },
+    },
+    calculator: {
+        title: 'Scrap Value Calculator',
+        subtitle: "Get an instant estimate of your scrap's value from our published rate card, plus its environmental impact.",
+        selectType: 'Select scrap type...',
+        quantityPlaceholder: 'e.g., 10',
+        addToBasket: 'Add to Basket',
+        basket: 'Your Basket',
+        city: 'Your city',
+        calculate: 'Calculate Value',
+        calculating: 'Calculating...',
+        remove: 'Remove',
+        removeItem: 'Remove {name}',
+        result: 'Calculation Result:',
+        lineRate: '{quantity} {unit} at {min} - {max} per {per}',
+        per: { kg: 'kg', pieces: 'piece' },
+        totalIn: 'Estimated Total in {city}',
+        impact: 'Positive Environmental Impact',
+        rateCard: 'Rate card v{version}, effective {date}',
+        local: ' (calculated on your device)',
+        schedule: 'Schedule Pickup for This Basket',
+        disclaimer: 'Based on our published rate card. The final price is set after weighing at your doorstep and depends on quality.',
+    },
+    cities: {
+        delhi: 'Delhi NCR',
+        mumbai: 'Mumbai',
+        bengaluru: 'Bengaluru',
+    },
+    units: {
+        kg: 'kg',
+        pieces: 'pieces',
+        litres: 'litres',
+        kWh: 'kWh',
+        trees: 'trees',
+    },
+    materials: {
+        'newspaper': 'Newspaper',
+        'cardboard': 'Cardboard',
+        'pet-bottles': 'Plastic Bottles (PET)',
+        'steel': 'Steel',
+        'aluminum-cans': 'Aluminum Cans',
+        'copper-wire': 'Copper Wire',
+        'old-laptop': 'Old Laptop',
+    },
+    impact: {
+        co2eKg: 'CO₂e Avoided',
+        waterLitres: 'Water Saved',
+        energyKwh: 'Energy Saved',
+        trees: 'Trees Saved',
+    },
+    contact: {
+        title: 'Schedule a Pickup',
+        subtitle: "Ready to sell your scrap? Fill out the form below and we'll connect you with a local scrap collector.",
+        name: 'Your Name',
+        phone: 'Your Phone Number',
+        address: 'Your Full Address',
+        pincode: 'Pincode',
+        pickupDate: 'Pickup date',
+        timeSlot: 'Time slot',
+        full: ' (full)',
+        areaPrompt: 'Enter your pincode to see available pickup times.',
+        areaInvalid: 'Please enter a valid 6-digit pincode.',
+        areaChecking: 'Checking your area...',
+        areaServed: '✓ We serve {area}. Pick a date and time slot.',
+        areaFull: 'We serve {area}, but every slot in the next two weeks is booked. Please check back soon.',
+        messagePlaceholder: "List the scrap items you have (e.g., 'approx. 10kg newspaper, 1 old fan, 20 plastic bottles')...",
+        messageOptional: 'Anything else the kabaadiwala should know? (optional)',
+        basketTitle: 'Your basket ({city})',
+        remove: 'Remove',
+        estimatedTotal: 'Estimated total: {min} - {max}',
+        submit: 'Find My scrap collector',
+        submitting: 'Submitting...',
+        fillAll: 'Please fill out all fields.',
+        pickSlot: 'Please pick a pickup date and time slot.',
+        pickServedPincode: 'Please enter a pincode we serve to pick a pickup time.',
+        sentTitle: 'Request Sent!',
+        sentFallback: 'Thank you, {name}! Your pickup request has been received. A local kabaadiwala will contact you shortly.',
+        pickupOn: 'Pickup on',
+        pickupId: 'Your pickup ID:',
+        track: 'Track Your Pickup',
+        queuedTitle: 'Saved Offline',
+        queuedText: "You're offline, so we've saved your pickup request for {day}, {slot} on this device. It will be sent as soon as you're back online.",
+    },
+    tracking: {
+        pageTitle: 'Track {id} | Recyclink',
+        loading: 'Loading your pickup...',
+        pickupId: 'Pickup ID',
+        share: 'Share tracking link',
+        shareText: 'Track pickup {id}',
+        copied: 'Link copied!',
+        cancelledOn: 'This pickup was cancelled on {date}.',
+        pickupTime: 'Pickup time',
+        dealer: 'Kabaadiwala',
+        beingAssigned: 'Being assigned',
+        estimate: 'Estimated value',
+        paid: 'Paid',
+        viewReceipt: 'View receipt',
+        manageTitle: 'Need to change your pickup?',
+        manageText: 'Confirm the phone number you booked with to reschedule or cancel.',
+        phone: 'Phone Number',
+        newDate: 'New date',
+        newDateLabel: 'New pickup date',
+        newSlotLabel: 'New time slot',
+        timeSlot: 'Time slot',
+        reschedule: 'Reschedule',
+        cancel: 'Cancel Pickup',
+        pickNew: 'Please pick a new date and time slot.',
+        confirmCancel: 'Cancel this pickup?',
+        moved: 'Your pickup has been moved.',
+        cancelled: 'Your pickup has been cancelled.',
+    },
+    status: {
+        requested: 'Requested',
+        assigned: 'Dealer Assigned',
+        en_route: 'Dealer On The Way',
+        arrived: 'Arrived',
+        paid: 'Weighed & Paid',
+        recycled: 'Recycled',
+        cancelled: 'Cancelled',
+    },
+    chat: {
+        title: 'Kabaadi Assistant',
+        toggle: 'Toggle chatbot',
+        clear: 'Clear',
+        clearLabel: 'Clear conversation',
+        close: 'Close chatbot',
+        placeholder: 'Ask about scrap prices...',
+        send: 'Send message',
+        welcome: "Hello! I'm your Kabaadi Assistant. Ask me anything about scrap prices, what we buy, or our process.",
+        error: 'Error: Could not send message.',
+        confirmTitle: 'Confirm your pickup',
+        estimate: 'Estimate: {min} - {max}',
+        confirm: 'Confirm booking',
+        dismiss: 'Not now',
+        notBooked: 'Not booked.',
+        booked: 'Booked! Pickup ID',
+        trackIt: 'Track it',
+        queued: "Saved offline. We'll book it as soon as you're back online.",
+        proposeModel: 'Please confirm the pickup for {day}, {slot} below.',
+        acceptUser: 'Yes, book it.',
+        acceptModel: 'Your pickup is booked for {day}, {slot}. Your pickup ID is {id}.',
+        declineUser: "Not now, please don't book it.",
+        declineModel: 'No problem, nothing has been booked.',
+    },
+    sync: {
+        offline: "You're offline",
+        pendingOne: '1 request waiting to sync',
+        pendingMany: '{count} requests waiting to sync',
+        pickup: 'Pickup request for {day}',
+        estimate: 'Basket estimate ({count} items)',
+        pendingBadge: 'Pending sync',
+        failed: "Couldn't send: {error}",
+        dismiss: 'Dismiss',
+        retry: 'Sync now',
+        booked: 'Pickup {id} booked!',
+    },
+    wallet: {
+        pageTitle: 'Recyclink | Green Wallet',
+        title: 'Your Green Wallet',
+        loginIntro: "See what you've earned and the difference your recycling has made. Log in with the phone number you book pickups with.",
+        phoneLabel: 'Phone Number',
+        sendCode: 'Send Code',
+        codeSent: 'We sent a 6-digit code to {phone}.',
+        devCode: 'Test mode: your code is {code}',
+        codeLabel: 'Code',
+        verify: 'Log In',
+        changeNumber: 'Use a different number',
+        logout: 'Log out',
+        signedInAs: 'Logged in as {phone}',
+        loading: 'Loading your wallet...',
+        earned: 'Total Earned',
+        pickups: 'Pickups Completed',
+        lifetimeImpact: 'Your Lifetime Impact',
+        earningsChart: 'Earnings by Month',
+        impactChart: 'CO₂e Avoided by Month',
+        history: 'Pickup History',
+        collectedBy: 'Collected by {name}',
+        co2Avoided: '{amount} kg CO₂e avoided',
+        viewReceipt: 'View receipt',
+        empty: 'No completed pickups yet. Pickups booked with this phone number show up here once the kabaadiwala has weighed and paid for your scrap.',
+        bookPickup: 'Schedule a Pickup',
+        downloadCsv: 'Download CSV',
+        downloadPdf: 'Download PDF',
+        share: 'Share My Impact',
+        cardTitle: 'My Recycling Impact',
+        cardPickups: 'Pickups recycled: {count}',
+        cardFooter: 'Sell your scrap online, doorstep pickup',
+        shareText: "I've avoided {co2} kg of CO₂e by recycling my scrap with Recyclink!",
+    },
+    footer: {
+        rights: '© 2025 Recyclink. All rights reserved.',
+        contact: 'Contact us:',
+    },
+    errors: {
+        generic: 'Something went wrong. Please try again.',
+        unexpected: 'An unexpected error occurred.',
+        ai_error: 'Our AI assistant ran into a problem. Please try again.',
+        network: "We couldn't reach our servers. Please check your connection and try again.",
+        offline: "You're offline. This needs a connection, but the calculator and pickup form still work and will sync when you're back online.",
+        quota: 'Our AI assistant is very busy right now. Please try again in a minute.',
+        invalid_image: "We couldn't read that photo. Please try a clearer PNG, JPG, or WEBP image.",
+        invalid_response: 'We got an unexpected answer. Please try again.',
+        not_served: "Sorry, we don't collect from this pincode yet. We're expanding fast, so please check back soon!",
+        full: 'That time slot is fully booked. Please choose another time.',
+        unavailable: 'That time slot can no longer be booked. Please pick another one.',
+        mismatch: 'That phone number does not match this pickup.',
+        locked: 'This pickup can no longer be changed. Please contact your kabaadiwala directly.',
+        unchanged: 'Your pickup is already booked for that slot.',
+    },
+};
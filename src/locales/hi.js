@@ -0,0 +1,288 @@
+export default {
+    meta: {
+        title: 'Recyclink | अपना कबाड़ ऑनलाइन बेचें',
+    },
+    nav: {
+        whyUs: 'हम क्यों',
+        whatWeBuy: 'हम क्या खरीदते हैं',
+        identifier: 'पहचानें',
+        process: 'हमारी प्रक्रिया',
+        calculator: 'कैलकुलेटर',
+        contact: 'संपर्क',
+        wallet: 'मेरा वॉलेट',
+        schedulePickup: 'पिकअप बुक करें',
+        openMenu: 'मेनू खोलें',
+        closeMenu: 'मेनू बंद करें',
+        language: 'भाषा',
+    },
+    hero: {
+        imageAlt: 'कबाड़ सामग्री की पृष्ठभूमि',
+        title: 'अपने कबाड़ को नकद में बदलें',
+        subtitle: 'अपने इलाके के कबाड़ीवाले से जुड़ें। अपने कागज़, प्लास्टिक और धातु का सही दाम पाएं, वो भी घर बैठे।',
+        cta: 'मुफ़्त पिकअप बुक करें',
+    },
+    whyUs: {
+        imageAlt: 'एक कबाड़खाना',
+        title: 'Recyclink ही क्यों?',
+        subtitle: 'हम आपके भरोसेमंद साथी हैं, जो आपको स्थानीय कबाड़ व्यापारियों से जोड़ते हैं ताकि अनुभव पारदर्शी, आसान और फ़ायदेमंद हो।',
+        pricingTitle: 'सही और पारदर्शी दाम',
+        pricingText: 'हमारे प्लेटफ़ॉर्म पर आपको अपने कबाड़ का अच्छा दाम मिलता है, मौके पर तौल और भुगतान के साथ।',
+        pickupTitle: 'घर से आसान पिकअप',
+        pickupText: 'कोई झंझट नहीं। पिकअप बुक करें और एक सत्यापित कबाड़ीवाला आपके चुने हुए समय पर आ जाएगा।',
+        localTitle: 'स्थानीय व्यापार और पर्यावरण का साथ दें',
+        localText: 'हर बिक्री के साथ स्थानीय उद्यमियों को मज़बूत बनाएं और धरती को हरा-भरा रखने में योगदान दें।',
+    },
+    services: {
+        title: 'हम क्या खरीदते हैं',
+        subtitle: 'हम घर और दफ़्तर का कई तरह का कबाड़ लेते हैं। नीचे हमारी श्रेणियां देखें।',
+        paper: { title: 'कागज़ और गत्ता', description: 'अख़बार, किताबें, पत्रिकाएं और हर तरह के गत्ते के डिब्बे।' },
+        plastics: { title: 'प्लास्टिक', description: 'PET बोतलें, दूध के डिब्बे, कंटेनर और घर का अन्य प्लास्टिक सामान।' },
+        metals: { title: 'धातु', description: 'लोहा, स्टील, एल्युमिनियम के डिब्बे, तांबे के तार और पीतल का सामान।' },
+        ewaste: { title: 'ई-कचरा', description: 'पुराने लैपटॉप, मोबाइल फ़ोन, चार्जर, टीवी और अन्य इलेक्ट्रॉनिक्स।' },
+    },
+    identifier: {
+        title: 'AI कबाड़ पहचानकर्ता',
+        subtitle: 'पता नहीं इसकी क्या कीमत है? कुछ फ़ोटो अपलोड करें या खींचें, हमारा AI हर चीज़ पहचानकर अनुमानित दाम बताएगा!',
+        upload: 'फ़ोटो अपलोड करने के लिए क्लिक करें',
+        uploadHint: 'PNG, JPG या WEBP, अधिकतम 4 फ़ोटो',
+        takePhoto: 'फ़ोटो खींचें',
+        addMore: 'और जोड़ें',
+        clearPhotos: 'फ़ोटो हटाएं',
+        identify: 'कबाड़ पहचानें',
+        preparing: 'फ़ोटो तैयार हो रही हैं...',
+        analyzingOne: 'फ़ोटो की जांच हो रही है...',
+        analyzingMany: '{count} फ़ोटो की जांच हो रही है...',
+        photoAlt: 'कबाड़ फ़ोटो {number}',
+        readFailed: '{file} पढ़ी नहीं जा सकी।',
+        unreadable: 'कुछ फ़ोटो पढ़ी नहीं जा सकीं और छोड़ दी गईं।',
+        nothingFound: '⚠️ इन फ़ोटो में हमें कोई कबाड़ नहीं दिखा। कृपया साफ़ फ़ोटो आज़माएं।',
+        notScrap: '⚠️ यह सामान्य कबाड़ नहीं लगता। अधिक जानकारी के लिए हमसे संपर्क करें।',
+        fallback: '⚠️ हमारा AI इन फ़ोटो को ठीक से नहीं पहचान पाया, इसलिए यह केवल मोटा अनुमान है। जोड़ने से पहले सामान जांच लें।',
+        identifiedOne: 'पहचानी गई चीज़:',
+        identifiedMany: '{count} चीज़ें पहचानी गईं:',
+        rate: '{min} - {max} प्रति {per}',
+        otherCategory: 'अन्य कबाड़',
+        priceNote: '(अंतिम दाम गुणवत्ता और स्थान के अनुसार बदल सकता है)',
+        addToCalculator: 'कैलकुलेटर में जोड़ें',
+        addToPickup: 'पिकअप में जोड़ें',
+        addedToBasket: 'कैलकुलेटर में जोड़ा गया',
+        addedToRequest: 'पिकअप अनुरोध में जोड़ा गया',
+        schedulePickup: 'पिकअप बुक करें',
+    },
+    process: {
+        title: 'हमारी 4-चरण प्रक्रिया',
+        subtitle: 'शुरू से अंत तक आसान, पारदर्शी और फ़ायदेमंद।',
+        schedule: { title: '1: पिकअप बुक करें', description: 'हमारा आसान फ़ॉर्म भरें और पिकअप के लिए तारीख और समय चुनें।' },
+        arrives: { title: '2: कबाड़ीवाला आता है', description: 'एक सत्यापित स्थानीय कबाड़ीवाला समय पर आपके दरवाज़े पर आता है।' },
+        weigh: { title: '3: तौलें और भुगतान पाएं', description: 'आपका सामान पारदर्शी तरीके से तौला जाता है और आपको तुरंत भुगतान मिलता है।' },
+        recycle: { title: '4: पर्यावरण-अनुकूल रीसाइक्लिंग', description: 'आपका कबाड़ ज़िम्मेदारी से रीसाइक्लिंग के लिए भेजा जाता है, जिससे धरती सुरक्षित रहती है।' },
+    },
+    calculator: {
+        title: 'कबाड़ मूल्य कैलकुलेटर',
+        subtitle: 'हमारी प्रकाशित रेट लिस्ट से अपने कबाड़ की कीमत और उसका पर्यावरण पर असर तुरंत जानें।',
+        selectType: 'कबाड़ का प्रकार चुनें...',
+        quantityPlaceholder: 'जैसे, 10',
+        addToBasket: 'टोकरी में जोड़ें',
+        basket: 'आपकी टोकरी',
+        city: 'आपका शहर',
+        calculate: 'मूल्य निकालें',
+        calculating: 'गणना हो रही है...',
+        remove: 'हटाएं',
+        removeItem: '{name} हटाएं',
+        result: 'गणना का परिणाम:',
+        lineRate: '{quantity} {unit}, {min} - {max} प्रति {per}',
+        per: { kg: 'किलो', pieces: 'नग' },
+        totalIn: '{city} में अनुमानित कुल',
+        impact: 'पर्यावरण पर सकारात्मक असर',
+        rateCard: 'रेट लिस्ट v{version}, {date} से लागू',
+        local: ' (आपके डिवाइस पर गणना की गई)',
+        schedule: 'इस टोकरी के लिए पिकअप बुक करें',
+        disclaimer: 'हमारी प्रकाशित रेट लिस्ट पर आधारित। अंतिम दाम आपके दरवाज़े पर तौल के बाद तय होता है और गुणवत्ता पर निर्भर करता है।',
+    },
+    cities: {
+        delhi: 'दिल्ली एनसीआर',
+        mumbai: 'मुंबई',
+        bengaluru: 'बेंगलुरु',
+    },
+    units: {
+        kg: 'किलो',
+        pieces: 'नग',
+        litres: 'लीटर',
+        kWh: 'kWh',
+        trees: 'पेड़',
+    },
+    materials: {
+        'newspaper': 'अख़बार',
+        'cardboard': 'गत्ता',
+        'pet-bottles': 'प्लास्टिक बोतलें (PET)',
+        'steel': 'स्टील',
+        'aluminum-cans': 'एल्युमिनियम के डिब्बे',
+        'copper-wire': 'तांबे का तार',
+        'old-laptop': 'पुराना लैपटॉप',
+    },
+    impact: {
+        co2eKg: 'CO₂e की बचत',
+        waterLitres: 'पानी की बचत',
+        energyKwh: 'ऊर्जा की बचत',
+        trees: 'पेड़ बचे',
+    },
+    contact: {
+        title: 'पिकअप बुक करें',
+        subtitle: 'अपना कबाड़ बेचने के लिए तैयार हैं? नीचे फ़ॉर्म भरें, हम आपको स्थानीय कबाड़ीवाले से जोड़ देंगे।',
+        name: 'आपका नाम',
+        phone: 'आपका फ़ोन नंबर',
+        address: 'आपका पूरा पता',
+        pincode: 'पिनकोड',
+        pickupDate: 'पिकअप की तारीख',
+        timeSlot: 'समय',
+        full: ' (भरा हुआ)',
+        areaPrompt: 'उपलब्ध पिकअप समय देखने के लिए अपना पिनकोड डालें।',
+        areaInvalid: 'कृपया सही 6 अंकों का पिनकोड डालें।',
+        areaChecking: 'आपका इलाका जांचा जा रहा है...',
+        areaServed: '✓ हम {area} में सेवा देते हैं। तारीख और समय चुनें।',
+        areaFull: 'हम {area} में सेवा देते हैं, लेकिन अगले दो हफ़्तों के सभी स्लॉट भरे हुए हैं। कृपया जल्द दोबारा देखें।',
+        messagePlaceholder: "अपने कबाड़ की सूची लिखें (जैसे, 'लगभग 10 किलो अख़बार, 1 पुराना पंखा, 20 प्लास्टिक बोतलें')...",
+        messageOptional: 'कबाड़ीवाले को और कुछ बताना है? (वैकल्पिक)',
+        basketTitle: 'आपकी टोकरी ({city})',
+        remove: 'हटाएं',
+        estimatedTotal: 'अनुमानित कुल: {min} - {max}',
+        submit: 'मेरा कबाड़ीवाला ढूंढें',
+        submitting: 'भेजा जा रहा है...',
+        fillAll: 'कृपया सभी जानकारी भरें।',
+        pickSlot: 'कृपया पिकअप की तारीख और समय चुनें।',
+        pickServedPincode: 'पिकअप समय चुनने के लिए कृपया ऐसा पिनकोड डालें जहां हम सेवा देते हैं।',
+        sentTitle: 'अनुरोध भेजा गया!',
+        sentFallback: 'धन्यवाद, {name}! आपका पिकअप अनुरोध मिल गया है। एक स्थानीय कबाड़ीवाला जल्द ही आपसे संपर्क करेगा।',
+        pickupOn: 'पिकअप',
+        pickupId: 'आपकी पिकअप आईडी:',
+        track: 'अपना पिकअप ट्रैक करें',
+        queuedTitle: 'ऑफ़लाइन सेव किया गया',
+        queuedText: 'आप ऑफ़लाइन हैं, इसलिए {day}, {slot} का आपका पिकअप अनुरोध इस डिवाइस पर सेव कर लिया गया है। ऑनलाइन होते ही यह भेज दिया जाएगा।',
+    },
+    tracking: {
+        pageTitle: '{id} ट्रैक करें | Recyclink',
+        loading: 'आपका पिकअप लोड हो रहा है...',
+        pickupId: 'पिकअप आईडी',
+        share: 'ट्रैकिंग लिंक शेयर करें',
+        shareText: 'पिकअप {id} ट्रैक करें',
+        copied: 'लिंक कॉपी हो गया!',
+        cancelledOn: 'यह पिकअप {date} को रद्द किया गया।',
+        pickupTime: 'पिकअप का समय',
+        dealer: 'कबाड़ीवाला',
+        beingAssigned: 'तय किया जा रहा है',
+        estimate: 'अनुमानित मूल्य',
+        paid: 'भुगतान',
+        viewReceipt: 'रसीद देखें',
+        manageTitle: 'पिकअप बदलना है?',
+        manageText: 'समय बदलने या रद्द करने के लिए बुकिंग वाला फ़ोन नंबर डालें।',
+        phone: 'फ़ोन नंबर',
+        newDate: 'नई तारीख',
+        newDateLabel: 'नई पिकअप तारीख',
+        newSlotLabel: 'नया समय',
+        timeSlot: 'समय',
+        reschedule: 'समय बदलें',
+        cancel: 'पिकअप रद्द करें',
+        pickNew: 'कृपया नई तारीख और समय चुनें।',
+        confirmCancel: 'यह पिकअप रद्द करें?',
+        moved: 'आपका पिकअप बदल दिया गया है।',
+        cancelled: 'आपका पिकअप रद्द कर दिया गया है।',
+    },
+    status: {
+        requested: 'अनुरोध किया गया',
+        assigned: 'कबाड़ीवाला तय',
+        en_route: 'कबाड़ीवाला रास्ते में',
+        arrived: 'पहुंच गया',
+        paid: 'तौला और भुगतान हुआ',
+        recycled: 'रीसाइकल हुआ',
+        cancelled: 'रद्द',
+    },
+    chat: {
+        title: 'कबाड़ी सहायक',
+        toggle: 'चैटबॉट खोलें/बंद करें',
+        clear: 'साफ़ करें',
+        clearLabel: 'बातचीत साफ़ करें',
+        close: 'चैटबॉट बंद करें',
+        placeholder: 'कबाड़ के दाम के बारे में पूछें...',
+        send: 'संदेश भेजें',
+        welcome: 'नमस्ते! मैं आपका कबाड़ी सहायक हूं। कबाड़ के दाम, हम क्या खरीदते हैं या हमारी प्रक्रिया के बारे में कुछ भी पूछें।',
+        error: 'त्रुटि: संदेश नहीं भेजा जा सका।',
+        confirmTitle: 'अपने पिकअप की पुष्टि करें',
+        estimate: 'अनुमान: {min} - {max}',
+        confirm: 'बुकिंग पक्की करें',
+        dismiss: 'अभी नहीं',
+        notBooked: 'बुक नहीं किया गया।',
+        booked: 'बुक हो गया! पिकअप आईडी',
+        trackIt: 'ट्रैक करें',
+        queued: 'ऑफ़लाइन सेव किया गया। ऑनलाइन होते ही हम इसे बुक कर देंगे।',
+        proposeModel: 'कृपया नीचे {day}, {slot} के पिकअप की पुष्टि करें।',
+        acceptUser: 'हां, बुक करें।',
+        acceptModel: 'आपका पिकअप {day}, {slot} के लिए बुक हो गया है। आपकी पिकअप आईडी {id} है।',
+        declineUser: 'अभी नहीं, कृपया बुक न करें।',
+        declineModel: 'कोई बात नहीं, कुछ भी बुक नहीं किया गया है।',
+    },
+    sync: {
+        offline: 'आप ऑफ़लाइन हैं',
+        pendingOne: '1 अनुरोध सिंक होने का इंतज़ार कर रहा है',
+        pendingMany: '{count} अनुरोध सिंक होने का इंतज़ार कर रहे हैं',
+        pickup: '{day} का पिकअप अनुरोध',
+        estimate: 'बास्केट का अनुमान ({count} चीज़ें)',
+        pendingBadge: 'सिंक बाकी',
+        failed: 'नहीं भेजा जा सका: {error}',
+        dismiss: 'हटाएं',
+        retry: 'अभी सिंक करें',
+        booked: 'पिकअप {id} बुक हो गया!',
+    },
+    wallet: {
+        pageTitle: 'Recyclink | ग्रीन वॉलेट',
+        title: 'आपका ग्रीन वॉलेट',
+        loginIntro: 'देखें कि आपने कितना कमाया और आपकी रीसाइक्लिंग से कितना फ़र्क पड़ा। उसी फ़ोन नंबर से लॉग इन करें जिससे आप पिकअप बुक करते हैं।',
+        phoneLabel: 'फ़ोन नंबर',
+        sendCode: 'कोड भेजें',
+        codeSent: 'हमने {phone} पर 6 अंकों का कोड भेजा है।',
+        devCode: 'टेस्ट मोड: आपका कोड {code} है',
+        codeLabel: 'कोड',
+        verify: 'लॉग इन करें',
+        changeNumber: 'दूसरा नंबर इस्तेमाल करें',
+        logout: 'लॉग आउट',
+        signedInAs: '{phone} से लॉग इन',
+        loading: 'आपका वॉलेट लोड हो रहा है...',
+        earned: 'कुल कमाई',
+        pickups: 'पूरे हुए पिकअप',
+        lifetimeImpact: 'अब तक का आपका असर',
+        earningsChart: 'महीने के हिसाब से कमाई',
+        impactChart: 'महीने के हिसाब से बचाया गया CO₂e',
+        history: 'पिकअप का इतिहास',
+        collectedBy: '{name} ने लिया',
+        co2Avoided: '{amount} kg CO₂e बचाया',
+        viewReceipt: 'रसीद देखें',
+        empty: 'अभी तक कोई पिकअप पूरा नहीं हुआ। इस फ़ोन नंबर से बुक किए गए पिकअप, कबाड़ीवाले के तौलने और भुगतान करने के बाद यहाँ दिखेंगे।',
+        bookPickup: 'पिकअप बुक करें',
+        downloadCsv: 'CSV डाउनलोड करें',
+        downloadPdf: 'PDF डाउनलोड करें',
+        share: 'अपना असर शेयर करें',
+        cardTitle: 'मेरी रीसाइक्लिंग का असर',
+        cardPickups: 'रीसाइकल किए गए पिकअप: {count}',
+        cardFooter: 'अपना कबाड़ ऑनलाइन बेचें, घर से पिकअप',
+        shareText: 'Recyclink के साथ कबाड़ रीसाइकल करके मैंने {co2} kg CO₂e बचाया!',
+    },
+    footer: {
+        rights: '© 2025 Recyclink. सर्वाधिकार सुरक्षित।',
+        contact: 'संपर्क करें:',
+    },
+    errors: {
+        generic: 'कुछ गलत हो गया। कृपया फिर से कोशिश करें।',
+        unexpected: 'एक अनपेक्षित त्रुटि हुई।',
+        ai_error: 'हमारे AI सहायक में समस्या आई। कृपया फिर से कोशिश करें।',
+        network: 'हम सर्वर तक नहीं पहुंच सके। कृपया अपना कनेक्शन जांचें और फिर से कोशिश करें।',
+        offline: 'आप ऑफ़लाइन हैं। इसके लिए इंटरनेट चाहिए, पर कैलकुलेटर और पिकअप फ़ॉर्म काम करते रहेंगे और ऑनलाइन होते ही सिंक हो जाएंगे।',
+        quota: 'हमारा AI सहायक अभी बहुत व्यस्त है। कृपया एक मिनट बाद कोशिश करें।',
+        invalid_image: 'हम वह फ़ोटो नहीं पढ़ सके। कृपया साफ़ PNG, JPG या WEBP फ़ोटो आज़माएं।',
+        invalid_response: 'हमें अनपेक्षित जवाब मिला। कृपया फिर से कोशिश करें।',
+        not_served: 'माफ़ कीजिए, हम अभी इस पिनकोड से कबाड़ नहीं लेते। हम तेज़ी से बढ़ रहे हैं, कृपया जल्द ही फिर देखें!',
+        full: 'यह समय स्लॉट पूरी तरह बुक है। कृपया कोई और समय चुनें।',
+        unavailable: 'यह समय स्लॉट अब बुक नहीं किया जा सकता। कृपया कोई और स्लॉट चुनें।',
+        mismatch: 'यह फ़ोन नंबर इस पिकअप से मेल नहीं खाता।',
+        locked: 'इस पिकअप में अब बदलाव नहीं किया जा सकता। कृपया सीधे अपने कबाड़ीवाले से संपर्क करें।',
+        unchanged: 'आपका पिकअप पहले से इसी स्लॉट के लिए बुक है।',
+    },
+};
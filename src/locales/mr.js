@@ -0,0 +1,288 @@
+export default {
+    meta: {
+        title: 'Recyclink | तुमची रद्दी ऑनलाइन विका',
+    },
+    nav: {
+        whyUs: 'आम्हीच का',
+        whatWeBuy: 'आम्ही काय घेतो',
+        identifier: 'ओळखा',
+        process: 'आमची प्रक्रिया',
+        calculator: 'कॅल्क्युलेटर',
+        contact: 'संपर्क',
+        wallet: 'माझे वॉलेट',
+        schedulePickup: 'पिकअप बुक करा',
+        openMenu: 'मेनू उघडा',
+        closeMenu: 'मेनू बंद करा',
+        language: 'भाषा',
+    },
+    hero: {
+        imageAlt: 'भंगार साहित्याची पार्श्वभूमी',
+        title: 'तुमच्या भंगाराचे पैसे करा',
+        subtitle: 'तुमच्या भागातील भंगारवाल्याशी जोडले जा. तुमच्या कागद, प्लास्टिक आणि धातूला योग्य भाव मिळवा, तेही घरबसल्या.',
+        cta: 'मोफत पिकअप बुक करा',
+    },
+    whyUs: {
+        imageAlt: 'एक भंगार अड्डा',
+        title: 'Recyclink च का?',
+        subtitle: 'आम्ही तुमचे विश्वासू भागीदार आहोत. पारदर्शक, सोयीस्कर आणि फायदेशीर अनुभवासाठी आम्ही तुम्हाला स्थानिक भंगार व्यापाऱ्यांशी जोडतो.',
+        pricingTitle: 'योग्य आणि पारदर्शक भाव',
+        pricingText: 'आमच्या प्लॅटफॉर्मवर तुमच्या भंगाराला चांगला भाव मिळतो, जागेवर वजन आणि पैसे देऊन.',
+        pickupTitle: 'घरून सोयीस्कर पिकअप',
+        pickupText: 'कोणतीही कटकट नाही. पिकअप बुक करा आणि एक पडताळलेला भंगारवाला तुमच्या सोयीच्या वेळी येईल.',
+        localTitle: 'स्थानिक व्यवसाय आणि पर्यावरणाला साथ द्या',
+        localText: 'प्रत्येक विक्रीसोबत स्थानिक उद्योजकांना बळ द्या आणि पृथ्वी हिरवीगार ठेवण्यात हातभार लावा.',
+    },
+    services: {
+        title: 'आम्ही काय घेतो',
+        subtitle: 'आम्ही घरातील आणि ऑफिसमधील अनेक प्रकारची रद्दी घेतो. खाली आमच्या श्रेणी पहा.',
+        paper: { title: 'कागद आणि पुठ्ठा', description: 'वर्तमानपत्रे, पुस्तके, मासिके आणि सर्व प्रकारचे पुठ्ठ्याचे खोके.' },
+        plastics: { title: 'प्लास्टिक', description: 'PET बाटल्या, दुधाचे कॅन, डबे आणि घरातील इतर प्लास्टिक वस्तू.' },
+        metals: { title: 'धातू', description: 'लोखंड, स्टील, ॲल्युमिनियमचे डबे, तांब्याच्या तारा आणि पितळेच्या वस्तू.' },
+        ewaste: { title: 'ई-कचरा', description: 'जुने लॅपटॉप, मोबाईल फोन, चार्जर, टीव्ही आणि इतर इलेक्ट्रॉनिक्स.' },
+    },
+    identifier: {
+        title: 'AI भंगार ओळखणारा',
+        subtitle: 'याची किंमत किती हे माहीत नाही? काही फोटो अपलोड करा किंवा काढा, आमचा AI प्रत्येक वस्तू ओळखून अंदाजे किंमत सांगेल!',
+        upload: 'फोटो अपलोड करण्यासाठी क्लिक करा',
+        uploadHint: 'PNG, JPG किंवा WEBP, जास्तीत जास्त 4 फोटो',
+        takePhoto: 'फोटो काढा',
+        addMore: 'आणखी जोडा',
+        clearPhotos: 'फोटो काढून टाका',
+        identify: 'भंगार ओळखा',
+        preparing: 'फोटो तयार होत आहेत...',
+        analyzingOne: 'फोटो तपासला जात आहे...',
+        analyzingMany: '{count} फोटो तपासले जात आहेत...',
+        photoAlt: 'भंगार फोटो {number}',
+        readFailed: '{file} वाचता आली नाही.',
+        unreadable: 'काही फोटो वाचता आले नाहीत आणि वगळले गेले.',
+        nothingFound: '⚠️ या फोटोंमध्ये आम्हाला भंगार दिसले नाही. कृपया स्पष्ट फोटो वापरून पहा.',
+        notScrap: '⚠️ हे नेहमीचे भंगार वाटत नाही. अधिक माहितीसाठी आमच्याशी संपर्क साधा.',
+        fallback: '⚠️ आमचा AI हे फोटो नीट ओळखू शकला नाही, त्यामुळे हा फक्त ढोबळ अंदाज आहे. जोडण्यापूर्वी वस्तू तपासा.',
+        identifiedOne: 'ओळखलेली वस्तू:',
+        identifiedMany: '{count} वस्तू ओळखल्या:',
+        rate: 'प्रति {per} {min} - {max}',
+        otherCategory: 'इतर भंगार',
+        priceNote: '(अंतिम किंमत गुणवत्ता आणि ठिकाणानुसार बदलू शकते)',
+        addToCalculator: 'कॅल्क्युलेटरमध्ये जोडा',
+        addToPickup: 'पिकअपमध्ये जोडा',
+        addedToBasket: 'कॅल्क्युलेटरमध्ये जोडले',
+        addedToRequest: 'पिकअप विनंतीत जोडले',
+        schedulePickup: 'पिकअप बुक करा',
+    },
+    process: {
+        title: 'आमची 4-टप्पी प्रक्रिया',
+        subtitle: 'सुरुवातीपासून शेवटपर्यंत सोपी, पारदर्शक आणि फायदेशीर.',
+        schedule: { title: '1: पिकअप बुक करा', description: 'आमचा सोपा फॉर्म भरा आणि पिकअपसाठी तारीख व वेळ निवडा.' },
+        arrives: { title: '2: भंगारवाला येतो', description: 'एक पडताळलेला स्थानिक भंगारवाला वेळेवर तुमच्या दारात येतो.' },
+        weigh: { title: '3: वजन करा आणि पैसे मिळवा', description: 'तुमच्या वस्तूंचे पारदर्शकपणे वजन होते आणि तुम्हाला लगेच पैसे मिळतात.' },
+        recycle: { title: '4: पर्यावरणपूरक पुनर्वापर', description: 'तुमचे भंगार जबाबदारीने पुनर्वापरासाठी पाठवले जाते, ज्यामुळे पृथ्वीचे रक्षण होते.' },
+    },
+    calculator: {
+        title: 'भंगार किंमत कॅल्क्युलेटर',
+        subtitle: 'आमच्या प्रकाशित दरपत्रकावरून तुमच्या भंगाराची किंमत आणि पर्यावरणावरील परिणाम लगेच जाणून घ्या.',
+        selectType: 'भंगाराचा प्रकार निवडा...',
+        quantityPlaceholder: 'उदा., 10',
+        addToBasket: 'टोपलीत जोडा',
+        basket: 'तुमची टोपली',
+        city: 'तुमचे शहर',
+        calculate: 'किंमत काढा',
+        calculating: 'गणना होत आहे...',
+        remove: 'काढा',
+        removeItem: '{name} काढा',
+        result: 'गणनेचा निकाल:',
+        lineRate: '{quantity} {unit}, प्रति {per} {min} - {max}',
+        per: { kg: 'किलो', pieces: 'नग' },
+        totalIn: '{city} मधील अंदाजे एकूण',
+        impact: 'पर्यावरणावर सकारात्मक परिणाम',
+        rateCard: 'दरपत्रक v{version}, {date} पासून लागू',
+        local: ' (तुमच्या डिव्हाइसवर गणना केली)',
+        schedule: 'या टोपलीसाठी पिकअप बुक करा',
+        disclaimer: 'आमच्या प्रकाशित दरपत्रकावर आधारित. अंतिम किंमत तुमच्या दारात वजन केल्यानंतर ठरते आणि गुणवत्तेवर अवलंबून असते.',
+    },
+    cities: {
+        delhi: 'दिल्ली एनसीआर',
+        mumbai: 'मुंबई',
+        bengaluru: 'बंगळुरू',
+    },
+    units: {
+        kg: 'किलो',
+        pieces: 'नग',
+        litres: 'लिटर',
+        kWh: 'kWh',
+        trees: 'झाडे',
+    },
+    materials: {
+        'newspaper': 'वर्तमानपत्र',
+        'cardboard': 'पुठ्ठा',
+        'pet-bottles': 'प्लास्टिक बाटल्या (PET)',
+        'steel': 'स्टील',
+        'aluminum-cans': 'ॲल्युमिनियमचे डबे',
+        'copper-wire': 'तांब्याची तार',
+        'old-laptop': 'जुना लॅपटॉप',
+    },
+    impact: {
+        co2eKg: 'CO₂e ची बचत',
+        waterLitres: 'पाण्याची बचत',
+        energyKwh: 'ऊर्जेची बचत',
+        trees: 'झाडे वाचली',
+    },
+    contact: {
+        title: 'पिकअप बुक करा',
+        subtitle: 'तुमचे भंगार विकायला तयार आहात? खालील फॉर्म भरा, आम्ही तुम्हाला स्थानिक भंगारवाल्याशी जोडू.',
+        name: 'तुमचे नाव',
+        phone: 'तुमचा फोन नंबर',
+        address: 'तुमचा पूर्ण पत्ता',
+        pincode: 'पिनकोड',
+        pickupDate: 'पिकअपची तारीख',
+        timeSlot: 'वेळ',
+        full: ' (भरलेले)',
+        areaPrompt: 'उपलब्ध पिकअप वेळा पाहण्यासाठी तुमचा पिनकोड टाका.',
+        areaInvalid: 'कृपया योग्य 6 अंकी पिनकोड टाका.',
+        areaChecking: 'तुमचा भाग तपासला जात आहे...',
+        areaServed: '✓ आम्ही {area} मध्ये सेवा देतो. तारीख आणि वेळ निवडा.',
+        areaFull: 'आम्ही {area} मध्ये सेवा देतो, पण पुढील दोन आठवड्यांतील सर्व वेळा भरल्या आहेत. कृपया लवकरच पुन्हा पहा.',
+        messagePlaceholder: "तुमच्याकडील भंगाराची यादी लिहा (उदा., 'सुमारे 10 किलो वर्तमानपत्र, 1 जुना पंखा, 20 प्लास्टिक बाटल्या')...",
+        messageOptional: 'भंगारवाल्याला आणखी काही सांगायचे आहे? (ऐच्छिक)',
+        basketTitle: 'तुमची टोपली ({city})',
+        remove: 'काढा',
+        estimatedTotal: 'अंदाजे एकूण: {min} - {max}',
+        submit: 'माझा भंगारवाला शोधा',
+        submitting: 'पाठवत आहे...',
+        fillAll: 'कृपया सर्व माहिती भरा.',
+        pickSlot: 'कृपया पिकअपची तारीख आणि वेळ निवडा.',
+        pickServedPincode: 'पिकअपची वेळ निवडण्यासाठी कृपया आम्ही सेवा देतो असा पिनकोड टाका.',
+        sentTitle: 'विनंती पाठवली!',
+        sentFallback: 'धन्यवाद, {name}! तुमची पिकअप विनंती मिळाली आहे. एक स्थानिक भंगारवाला लवकरच तुमच्याशी संपर्क साधेल.',
+        pickupOn: 'पिकअप',
+        pickupId: 'तुमचा पिकअप आयडी:',
+        track: 'तुमचा पिकअप ट्रॅक करा',
+        queuedTitle: 'ऑफलाइन जतन केले',
+        queuedText: 'तुम्ही ऑफलाइन आहात, म्हणून {day}, {slot} साठीची तुमची पिकअप विनंती या डिव्हाइसवर जतन केली आहे. ऑनलाइन आल्यावर ती लगेच पाठवली जाईल.',
+    },
+    tracking: {
+        pageTitle: '{id} ट्रॅक करा | Recyclink',
+        loading: 'तुमचा पिकअप लोड होत आहे...',
+        pickupId: 'पिकअप आयडी',
+        share: 'ट्रॅकिंग लिंक शेअर करा',
+        shareText: 'पिकअप {id} ट्रॅक करा',
+        copied: 'लिंक कॉपी झाली!',
+        cancelledOn: 'हा पिकअप {date} रोजी रद्द झाला.',
+        pickupTime: 'पिकअपची वेळ',
+        dealer: 'भंगारवाला',
+        beingAssigned: 'नेमला जात आहे',
+        estimate: 'अंदाजे किंमत',
+        paid: 'दिलेले पैसे',
+        viewReceipt: 'पावती पहा',
+        manageTitle: 'पिकअप बदलायचा आहे?',
+        manageText: 'वेळ बदलण्यासाठी किंवा रद्द करण्यासाठी बुकिंगचा फोन नंबर टाका.',
+        phone: 'फोन नंबर',
+        newDate: 'नवीन तारीख',
+        newDateLabel: 'नवीन पिकअप तारीख',
+        newSlotLabel: 'नवीन वेळ',
+        timeSlot: 'वेळ',
+        reschedule: 'वेळ बदला',
+        cancel: 'पिकअप रद्द करा',
+        pickNew: 'कृपया नवीन तारीख आणि वेळ निवडा.',
+        confirmCancel: 'हा पिकअप रद्द करायचा?',
+        moved: 'तुमचा पिकअप बदलला आहे.',
+        cancelled: 'तुमचा पिकअप रद्द झाला आहे.',
+    },
+    status: {
+        requested: 'विनंती केली',
+        assigned: 'भंगारवाला नेमला',
+        en_route: 'भंगारवाला येत आहे',
+        arrived: 'पोहोचला',
+        paid: 'वजन करून पैसे दिले',
+        recycled: 'पुनर्वापर झाला',
+        cancelled: 'रद्द',
+    },
+    chat: {
+        title: 'भंगार सहाय्यक',
+        toggle: 'चॅटबॉट उघडा/बंद करा',
+        clear: 'पुसा',
+        clearLabel: 'संभाषण पुसा',
+        close: 'चॅटबॉट बंद करा',
+        placeholder: 'भंगाराच्या भावाबद्दल विचारा...',
+        send: 'संदेश पाठवा',
+        welcome: 'नमस्कार! मी तुमचा भंगार सहाय्यक आहे. भंगाराचे भाव, आम्ही काय घेतो किंवा आमची प्रक्रिया याबद्दल काहीही विचारा.',
+        error: 'त्रुटी: संदेश पाठवता आला नाही.',
+        confirmTitle: 'तुमच्या पिकअपची खात्री करा',
+        estimate: 'अंदाज: {min} - {max}',
+        confirm: 'बुकिंग पक्के करा',
+        dismiss: 'आत्ता नको',
+        notBooked: 'बुक केले नाही.',
+        booked: 'बुक झाले! पिकअप आयडी',
+        trackIt: 'ट्रॅक करा',
+        queued: 'ऑफलाइन जतन केले. ऑनलाइन आल्यावर आम्ही ते बुक करू.',
+        proposeModel: 'कृपया खाली {day}, {slot} च्या पिकअपची पुष्टी करा.',
+        acceptUser: 'हो, बुक करा.',
+        acceptModel: 'तुमचा पिकअप {day}, {slot} साठी बुक झाला आहे. तुमचा पिकअप आयडी {id} आहे.',
+        declineUser: 'आत्ता नको, कृपया बुक करू नका.',
+        declineModel: 'काही हरकत नाही, काहीही बुक केलेले नाही.',
+    },
+    sync: {
+        offline: 'तुम्ही ऑफलाइन आहात',
+        pendingOne: '1 विनंती सिंक होण्याची वाट पाहत आहे',
+        pendingMany: '{count} विनंत्या सिंक होण्याची वाट पाहत आहेत',
+        pickup: '{day} साठी पिकअप विनंती',
+        estimate: 'बास्केटचा अंदाज ({count} वस्तू)',
+        pendingBadge: 'सिंक बाकी',
+        failed: 'पाठवता आले नाही: {error}',
+        dismiss: 'काढा',
+        retry: 'आता सिंक करा',
+        booked: 'पिकअप {id} बुक झाला!',
+    },
+    wallet: {
+        pageTitle: 'Recyclink | ग्रीन वॉलेट',
+        title: 'तुमचे ग्रीन वॉलेट',
+        loginIntro: 'तुम्ही किती कमावले आणि तुमच्या रिसायकलिंगमुळे किती फरक पडला ते पाहा. ज्या फोन नंबरने तुम्ही पिकअप बुक करता त्याने लॉग इन करा.',
+        phoneLabel: 'फोन नंबर',
+        sendCode: 'कोड पाठवा',
+        codeSent: 'आम्ही {phone} वर 6 अंकी कोड पाठवला आहे.',
+        devCode: 'टेस्ट मोड: तुमचा कोड {code} आहे',
+        codeLabel: 'कोड',
+        verify: 'लॉग इन करा',
+        changeNumber: 'दुसरा नंबर वापरा',
+        logout: 'लॉग आउट',
+        signedInAs: '{phone} ने लॉग इन',
+        loading: 'तुमचे वॉलेट लोड होत आहे...',
+        earned: 'एकूण कमाई',
+        pickups: 'पूर्ण झालेले पिकअप',
+        lifetimeImpact: 'आतापर्यंतचा तुमचा परिणाम',
+        earningsChart: 'महिन्यानुसार कमाई',
+        impactChart: 'महिन्यानुसार टाळलेले CO₂e',
+        history: 'पिकअपचा इतिहास',
+        collectedBy: '{name} यांनी नेले',
+        co2Avoided: '{amount} kg CO₂e टाळले',
+        viewReceipt: 'पावती पाहा',
+        empty: 'अजून एकही पिकअप पूर्ण झालेला नाही. या फोन नंबरने बुक केलेले पिकअप, भंगारवाल्याने वजन करून पैसे दिल्यावर इथे दिसतील.',
+        bookPickup: 'पिकअप बुक करा',
+        downloadCsv: 'CSV डाउनलोड करा',
+        downloadPdf: 'PDF डाउनलोड करा',
+        share: 'तुमचा परिणाम शेअर करा',
+        cardTitle: 'माझ्या रिसायकलिंगचा परिणाम',
+        cardPickups: 'रिसायकल केलेले पिकअप: {count}',
+        cardFooter: 'तुमचे भंगार ऑनलाइन विका, घरबसल्या पिकअप',
+        shareText: 'Recyclink सोबत भंगार रिसायकल करून मी {co2} kg CO₂e टाळले!',
+    },
+    footer: {
+        rights: '© 2025 Recyclink. सर्व हक्क राखीव.',
+        contact: 'संपर्क:',
+    },
+    errors: {
+        generic: 'काहीतरी चुकले. कृपया पुन्हा प्रयत्न करा.',
+        unexpected: 'अनपेक्षित त्रुटी आली.',
+        ai_error: 'आमच्या AI सहाय्यकात अडचण आली. कृपया पुन्हा प्रयत्न करा.',
+        network: 'आम्ही सर्व्हरपर्यंत पोहोचू शकलो नाही. कृपया तुमचे कनेक्शन तपासा आणि पुन्हा प्रयत्न करा.',
+        offline: 'तुम्ही ऑफलाइन आहात. यासाठी इंटरनेट लागते, पण कॅल्क्युलेटर आणि पिकअप फॉर्म चालू राहतील आणि ऑनलाइन आल्यावर सिंक होतील.',
+        quota: 'आमचा AI सहाय्यक सध्या खूप व्यस्त आहे. कृपया एका मिनिटाने प्रयत्न करा.',
+        invalid_image: 'आम्ही तो फोटो वाचू शकलो नाही. कृपया स्पष्ट PNG, JPG किंवा WEBP फोटो वापरून पहा.',
+        invalid_response: 'आम्हाला अनपेक्षित उत्तर मिळाले. कृपया पुन्हा प्रयत्न करा.',
+        not_served: 'माफ करा, आम्ही अजून या पिनकोडवरून भंगार घेत नाही. आम्ही वेगाने विस्तारत आहोत, कृपया लवकरच पुन्हा पहा!',
+        full: 'हा वेळ स्लॉट पूर्ण भरला आहे. कृपया दुसरी वेळ निवडा.',
+        unavailable: 'हा वेळ स्लॉट आता बुक करता येणार नाही. कृपया दुसरा स्लॉट निवडा.',
+        mismatch: 'हा फोन नंबर या पिकअपशी जुळत नाही.',
+        locked: 'या पिकअपमध्ये आता बदल करता येणार नाही. कृपया थेट तुमच्या भंगारवाल्याशी संपर्क साधा.',
+        unchanged: 'तुमचा पिकअप आधीच याच स्लॉटसाठी बुक आहे.',
+    },
+};
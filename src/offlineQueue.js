@@ -0,0 +1,87 @@
+import { NetworkError } from '../shared/errors.js';
+
+const DB_NAME = 'recyclink';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+
+let dbPromise = null;
+let syncing = null;
+const listeners = new Set();
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+    return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+    const db = await openDb();
+    return promisify(fn(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+const notify = async () => {
+    const entries = await listQueued();
+    listeners.forEach((listener) => listener(entries));
+};
+
+// Oldest first, so requests are sent in the order they were made.
+export const listQueued = async () => (await withStore('readonly', (store) => store.getAll()))
+    .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+// Requests made while offline wait here, on the device, until syncQueue can send them.
+// `id` doubles as the request's idempotency key, so a retried send cannot book twice.
+export const queueRequest = async (kind, payload, id = crypto.randomUUID()) => {
+    const entry = { id, kind, payload, queuedAt: new Date().toISOString(), error: null };
+    await withStore('readwrite', (store) => store.put(entry));
+    await notify();
+    return entry;
+};
+
+export const removeQueued = async (id) => {
+    await withStore('readwrite', (store) => store.delete(id));
+    await notify();
+};
+
+// Calls listener(entries) now and after every change to the queue.
+export const subscribeToQueue = (listener) => {
+    listeners.add(listener);
+    listQueued().then(listener, (error) => console.warn('Could not read the offline queue:', error));
+    return () => listeners.delete(listener);
+};
+
+// Sends every queued request through handlers[kind], calling onSynced(entry, result)
+// for each one that goes through. A network failure stops the run, since the rest
+// would fail the same way; any other failure is kept on the entry for the user to
+// see, as retrying it will not help.
+export const syncQueue = (handlers, onSynced = () => {}) => {
+    syncing ??= (async () => {
+        try {
+            for (const entry of await listQueued()) {
+                if (entry.error) continue;
+                let result;
+                try {
+                    result = await handlers[entry.kind](entry.payload, entry);
+                } catch (error) {
+                    if (error instanceof NetworkError) return;
+                    await withStore('readwrite', (store) => store.put({ ...entry, error: error.message }));
+                    await notify();
+                    continue;
+                }
+                await removeQueued(entry.id);
+                onSynced(entry, result);
+            }
+        } finally {
+            syncing = null;
+        }
+    })();
+    return syncing;
+};
@@ -0,0 +1,78 @@
+import { formatPickupDay } from './format.js';
+import { t } from './i18n.js';
+import { removeQueued, subscribeToQueue, syncQueue } from './offlineQueue.js';
+import { html } from './render.js';
+
+const entryLabel = (entry) => (entry.kind === 'pickup'
+    ? t('sync.pickup', { day: formatPickupDay(entry.payload.date) })
+    : t('sync.estimate', { count: entry.payload.items.length }));
+
+// The offline and "pending sync" panel. Queued requests are sent when the page
+// loads, when the connection comes back and when the customer presses Retry;
+// pickups booked that way stay listed with their tracking link until dismissed.
+export const initPendingSync = (container, { handlers, onSynced = () => {} }) => {
+    let entries = [];
+    let booked = [];
+
+    const render = () => {
+        const offline = !navigator.onLine;
+        const pending = entries.filter((entry) => !entry.error);
+        container.classList.toggle('hidden', !offline && entries.length === 0 && booked.length === 0);
+        container.innerHTML = html`
+            <div class="bg-white rounded-lg shadow-lg p-4 text-sm text-brand-dark space-y-2 border-l-4 ${offline ? 'border-brand-orange' : 'border-brand-green'}">
+                ${offline ? html`<p class="font-semibold">${t('sync.offline')}</p>` : ''}
+                ${pending.length > 0 ? html`<p class="text-brand-gray">${pending.length === 1 ? t('sync.pendingOne') : t('sync.pendingMany', { count: pending.length })}</p>` : ''}
+                <ul class="space-y-2">
+                    ${entries.map((entry) => html`
+                    <li class="flex items-start justify-between gap-3">
+                        <span>${entryLabel(entry)}${entry.error
+                            ? html`<span class="block text-red-600">${t('sync.failed', { error: entry.error })}</span>`
+                            : html` <span class="text-xs bg-brand-orange/20 rounded-full px-2 py-0.5 whitespace-nowrap">${t('sync.pendingBadge')}</span>`}</span>
+                        ${entry.error ? html`<button type="button" data-dismiss-entry="${entry.id}" class="text-brand-gray hover:underline shrink-0">${t('sync.dismiss')}</button>` : ''}
+                    </li>`)}
+                    ${booked.map((pickup) => html`
+                    <li class="flex items-start justify-between gap-3">
+                        <span class="text-brand-green font-semibold">${t('sync.booked', { id: pickup.id })}
+                            <a href="/track/${encodeURIComponent(pickup.id)}" class="block font-normal underline">${t('contact.track')}</a></span>
+                        <button type="button" data-dismiss-booked="${pickup.id}" class="text-brand-gray hover:underline shrink-0">${t('sync.dismiss')}</button>
+                    </li>`)}
+                </ul>
+                ${!offline && pending.length > 0 ? html`<button type="button" data-sync-now class="text-brand-green font-semibold hover:underline">${t('sync.retry')}</button>` : ''}
+            </div>`;
+    };
+
+    const sync = () => {
+        if (!navigator.onLine) return;
+        syncQueue(handlers, (entry, result) => {
+            if (entry.kind === 'pickup') {
+                booked = [...booked, result];
+                render();
+            }
+            onSynced(entry, result);
+        }).catch((error) => console.warn('Could not sync queued requests:', error));
+    };
+
+    container.addEventListener('click', (e) => {
+        const target = e.target instanceof Element ? e.target : null;
+        const entryButton = target?.closest('[data-dismiss-entry]');
+        const bookedButton = target?.closest('[data-dismiss-booked]');
+        if (entryButton) removeQueued(entryButton.dataset.dismissEntry);
+        if (bookedButton) {
+            booked = booked.filter((pickup) => pickup.id !== bookedButton.dataset.dismissBooked);
+            render();
+        }
+        if (target?.closest('[data-sync-now]')) sync();
+    });
+
+    subscribeToQueue((latest) => {
+        entries = latest;
+        render();
+    });
+    window.addEventListener('online', () => {
+        render();
+        sync();
+    });
+    window.addEventListener('offline', render);
+    render();
+    sync();
+};
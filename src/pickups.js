@@ -0,0 +1,25 @@
+import { NetworkError } from '../shared/errors.js';
+import { getJson, postJson } from './api.js';
+import { queueRequest } from './offlineQueue.js';
+
+export const createPickupRequest = (pickup) => postJson('/api/pickups', pickup);
+
+export const checkAvailability = (pincode) => getJson(`/api/availability?pincode=${encodeURIComponent(pincode)}`);
+
+// Sends a pickup request, or keeps it on this device to send later if there is no
+// connection. The client request id lets the server recognise a request it has
+// already booked, should the first attempt have got through after all.
+export const submitPickup = async (request) => {
+    const payload = { ...request, clientRequestId: crypto.randomUUID() };
+    try {
+        return { pickup: await createPickupRequest(payload) };
+    } catch (error) {
+        if (!(error instanceof NetworkError)) throw error;
+        try {
+            return { queued: await queueRequest('pickup', payload, payload.clientRequestId) };
+        } catch (queueError) {
+            console.warn('Could not save the pickup request on this device:', queueError);
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,64 @@
+import { PICKUP_STATUS_LABELS } from '../shared/pickupStatus.js';
+import { getJson } from './api.js';
+import { formatDateTime, formatPickupDay, formatRupees } from './format.js';
+import { html } from './render.js';
+import { renderImpactGrid, showLoadingSpinner } from './views.js';
+
+const formatRange = (range) => (range ? `${formatRupees(range.min)} - ${formatRupees(range.max)}` : '—');
+
+const renderReceipt = (pickup) => {
+    const { receipt } = pickup;
+    return html`
+        <div class="flex items-start justify-between mb-6">
+            <div>
+                <h1 class="text-2xl font-bold">Pickup Receipt</h1>
+                <p class="text-brand-gray">${pickup.id} · ${formatPickupDay(pickup.date)}, ${pickup.slotLabel}</p>
+            </div>
+            <p class="text-right text-sm text-brand-gray">Collected by<br /><span class="font-medium text-brand-dark">${receipt.dealer.name}</span><br />${formatDateTime(receipt.completedAt)}</p>
+        </div>
+        <table class="w-full text-sm">
+            <thead>
+                <tr class="text-left text-brand-gray border-b">
+                    <th class="py-2">Material</th>
+                    <th class="py-2">Weighed</th>
+                    <th class="py-2">Estimated</th>
+                    <th class="py-2 text-right">Paid</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${receipt.lines.map((line) => html`
+                <tr class="border-b">
+                    <td class="py-2">${line.material}</td>
+                    <td class="py-2">${line.quantity} ${line.unit}</td>
+                    <td class="py-2 text-brand-gray">${line.estimatedQuantity === null ? 'Not in estimate' : html`${line.estimatedQuantity} ${line.unit}<br />${formatRange(line.estimatedValue)}`}</td>
+                    <td class="py-2 text-right font-medium">${formatRupees(line.amountPaid)}</td>
+                </tr>`)}
+            </tbody>
+        </table>
+        <div class="mt-4 flex justify-between items-baseline">
+            <p class="text-brand-gray">Estimated ${formatRange(receipt.estimatedTotal)}</p>
+            <p class="text-xl font-bold">Total paid ${formatRupees(receipt.totalPaid)}</p>
+        </div>
+        <div class="mt-8 bg-green-50 p-4 rounded-lg">
+            <h2 class="font-bold">Your Recycling Impact</h2>
+            ${renderImpactGrid(receipt.impact)}
+        </div>`;
+};
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const container = document.getElementById('receipt');
+    const id = new URLSearchParams(window.location.search).get('id');
+    if (!id) {
+        container.innerHTML = html`<p class="text-brand-gray">Open this page from the link on your pickup to see its receipt.</p>`;
+        return;
+    }
+    showLoadingSpinner(container, 'Loading receipt...');
+    try {
+        const pickup = await getJson(`/api/pickups/${encodeURIComponent(id)}`);
+        container.innerHTML = pickup.receipt
+            ? renderReceipt(pickup)
+            : html`<p class="text-brand-gray">Pickup ${pickup.id} is ${PICKUP_STATUS_LABELS[pickup.status]}. The receipt appears here once the kabaadiwala has weighed and paid.</p>`;
+    } catch (error) {
+        container.innerHTML = html`<p class="text-red-600">${error.message}</p>`;
+    }
+});
@@ -0,0 +1,71 @@
+// Safe HTML building. Everything interpolated into `html` is escaped unless it is
+// itself the result of `html`/`raw`, so user input and model output can never
+// become markup. Use `raw` only for trusted constants such as our own SVG icons.
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => ESCAPES[char]);
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+export const raw = (value) => new SafeHtml(String(value));
+
+const renderValue = (value) => {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value === false || value === null || value === undefined) return '';
+    return escapeHtml(value);
+};
+
+export const html = (strings, ...values) => new SafeHtml(
+    strings.reduce((out, string, index) => out + string + (index < values.length ? renderValue(values[index]) : ''), ''),
+);
+
+// Sections of this page the assistant may link to; anything else is shown as plain text.
+const ALLOWED_ANCHORS = ['#services', '#identifier', '#process', '#ai-tools', '#contact', '#why-us'];
+
+const renderInline = (text) => escapeHtml(text)
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\[([^\]]+)\]\((#[\w-]+)\)/g, (match, label, href) => (
+        ALLOWED_ANCHORS.includes(href) ? `<a href="${href}" class="text-brand-green font-semibold underline">${label}</a>` : label
+    ));
+
+// A deliberately small markdown subset for chatbot replies: paragraphs, **bold**,
+// "- " / "1. " lists and links to our own page sections.
+export const renderMarkdown = (text) => {
+    const blocks = [];
+    let list = null;
+    const closeList = () => {
+        if (list) blocks.push(`<${list.tag} class="${list.tag === 'ul' ? 'list-disc' : 'list-decimal'} pl-5 space-y-1">${list.items.join('')}</${list.tag}>`);
+        list = null;
+    };
+
+    for (const line of String(text ?? '').split('\n')) {
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const item = bullet || numbered;
+        if (item) {
+            const tag = bullet ? 'ul' : 'ol';
+            if (list?.tag !== tag) {
+                closeList();
+                list = { tag, items: [] };
+            }
+            list.items.push(`<li>${renderInline(item[1])}</li>`);
+        } else if (line.trim()) {
+            closeList();
+            blocks.push(`<p>${renderInline(line.trim())}</p>`);
+        } else {
+            closeList();
+        }
+    }
+    closeList();
+    return raw(blocks.join(''));
+};
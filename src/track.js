@@ -0,0 +1,191 @@
+import { isCustomerChangeable, isFinalStatus, PICKUP_STATUS, TRACKING_STEPS } from '../shared/pickupStatus.js';
+import { getJson, postJson } from './api.js';
+import { formatDateTime, formatPickupDay, formatRupees } from './format.js';
+import { errorMessage, t } from './i18n.js';
+import { html } from './render.js';
+import { showLoadingSpinner } from './views.js';
+
+const POLL_INTERVAL_MS = 15000;
+
+const lastReachedAt = (pickup, status) => [...(pickup.history ?? [])].reverse().find((entry) => entry.status === status)?.at;
+
+const renderTimeline = (pickup) => {
+    const currentIndex = TRACKING_STEPS.indexOf(pickup.status);
+    return html`
+        <ol class="relative border-l-2 border-brand-light-gray ml-2 mt-8 space-y-6">
+            ${TRACKING_STEPS.map((status, index) => {
+                const at = lastReachedAt(pickup, status);
+                const done = currentIndex >= 0 ? index <= currentIndex : Boolean(at);
+                return html`
+            <li class="relative pl-6">
+                <span class="absolute -left-[9px] top-1 w-4 h-4 rounded-full ${done ? 'bg-brand-green' : 'bg-gray-300'} ${index === currentIndex ? 'ring-4 ring-brand-green/30' : ''}"></span>
+                <p class="font-semibold ${done ? 'text-brand-dark' : 'text-brand-gray'}">${t(`status.${status}`)}</p>
+                ${done && at ? html`<p class="text-sm text-brand-gray">${formatDateTime(at)}</p>` : ''}
+            </li>`;
+            })}
+        </ol>`;
+};
+
+const renderStatus = (pickup) => html`
+    <div class="flex items-start justify-between">
+        <div>
+            <p class="text-sm text-brand-gray">${t('tracking.pickupId')}</p>
+            <h1 class="text-2xl font-bold font-mono">${pickup.id}</h1>
+        </div>
+        <button id="tracking-share-button" type="button" class="text-sm text-brand-green font-medium hover:underline">${t('tracking.share')}</button>
+    </div>
+    ${pickup.status === PICKUP_STATUS.CANCELLED ? html`
+    <p class="mt-4 bg-red-50 text-red-700 p-3 rounded-lg">${t('tracking.cancelledOn', { date: formatDateTime(lastReachedAt(pickup, PICKUP_STATUS.CANCELLED) ?? pickup.createdAt) })}</p>` : ''}
+    <div class="mt-4 grid grid-cols-2 gap-4 text-sm">
+        <div>
+            <p class="text-brand-gray">${t('tracking.pickupTime')}</p>
+            <p class="font-medium">${formatPickupDay(pickup.date)}, ${pickup.slotLabel}</p>
+        </div>
+        <div>
+            <p class="text-brand-gray">${t('tracking.dealer')}</p>
+            <p class="font-medium">${pickup.dealerName ?? t('tracking.beingAssigned')}</p>
+        </div>
+        ${pickup.estimate ? html`
+        <div>
+            <p class="text-brand-gray">${t('tracking.estimate')}</p>
+            <p class="font-medium">${formatRupees(pickup.estimate.total.min)} - ${formatRupees(pickup.estimate.total.max)}</p>
+        </div>` : ''}
+        ${pickup.receipt ? html`
+        <div>
+            <p class="text-brand-gray">${t('tracking.paid')}</p>
+            <p class="font-medium">${formatRupees(pickup.receipt.totalPaid)} · <a href="/receipt.html?id=${encodeURIComponent(pickup.id)}" class="text-brand-green hover:underline">${t('tracking.viewReceipt')}</a></p>
+        </div>` : ''}
+    </div>
+    ${renderTimeline(pickup)}`;
+
+// Renders the /track/:pickupId view in place of the home page and keeps it current
+// by polling while the tab is visible, until the pickup reaches a final status.
+export const initTracking = (pickupId) => {
+    const main = document.querySelector('main');
+    const section = document.getElementById('tracking');
+    const statusCard = document.getElementById('tracking-status');
+    const managePanel = document.getElementById('tracking-manage');
+    const manageForm = document.getElementById('tracking-manage-form');
+    const phoneInput = document.getElementById('tracking-phone');
+    const dateSelect = document.getElementById('tracking-date');
+    const slotSelect = document.getElementById('tracking-slot');
+    const manageMessage = document.getElementById('tracking-manage-message');
+    const rescheduleButton = document.getElementById('tracking-reschedule-button');
+    const cancelButton = document.getElementById('tracking-cancel-button');
+
+    let pickup = null;
+    let availability = null;
+    let pollTimer = null;
+
+    main?.classList.add('hidden');
+    section.classList.remove('hidden');
+    document.title = t('tracking.pageTitle', { id: pickupId });
+
+    const setManageMessage = (text, tone = 'error') => {
+        manageMessage.textContent = text;
+        manageMessage.className = `text-sm ${tone === 'error' ? 'text-red-600' : 'text-brand-green'}`;
+        manageMessage.classList.toggle('hidden', !text);
+    };
+
+    const renderSlotOptions = () => {
+        const day = availability?.days.find((d) => d.date === dateSelect.value);
+        slotSelect.innerHTML = html`<option value="">${t('tracking.timeSlot')}</option>${(day?.slots ?? []).map((slot) => html`
+            <option value="${slot.id}" ${slot.available ? '' : 'disabled'}>${slot.label}${slot.available ? '' : t('contact.full')}</option>`)}`;
+        slotSelect.disabled = !day;
+    };
+
+    const renderDateOptions = () => {
+        const openDays = (availability?.days ?? []).filter((day) => day.slots.some((slot) => slot.available));
+        dateSelect.innerHTML = html`<option value="">${t('tracking.newDate')}</option>${openDays.map((day) => html`
+            <option value="${day.date}">${formatPickupDay(day.date)}</option>`)}`;
+        dateSelect.disabled = openDays.length === 0;
+        renderSlotOptions();
+    };
+
+    const loadAvailability = async () => {
+        try {
+            const result = await getJson(`/api/availability?pincode=${encodeURIComponent(pickup.pincode)}`);
+            availability = result.served ? result : null;
+        } catch (error) {
+            availability = null;
+        }
+        renderDateOptions();
+    };
+
+    const render = () => {
+        statusCard.innerHTML = renderStatus(pickup);
+        const changeable = isCustomerChangeable(pickup.status);
+        if (changeable && managePanel.classList.contains('hidden')) loadAvailability();
+        managePanel.classList.toggle('hidden', !changeable);
+    };
+
+    const poll = async () => {
+        clearTimeout(pollTimer);
+        try {
+            pickup = await getJson(`/api/pickups/${encodeURIComponent(pickupId)}`);
+            render();
+        } catch (error) {
+            // Keep showing the last known status if a refresh fails.
+            if (!pickup) {
+                statusCard.innerHTML = html`<p class="text-red-600">${errorMessage(error)}</p>`;
+                return;
+            }
+        }
+        if (!isFinalStatus(pickup.status) && !document.hidden) pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && pickup && !isFinalStatus(pickup.status)) poll();
+    });
+
+    statusCard.addEventListener('click', async (e) => {
+        if (!(e.target instanceof Element) || !e.target.closest('#tracking-share-button')) return;
+        const url = window.location.href;
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: 'Recyclink', text: t('tracking.shareText', { id: pickup.id }), url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                e.target.textContent = t('tracking.copied');
+            }
+        } catch (error) {
+            // The user dismissed the share sheet.
+        }
+    });
+
+    dateSelect.addEventListener('change', renderSlotOptions);
+
+    const submitChange = async (button, path, payload, successText) => {
+        setManageMessage('');
+        button.disabled = true;
+        try {
+            pickup = await postJson(`/api/pickups/${encodeURIComponent(pickup.id)}/${path}`, { phone: phoneInput.value, ...payload });
+            render();
+            setManageMessage(successText, 'ok');
+            if (isCustomerChangeable(pickup.status)) loadAvailability();
+        } catch (error) {
+            setManageMessage(errorMessage(error));
+            if (error.status === 409) loadAvailability();
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    manageForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (!dateSelect.value || !slotSelect.value) {
+            setManageMessage(t('tracking.pickNew'));
+            return;
+        }
+        submitChange(rescheduleButton, 'reschedule', { date: dateSelect.value, slotId: slotSelect.value }, t('tracking.moved'));
+    });
+
+    cancelButton.addEventListener('click', () => {
+        if (!manageForm.reportValidity()) return;
+        if (!window.confirm(t('tracking.confirmCancel'))) return;
+        submitChange(cancelButton, 'cancel', {}, t('tracking.cancelled'));
+    });
+
+    showLoadingSpinner(statusCard, t('tracking.loading'));
+    poll();
+};
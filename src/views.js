@@ -0,0 +1,31 @@
+import { IMPACT_METRICS } from '../shared/impact.js';
+import { formatImpact } from './format.js';
+import { t } from './i18n.js';
+import { html } from './render.js';
+
+export const renderImpactGrid = (impact) => html`
+    <div class="grid grid-cols-2 gap-4 mt-2">
+        ${IMPACT_METRICS.map(({ key, unit }) => html`
+        <div>
+            <p class="text-xl font-semibold text-brand-green">${formatImpact(impact[key])} <span class="text-sm font-normal">${t(`units.${unit}`)}</span></p>
+            <p class="text-xs text-brand-gray">${t(`impact.${key}`)}</p>
+        </div>`)}
+    </div>`;
+
+export const showLoadingSpinner = (container, text = t('calculator.calculating')) => {
+    container.innerHTML = html`
+        <div class="text-center p-4">
+            <svg class="animate-spin h-8 w-8 text-brand-green mx-auto" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24"><circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle><path class="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
+            <p class="mt-2 text-brand-gray">${text}</p>
+        </div>`;
+};
+
+// Saves a blob through a temporary link, for browsers without a share sheet.
+export const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = Object.assign(document.createElement('a'), { href: url, download: filename });
+    document.body.append(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
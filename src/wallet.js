@@ -0,0 +1,253 @@
+import { getBlob, getJson, postJson } from './api.js';
+import { formatImpact, formatMonth, formatPickupDay, formatRupees } from './format.js';
+import { errorMessage, initLanguageSwitchers, t, translateOr, translatePage } from './i18n.js';
+import { shareImpactCard } from './impactCard.js';
+import { html } from './render.js';
+import { downloadBlob, renderImpactGrid, showLoadingSpinner } from './views.js';
+
+const TOKEN_KEY = 'recyclink.accountToken';
+
+// Unlike the staff pages, a household stays logged in across browser restarts:
+// the session lasts a month.
+const readToken = () => {
+    try {
+        return localStorage.getItem(TOKEN_KEY);
+    } catch (error) {
+        return null;
+    }
+};
+
+const writeToken = (token) => {
+    try {
+        if (token) localStorage.setItem(TOKEN_KEY, token);
+        else localStorage.removeItem(TOKEN_KEY);
+    } catch (error) {
+        // Storage is disabled; the session lasts until the tab closes.
+    }
+};
+
+const barChart = (title, months, valueOf, format) => {
+    const max = Math.max(...months.map(valueOf));
+    return html`
+        <div class="bg-white rounded-xl shadow p-6">
+            <h2 class="font-bold mb-4">${title}</h2>
+            <ol class="flex items-end gap-1">
+                ${months.map((month) => {
+                    const value = valueOf(month);
+                    const height = max > 0 && value > 0 ? Math.max(2, Math.round((value / max) * 100)) : 0;
+                    return html`
+                <li class="flex-1 flex flex-col items-center" title="${formatMonth(month.month)}: ${format(value)}">
+                    <div class="w-full h-32 flex items-end"><div class="w-full bg-brand-green rounded-t" style="height: ${height}%"></div></div>
+                    <span class="text-[10px] text-brand-gray mt-1">${formatMonth(month.month)}</span>
+                    <span class="sr-only">${format(value)}</span>
+                </li>`;
+                })}
+            </ol>
+        </div>`;
+};
+
+const itemText = (item) => `${translateOr(`materials.${item.materialId}`, item.material)} ${item.quantity} ${t(`units.${item.unit}`)}`;
+
+const renderWallet = (wallet) => {
+    const { totals, months, pickups } = wallet;
+    if (pickups.length === 0) {
+        return html`
+            <div class="bg-white rounded-xl shadow p-8 text-center">
+                <p class="text-brand-gray mb-4">${t('wallet.empty')}</p>
+                <a href="/#contact" class="inline-block bg-brand-orange hover:bg-opacity-90 text-white font-bold py-3 px-8 rounded-full">${t('wallet.bookPickup')}</a>
+            </div>`;
+    }
+    return html`
+        <div class="grid md:grid-cols-3 gap-4 mb-6">
+            <div class="bg-white rounded-xl shadow p-6">
+                <p class="text-sm text-brand-gray">${t('wallet.earned')}</p>
+                <p class="text-3xl font-bold">${formatRupees(totals.earned)}</p>
+                <p class="text-sm text-brand-gray mt-4">${t('wallet.pickups')}</p>
+                <p class="text-3xl font-bold">${totals.pickups}</p>
+            </div>
+            <div class="md:col-span-2 bg-green-50 rounded-xl shadow p-6">
+                <h2 class="font-bold">${t('wallet.lifetimeImpact')}</h2>
+                ${renderImpactGrid(totals.impact)}
+            </div>
+        </div>
+        <div class="grid md:grid-cols-2 gap-4 mb-10">
+            ${barChart(t('wallet.earningsChart'), months, (month) => month.earned, formatRupees)}
+            ${barChart(t('wallet.impactChart'), months, (month) => month.impact.co2eKg, (value) => `${formatImpact(value)} ${t('units.kg')}`)}
+        </div>
+        <h2 class="text-lg font-bold mb-3">${t('wallet.history')}</h2>
+        <ul class="space-y-3">
+            ${pickups.map((entry) => html`
+            <li class="bg-white rounded-xl shadow p-4 flex flex-wrap justify-between gap-4">
+                <div>
+                    <p class="font-medium">${formatPickupDay(entry.completedOn)} · ${entry.id}</p>
+                    <p class="text-sm text-brand-gray">${entry.items.map(itemText).join(', ')}</p>
+                    <p class="text-sm text-brand-gray">${t('wallet.collectedBy', { name: entry.dealerName })}</p>
+                </div>
+                <div class="text-right">
+                    <p class="font-bold">${formatRupees(entry.totalPaid)}</p>
+                    <p class="text-sm text-brand-green">${t('wallet.co2Avoided', { amount: formatImpact(entry.impact.co2eKg) })}</p>
+                    <a href="/receipt.html?id=${encodeURIComponent(entry.id)}" class="text-sm underline">${t('wallet.viewReceipt')}</a>
+                </div>
+            </li>`)}
+        </ul>`;
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+    translatePage();
+    initLanguageSwitchers();
+
+    const loginSection = document.getElementById('wallet-login');
+    const phoneForm = document.getElementById('wallet-phone-form');
+    const codeForm = document.getElementById('wallet-code-form');
+    const codeSentP = document.getElementById('wallet-code-sent');
+    const devCodeP = document.getElementById('wallet-dev-code');
+    const changeNumberButton = document.getElementById('wallet-change-number');
+    const loginError = document.getElementById('wallet-login-error');
+    const dashboard = document.getElementById('wallet-dashboard');
+    const signedInP = document.getElementById('wallet-signed-in');
+    const logoutButton = document.getElementById('wallet-logout-button');
+    const csvButton = document.getElementById('wallet-csv-button');
+    const pdfButton = document.getElementById('wallet-pdf-button');
+    const shareButton = document.getElementById('wallet-share-button');
+    const errorP = document.getElementById('wallet-error');
+    const content = document.getElementById('wallet-content');
+
+    let token = readToken();
+    let phone = '';
+    let wallet = null;
+
+    const showLoginError = (message) => {
+        loginError.textContent = message;
+        loginError.classList.toggle('hidden', !message);
+    };
+
+    const showError = (message) => {
+        errorP.textContent = message;
+        errorP.classList.toggle('hidden', !message);
+    };
+
+    const showLoggedIn = (loggedIn) => {
+        loginSection.classList.toggle('hidden', loggedIn);
+        dashboard.classList.toggle('hidden', !loggedIn);
+        logoutButton.classList.toggle('hidden', !loggedIn);
+    };
+
+    const showCodeStep = (codeStep) => {
+        phoneForm.classList.toggle('hidden', codeStep);
+        codeForm.classList.toggle('hidden', !codeStep);
+    };
+
+    const clearSession = () => {
+        token = null;
+        wallet = null;
+        writeToken(null);
+        content.innerHTML = '';
+        codeForm.reset();
+        showCodeStep(false);
+        showLoggedIn(false);
+    };
+
+    const handleError = (error) => {
+        if (error.status === 401) {
+            clearSession();
+            showLoginError(errorMessage(error));
+            return;
+        }
+        showError(errorMessage(error));
+    };
+
+    // Disables the button while `action` runs, so a slow download is not started twice.
+    const withButton = async (button, action) => {
+        button.disabled = true;
+        showError('');
+        try {
+            await action();
+        } catch (error) {
+            handleError(error);
+        } finally {
+            button.disabled = false;
+        }
+    };
+
+    const loadWallet = async () => {
+        showError('');
+        showLoadingSpinner(content, t('wallet.loading'));
+        try {
+            wallet = await getJson('/api/account/wallet', { token });
+            signedInP.textContent = t('wallet.signedInAs', { phone: wallet.account.phone });
+            shareButton.classList.toggle('hidden', wallet.totals.pickups === 0);
+            content.innerHTML = renderWallet(wallet);
+        } catch (error) {
+            content.innerHTML = '';
+            handleError(error);
+        }
+    };
+
+    phoneForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showLoginError('');
+        const submitButton = phoneForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            phone = new FormData(phoneForm).get('phone');
+            const { devCode } = await postJson('/api/account/otp', { phone });
+            codeSentP.textContent = t('wallet.codeSent', { phone });
+            devCodeP.textContent = devCode ? t('wallet.devCode', { code: devCode }) : '';
+            devCodeP.classList.toggle('hidden', !devCode);
+            showCodeStep(true);
+            codeForm.elements.code.focus();
+        } catch (error) {
+            showLoginError(errorMessage(error));
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    codeForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        showLoginError('');
+        const submitButton = codeForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+        try {
+            ({ token } = await postJson('/api/account/verify', { phone, code: new FormData(codeForm).get('code') }));
+            writeToken(token);
+            codeForm.reset();
+            showCodeStep(false);
+            showLoggedIn(true);
+            await loadWallet();
+        } catch (error) {
+            showLoginError(errorMessage(error));
+        } finally {
+            submitButton.disabled = false;
+        }
+    });
+
+    changeNumberButton.addEventListener('click', () => {
+        showLoginError('');
+        codeForm.reset();
+        showCodeStep(false);
+        phoneForm.elements.phone.focus();
+    });
+
+    logoutButton.addEventListener('click', async () => {
+        await postJson('/api/account/logout', {}, { token }).catch(() => {});
+        clearSession();
+    });
+
+    csvButton.addEventListener('click', () => withButton(csvButton, async () => {
+        downloadBlob(await getBlob('/api/account/statement.csv', { token }), 'recyclink-statement.csv');
+    }));
+
+    pdfButton.addEventListener('click', () => withButton(pdfButton, async () => {
+        downloadBlob(await getBlob('/api/account/statement.pdf', { token }), 'recyclink-statement.pdf');
+    }));
+
+    shareButton.addEventListener('click', () => withButton(shareButton, () => shareImpactCard(wallet.totals)));
+
+    if (token) {
+        showLoggedIn(true);
+        loadWallet();
+    } else {
+        showLoggedIn(false);
+    }
+});
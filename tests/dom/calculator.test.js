@@ -0,0 +1,129 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_CATALOG } from '../../shared/rateCard.js';
+import { initCalculator } from '../../src/calculator.js';
+import * as api from '../fixtures/api.js';
+import { loadHomePage } from '../helpers/page.js';
+import { replayFetch, sentBodies } from '../helpers/replayFetch.js';
+
+const results = () => document.getElementById('calculator-results');
+const basketLines = () => [...document.querySelectorAll('#calculator-basket-items li')].map((li) => li.textContent.replace(/\s+/g, ' ').trim());
+const unitOptions = () => [...document.getElementById('scrap-unit-calculator').options].map((option) => option.value);
+
+const addLine = (materialId, quantity, unit) => {
+    const form = document.getElementById('value-calculator-form');
+    document.getElementById('scrap-type-calculator').value = materialId;
+    document.getElementById('scrap-type-calculator').dispatchEvent(new Event('change'));
+    document.getElementById('scrap-weight-calculator').value = String(quantity);
+    if (unit) document.getElementById('scrap-unit-calculator').value = unit;
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+};
+
+const estimate = async (city, ...responses) => {
+    const fetchMock = replayFetch({ 'POST /api/estimate': responses });
+    vi.stubGlobal('fetch', fetchMock);
+    document.getElementById('scrap-city-calculator').value = city;
+    document.getElementById('calculator-estimate-button').click();
+    await vi.waitFor(() => expect(results().querySelector('.animate-spin')).toBeNull(), { timeout: 3000 });
+    return fetchMock;
+};
+
+let onSchedule;
+let calculator;
+
+beforeEach(() => {
+    loadHomePage();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    onSchedule = vi.fn();
+    calculator = initCalculator({ getCatalog: () => DEFAULT_CATALOG, onSchedule });
+});
+
+describe('value calculator', () => {
+    it('offers every priced material, grouped by category', () => {
+        const groups = [...document.querySelectorAll('#scrap-type-calculator optgroup')];
+        expect(groups.map((group) => group.label)).toEqual(['Paper & Cardboard', 'Plastics', 'Metals', 'E-Waste']);
+        expect(groups.flatMap((group) => [...group.children].map((option) => option.value))).toEqual(Object.keys(DEFAULT_CATALOG.materials));
+    });
+
+    it('only offers the units a material is priced in', () => {
+        document.getElementById('scrap-type-calculator').value = 'old-laptop';
+        document.getElementById('scrap-type-calculator').dispatchEvent(new Event('change'));
+        expect(unitOptions()).toEqual(['pieces']);
+        document.getElementById('scrap-type-calculator').value = 'pet-bottles';
+        document.getElementById('scrap-type-calculator').dispatchEvent(new Event('change'));
+        expect(unitOptions()).toEqual(['kg', 'pieces']);
+    });
+
+    it('tops up a line when the same material is added again', () => {
+        addLine('newspaper', 4);
+        addLine('newspaper', 6);
+        addLine('aluminum-cans', 20, 'pieces');
+        expect(basketLines()).toEqual(['Newspaper 10 kg ₹120 - ₹150 Remove', 'Aluminum Cans 20 pieces ₹30 - ₹40 Remove']);
+        expect(document.getElementById('calculator-basket').classList.contains('hidden')).toBe(false);
+    });
+
+    it("prices each line from the chosen city's rates", () => {
+        addLine('copper-wire', 2);
+        document.getElementById('scrap-city-calculator').value = 'mumbai';
+        document.getElementById('scrap-city-calculator').dispatchEvent(new Event('change'));
+        expect(basketLines()).toEqual(['Copper Wire 2 kg ₹860 - ₹1,020 Remove']);
+    });
+
+    it('ignores a line without a quantity', () => {
+        addLine('newspaper', 0);
+        expect(basketLines()).toEqual([]);
+    });
+
+    it('removes a line', () => {
+        addLine('newspaper', 4);
+        addLine('steel', 2);
+        document.querySelector('#calculator-basket-items button[data-remove-index="0"]').click();
+        expect(basketLines()).toEqual(['Steel 2 kg ₹56 - ₹70 Remove']);
+    });
+
+    it('prices the basket through the API and hands the estimate on for a pickup', async () => {
+        addLine('newspaper', 10);
+        addLine('aluminum-cans', 20, 'pieces');
+        const fetchMock = await estimate('delhi', api.estimateDelhi);
+        expect(sentBodies(fetchMock, 'POST /api/estimate')).toEqual([{
+            items: [{ materialId: 'newspaper', quantity: 10, unit: 'kg' }, { materialId: 'aluminum-cans', quantity: 20, unit: 'pieces' }],
+            city: 'delhi',
+        }]);
+        expect(results().textContent).toContain('Estimated Total in Delhi NCR');
+        expect(results().textContent).toContain('₹150 - ₹190');
+        expect(results().textContent).not.toContain('calculated on your device');
+        document.getElementById('calculator-schedule-button').click();
+        expect(onSchedule).toHaveBeenCalledWith(api.estimateDelhi.json);
+    });
+
+    it.each([
+        ['a truncated response', api.estimateTruncated],
+        ['a response without a total', api.estimateMissingTotal],
+    ])('works the estimate out on the device after %s', async (label, response) => {
+        addLine('newspaper', 10);
+        addLine('aluminum-cans', 20, 'pieces');
+        const fetchMock = await estimate('delhi', response);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(results().textContent).toContain('₹150 - ₹190');
+        expect(results().textContent).toContain('calculated on your device');
+    });
+
+    it('works the estimate out on the device when the API cannot be reached', async () => {
+        addLine('copper-wire', 2);
+        const fetchMock = await estimate('mumbai', { offline: true }, { offline: true }, { offline: true });
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+        expect(results().textContent).toContain('₹860 - ₹1,020');
+        expect(results().textContent).toContain('calculated on your device');
+    });
+
+    it("shows the API's message for a basket it will not price", async () => {
+        addLine('newspaper', 10);
+        await estimate('delhi', { status: 400, json: { error: 'A basket can hold up to 20 items.' } });
+        expect(results().querySelector('.text-red-500').textContent).toBe('A basket can hold up to 20 items.');
+    });
+
+    it('takes items from the identifier', () => {
+        calculator.addToBasket({ materialId: 'cardboard', name: 'Cardboard', quantity: 3, unit: 'kg' });
+        expect(basketLines()).toEqual(['Cardboard 3 kg ₹24 - ₹30 Remove']);
+    });
+});
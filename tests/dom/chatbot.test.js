@@ -0,0 +1,154 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { createChatSession, initChatbot } from '../../src/chatbot.js';
+import * as ai from '../fixtures/ai.js';
+import * as api from '../fixtures/api.js';
+import { createFakeAiProvider } from '../helpers/fakeAiProvider.js';
+import { loadHomePage } from '../helpers/page.js';
+import { replayFetch, sentBodies } from '../helpers/replayFetch.js';
+
+const messages = () => document.getElementById('chatbot-messages');
+const bubbles = () => [...messages().children].map((bubble) => bubble.textContent.replace(/\s+/g, ' ').trim());
+
+const ask = async (question) => {
+    document.getElementById('chatbot-input').value = question;
+    document.getElementById('chatbot-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await vi.waitFor(() => expect(document.getElementById('chatbot-input').disabled).toBe(false), { timeout: 3000 });
+};
+
+let provider;
+let fetchMock;
+let session;
+let save;
+
+// `answers` are the assistant's replies, in order; `recordings` answer the other API calls, such as booking.
+const start = (answers, history = [], recordings = {}) => {
+    provider = createFakeAiProvider({ chatStream: answers });
+    fetchMock = replayFetch(recordings);
+    vi.stubGlobal('fetch', fetchMock);
+    save = vi.fn();
+    session = createChatSession({ ai: provider, history, save, clear: vi.fn() });
+    initChatbot({ session });
+    document.getElementById('chatbot-toggle-button').click();
+};
+
+beforeEach(() => {
+    loadHomePage();
+});
+
+describe('chat assistant', () => {
+    it('opens with a welcome and the saved conversation', () => {
+        start([], [{ role: 'user', text: 'Hi' }, { role: 'model', text: 'Hello! **Ask away.**' }]);
+        expect(document.getElementById('chatbot-window').classList.contains('flex')).toBe(true);
+        expect(bubbles()).toEqual([expect.stringContaining("I'm your Kabaadi Assistant"), 'Hi', 'Hello! Ask away.']);
+        expect(messages().querySelector('strong').textContent).toBe('Ask away.');
+    });
+
+    it('streams the reply into the conversation and remembers it', async () => {
+        start([ai.chatReply], [{ role: 'user', text: 'Hi' }, { role: 'model', text: 'Hello!' }]);
+        await ask('What do you buy?');
+        expect(bubbles().slice(-2)).toEqual(['What do you buy?', 'We buy newspaper, cardboard and metals.']);
+        expect(messages().lastElementChild.querySelector('strong').textContent).toBe('newspaper');
+        expect(provider.requests.chatStream).toEqual([{
+            message: 'What do you buy?',
+            history: [{ role: 'user', text: 'Hi' }, { role: 'model', text: 'Hello!' }],
+            language: 'en',
+        }]);
+        expect(session.history.slice(-2)).toEqual([
+            { role: 'user', text: 'What do you buy?' },
+            { role: 'model', text: 'We buy **newspaper**, cardboard and metals.' },
+        ]);
+        expect(save).toHaveBeenCalledWith(session.history);
+    });
+
+    it.each([
+        ['fails part-way', ai.chatCutOff, 'Our AI assistant is very busy right now. Please try again in a minute.'],
+        ['cannot be read', ai.chatGarbled, 'We got an unexpected answer. Please try again.'],
+        ['ends without replying', ai.chatEmpty, 'We got an unexpected answer. Please try again.'],
+    ])('shows an error, and forgets the question, when the stream %s', async (label, answer, message) => {
+        start([answer]);
+        await ask('What do you buy?');
+        expect(bubbles().slice(-2)).toEqual(['What do you buy?', message]);
+        expect(messages().lastElementChild.querySelector('.text-red-600')).not.toBeNull();
+        expect(session.history).toEqual([]);
+        expect(provider.requests.chatStream).toHaveLength(1);
+    });
+
+    it('tries again if the API cannot be reached before the reply starts', async () => {
+        start([ai.unreachable, ai.chatReply]);
+        await ask('What do you buy?');
+        expect(provider.requests.chatStream).toHaveLength(2);
+        expect(bubbles().at(-1)).toBe('We buy newspaper, cardboard and metals.');
+    });
+
+    it('leaves retrying a busy assistant to the server', async () => {
+        start([ai.quotaExceeded, ai.chatReply]);
+        await ask('What do you buy?');
+        expect(provider.requests.chatStream).toHaveLength(1);
+        expect(bubbles().at(-1)).toBe(ai.quotaExceeded.error.message);
+    });
+
+    it('books a proposed pickup once the customer confirms it', async () => {
+        start([ai.chatBooking], [], { 'POST /api/pickups': [api.pickupBooked] });
+        await ask('Book a pickup for tomorrow morning');
+        const card = messages().lastElementChild;
+        expect(card.textContent).toContain('Confirm your pickup');
+        expect(card.textContent).toContain('12 Lodhi Road, 110011');
+        expect(sentBodies(fetchMock, 'POST /api/pickups')).toEqual([]);
+
+        card.querySelector('[data-booking="confirm"]').click();
+        await vi.waitFor(() => expect(card.querySelector('.booking-actions')).toBeNull());
+        expect(sentBodies(fetchMock, 'POST /api/pickups')[0]).toMatchObject({ name: 'Asha Verma', pincode: '110011', slotId: '09-12', city: 'delhi' });
+        expect(card.querySelector('.booking-status').textContent).toContain('Booked! Pickup ID KAB-AA6GSP');
+        expect(session.history.at(-1).text).toContain('KAB-AA6GSP');
+    });
+
+    it('shows a proposed pickup that comes without a reply', async () => {
+        start([ai.chatBookingOnly]);
+        await ask('Book a pickup for tomorrow morning');
+        expect(bubbles().slice(-2)).toEqual(['Book a pickup for tomorrow morning', expect.stringContaining('Confirm your pickup')]);
+        expect(session.history).toEqual([
+            { role: 'user', text: 'Book a pickup for tomorrow morning' },
+            { role: 'model', text: 'Please confirm the pickup for Tue, 20 Oct, 9 AM - 12 PM below.' },
+        ]);
+    });
+
+    it('lets the customer try again if the booking fails', async () => {
+        start([ai.chatBooking], [], { 'POST /api/pickups': [api.slotFull] });
+        await ask('Book a pickup for tomorrow morning');
+        const card = messages().lastElementChild;
+        card.querySelector('[data-booking="confirm"]').click();
+        await vi.waitFor(() => expect(card.querySelector('.booking-status').textContent).toBe('That time slot is fully booked. Please choose another time.'));
+        expect(card.querySelector('[data-booking="confirm"]').disabled).toBe(false);
+    });
+
+    it('tells the assistant when the customer declines', async () => {
+        start([ai.chatBooking]);
+        await ask('Book a pickup for tomorrow morning');
+        const card = messages().lastElementChild;
+        card.querySelector('[data-booking="dismiss"]').click();
+        expect(card.querySelector('.booking-status').textContent).toBe('Not booked.');
+        expect(session.history.slice(-2)).toEqual([
+            { role: 'user', text: "Not now, please don't book it." },
+            { role: 'model', text: 'No problem, nothing has been booked.' },
+        ]);
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('keeps only the most recent messages', async () => {
+        const earlier = Array.from({ length: 25 }, (_, i) => [{ role: 'user', text: `Question ${i}` }, { role: 'model', text: `Answer ${i}` }]).flat();
+        start([ai.chatReply], earlier);
+        await ask('What do you buy?');
+        expect(session.history).toHaveLength(50);
+        expect(session.history[0]).toEqual({ role: 'user', text: 'Question 1' });
+        expect(session.history.at(-1).text).toBe('We buy **newspaper**, cardboard and metals.');
+    });
+
+    it('clears the conversation', async () => {
+        start([ai.chatReply]);
+        await ask('What do you buy?');
+        document.getElementById('chatbot-clear-button').click();
+        expect(session.history).toEqual([]);
+        expect(bubbles()).toHaveLength(1);
+    });
+});
@@ -0,0 +1,169 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_CATALOG } from '../../shared/rateCard.js';
+import { createApiAiProvider } from '../../src/ai.js';
+import { initContactForm } from '../../src/contactForm.js';
+import { setLanguage } from '../../src/i18n.js';
+import * as api from '../fixtures/api.js';
+import { loadHomePage } from '../helpers/page.js';
+import { replayFetch, sentBodies } from '../helpers/replayFetch.js';
+
+const field = (name) => document.querySelector(`#contact-form [name="${name}"]`);
+const areaStatus = () => document.getElementById('contact-area-status').textContent;
+const formError = () => document.getElementById('contact-form-error');
+const container = () => document.getElementById('contact-form-container');
+const optionValues = (name) => [...field(name).options].filter((option) => !option.disabled).map((option) => option.value);
+
+const enterPincode = async (pincode) => {
+    field('pincode').value = pincode;
+    field('pincode').dispatchEvent(new Event('input'));
+    await vi.waitFor(() => expect(areaStatus()).not.toBe('Checking your area...'));
+};
+
+const fillIn = async ({ message = 'Old newspapers' } = {}) => {
+    field('name').value = 'Asha Verma';
+    field('phone').value = '9876543210';
+    field('address').value = '12 Lodhi Road';
+    await enterPincode('110011');
+    field('date').value = '2026-10-20';
+    field('date').dispatchEvent(new Event('change'));
+    field('slotId').value = '09-12';
+    field('message').value = message;
+};
+
+const submit = async () => {
+    document.getElementById('contact-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await vi.waitFor(() => expect(document.getElementById('contact-submit-button')?.disabled).not.toBe(true));
+};
+
+let fetchMock;
+let contactForm;
+
+const recordings = (extra = {}) => {
+    fetchMock = replayFetch({ 'GET /api/availability': [api.availabilitySouthDelhi, api.availabilitySouthDelhi], ...extra });
+    vi.stubGlobal('fetch', fetchMock);
+};
+
+beforeEach(() => {
+    loadHomePage();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    contactForm = initContactForm({ ai: createApiAiProvider(), getCatalog: () => DEFAULT_CATALOG });
+});
+
+afterEach(() => {
+    setLanguage('en');
+});
+
+describe('pickup request form', () => {
+    it('offers the open days and slots for a served pincode', async () => {
+        recordings();
+        await enterPincode('110011');
+        expect(areaStatus()).toBe('✓ We serve South Delhi. Pick a date and time slot.');
+        expect(optionValues('date')).toEqual(['', '2026-10-20', '2026-10-21']);
+        expect(field('slotId').disabled).toBe(true);
+        field('date').value = '2026-10-21';
+        field('date').dispatchEvent(new Event('change'));
+        expect(optionValues('slotId')).toEqual(['', '09-12', '12-15', '15-18']);
+    });
+
+    it('says when a pincode is not served', async () => {
+        recordings({ 'GET /api/availability': [api.availabilityNotServed] });
+        await enterPincode('110001');
+        expect(areaStatus()).toBe("Sorry, we don't collect from this pincode yet. We're expanding fast, so please check back soon!");
+        expect(field('date').disabled).toBe(true);
+    });
+
+    it("says a pincode is not served in the customer's language", async () => {
+        recordings({ 'GET /api/availability': [api.availabilityNotServed] });
+        setLanguage('mr');
+        field('pincode').value = '110001';
+        field('pincode').dispatchEvent(new Event('input'));
+        await vi.waitFor(() => expect(areaStatus()).toBe('माफ करा, आम्ही अजून या पिनकोडवरून भंगार घेत नाही. आम्ही वेगाने विस्तारत आहोत, कृपया लवकरच पुन्हा पहा!'));
+    });
+
+    it('does not look up a pincode that cannot be valid', async () => {
+        recordings();
+        await enterPincode('011001');
+        expect(areaStatus()).toBe('Please enter a valid 6-digit pincode.');
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('asks for every field', async () => {
+        recordings();
+        await fillIn({ message: '' });
+        await submit();
+        expect(formError().textContent).toBe('Please fill out all fields.');
+        expect(sentBodies(fetchMock, 'POST /api/pickups')).toEqual([]);
+    });
+
+    it('books the pickup and shows the thank-you from the assistant', async () => {
+        recordings({ 'POST /api/pickups': [api.pickupBooked], 'POST /api/confirm': [api.confirmAsha] });
+        await fillIn();
+        await submit();
+        await vi.waitFor(() => expect(container().textContent).toContain('Request Sent!'));
+        const [sent] = sentBodies(fetchMock, 'POST /api/pickups');
+        expect(sent).toMatchObject({ name: 'Asha Verma', phone: '9876543210', pincode: '110011', date: '2026-10-20', slotId: '09-12', message: 'Old newspapers' });
+        expect(sent.clientRequestId).toMatch(/^[\w-]{8,64}$/);
+        expect(sentBodies(fetchMock, 'POST /api/confirm')).toEqual([{ name: 'Asha Verma', language: 'en' }]);
+        expect(container().textContent).toContain(api.confirmAsha.json.message);
+        expect(container().textContent).toContain('KAB-AA6GSP');
+        expect(container().querySelector('a').getAttribute('href')).toBe('/track/KAB-AA6GSP');
+    });
+
+    it.each([
+        ['a truncated thank-you', { text: '{"message":"Thank you, As' }],
+        ['a thank-you of the wrong shape', { json: { message: '' } }],
+        ['the assistant being busy', api.quotaExceeded],
+    ])('falls back to a standard thank-you after %s', async (label, confirmResponse) => {
+        recordings({ 'POST /api/pickups': [api.pickupBooked], 'POST /api/confirm': [confirmResponse, confirmResponse, confirmResponse] });
+        await fillIn();
+        await submit();
+        await vi.waitFor(() => expect(container().textContent).toContain('Request Sent!'));
+        expect(container().textContent).toContain('Thank you, Asha Verma! Your pickup request has been received.');
+    });
+
+    it("shows the API's message when the request is refused", async () => {
+        recordings({ 'POST /api/pickups': [api.pickupInvalidPhone] });
+        await fillIn();
+        await submit();
+        expect(formError().textContent).toBe('Please enter a valid 10-digit mobile number.');
+        expect(formError().classList.contains('hidden')).toBe(false);
+        expect(document.getElementById('contact-submit-button').textContent).toBe('Find My scrap collector');
+    });
+
+    it('reloads the slots when the chosen one has just filled up', async () => {
+        recordings({ 'POST /api/pickups': [api.slotFull] });
+        await fillIn();
+        await submit();
+        expect(formError().textContent).toBe('That time slot is fully booked. Please choose another time.');
+        await vi.waitFor(() => expect(fetchMock.mock.calls.filter(([url]) => url.startsWith('/api/availability'))).toHaveLength(2));
+    });
+
+    it("explains a full slot in the customer's language", async () => {
+        recordings({ 'POST /api/pickups': [api.slotFull] });
+        await fillIn();
+        setLanguage('hi');
+        await submit();
+        expect(formError().textContent).toBe('यह समय स्लॉट पूरी तरह बुक है। कृपया कोई और समय चुनें।');
+    });
+
+    it('books a calculator basket without a message', async () => {
+        recordings({ 'POST /api/pickups': [api.pickupBooked], 'POST /api/confirm': [api.confirmAsha] });
+        contactForm.setBasket(api.estimateDelhi.json);
+        const summary = document.getElementById('contact-basket-summary');
+        expect(summary.textContent).toContain('Estimated total: ₹150 - ₹190');
+        await fillIn({ message: '' });
+        await submit();
+        await vi.waitFor(() => expect(container().textContent).toContain('Request Sent!'));
+        expect(sentBodies(fetchMock, 'POST /api/pickups')[0]).toMatchObject({
+            city: 'delhi',
+            items: [{ materialId: 'newspaper', quantity: 10, unit: 'kg' }, { materialId: 'aluminum-cans', quantity: 20, unit: 'pieces' }],
+        });
+    });
+
+    it('adds identified items to the message', () => {
+        field('message').value = '1 old fan';
+        contactForm.appendToMessage('Brass Tap');
+        expect(field('message').value).toBe('1 old fan\nBrass Tap');
+    });
+});
@@ -0,0 +1,135 @@
+// @vitest-environment jsdom
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { DEFAULT_CATALOG } from '../../shared/rateCard.js';
+import { initIdentifier } from '../../src/identifier.js';
+import * as ai from '../fixtures/ai.js';
+import { createFakeAiProvider } from '../helpers/fakeAiProvider.js';
+import { loadHomePage } from '../helpers/page.js';
+
+const resultArea = () => document.getElementById('identifier-result-area');
+
+const preparePhoto = async (file) => {
+    if (file.name === 'corrupt.jpg') throw new Error('unreadable');
+    return { dataUrl: `data:image/jpeg;base64,${file.name}`, mimeType: 'image/jpeg', data: file.name };
+};
+
+const pickPhotos = async (...names) => {
+    const input = document.getElementById('waste-upload-input');
+    Object.defineProperty(input, 'files', { value: names.map((name) => new File(['x'], name, { type: 'image/jpeg' })), configurable: true });
+    input.dispatchEvent(new Event('change'));
+    await vi.waitFor(() => expect(document.getElementById('waste-identify-button')).not.toBeNull());
+};
+
+let provider;
+let addToBasket;
+let addToRequest;
+
+const identify = async (...answers) => {
+    provider.answer('identify', ...answers);
+    document.getElementById('waste-identify-button').click();
+    await vi.waitFor(() => expect(resultArea().querySelector('.animate-spin')).toBeNull(), { timeout: 3000 });
+};
+
+beforeEach(() => {
+    loadHomePage();
+    provider = createFakeAiProvider();
+    addToBasket = vi.fn();
+    addToRequest = vi.fn();
+    initIdentifier({ ai: provider, getCatalog: () => DEFAULT_CATALOG, getCity: () => 'delhi', addToBasket, addToRequest, preparePhoto });
+});
+
+describe('photo identifier', () => {
+    it('only enables Identify once a photo is picked', async () => {
+        expect(document.getElementById('waste-identify-button').disabled).toBe(true);
+        await pickPhotos('scrap.jpg');
+        expect(document.getElementById('waste-identify-button').disabled).toBe(false);
+        expect(document.querySelectorAll('#waste-image-previews img')).toHaveLength(1);
+    });
+
+    it('keeps the photos it could read and says so about the rest', async () => {
+        await pickPhotos('one.jpg', 'corrupt.jpg', 'two.jpg');
+        expect(document.querySelectorAll('#waste-image-previews img')).toHaveLength(2);
+        expect(resultArea().textContent).toContain('Some photos could not be read');
+    });
+
+    it('sends every photo, with the city and page language', async () => {
+        await pickPhotos('one.jpg', 'two.jpg');
+        await identify(ai.identifyNewspapersAndBottles);
+        expect(provider.requests.identify).toEqual([{
+            images: [{ data: 'one.jpg', mimeType: 'image/jpeg' }, { data: 'two.jpg', mimeType: 'image/jpeg' }],
+            city: 'delhi',
+            language: 'en',
+        }]);
+    });
+
+    it('lists what it found, with rate-card prices where we have them', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.identifyNewspapersAndBottles);
+        const items = [...resultArea().querySelectorAll('li')];
+        expect(items.map((li) => li.querySelector('h3').textContent)).toEqual(['Old Newspapers', 'Brass Tap', 'Ceramic Mug']);
+        expect(items[0].textContent).toContain('₹12 - ₹15 per kg');
+        expect(items[1].textContent).toContain('₹300-400 per kg');
+        expect(items[2].textContent).toContain('This may not be standard scrap');
+        expect(items[2].querySelector('button')).toBeNull();
+    });
+
+    it('adds priced items to the calculator and the rest to the request message', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.identifyNewspapersAndBottles);
+        const [newspaper, brass] = resultArea().querySelectorAll('button[data-add-detected]');
+        expect([newspaper.textContent, brass.textContent]).toEqual(['Add to Calculator', 'Add to Pickup']);
+        newspaper.click();
+        brass.click();
+        expect(addToBasket).toHaveBeenCalledWith({ materialId: 'newspaper', name: 'Newspaper', quantity: 5, unit: 'kg' });
+        expect(addToRequest).toHaveBeenCalledWith('Brass Tap');
+        expect(newspaper.disabled).toBe(true);
+        expect(newspaper.textContent).toContain('Added to the calculator');
+    });
+
+    it('says when the answer came from the backup assistant', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.identifyFallback);
+        expect(resultArea().textContent).toContain('Identified Item:');
+        expect(resultArea().textContent).toContain("couldn't analyse these photos reliably");
+    });
+
+    it('says when nothing was found', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.identifyNothing);
+        expect(resultArea().textContent).toContain("couldn't spot any scrap");
+    });
+
+    it.each([
+        ['a truncated response', ai.identifyTruncated, 'We got an unexpected answer. Please try again.'],
+        ['a response of the wrong shape', ai.identifyWrongShape, 'We got an unexpected answer. Please try again.'],
+        ['a photo the model cannot read', ai.invalidImage, "We couldn't read that photo. Please try a clearer PNG, JPG, or WEBP image."],
+    ])('shows an error for %s', async (label, answer, message) => {
+        await pickPhotos('scrap.jpg');
+        await identify(answer);
+        expect(resultArea().querySelector('.text-red-500').textContent).toBe(message);
+        expect(provider.requests.identify).toHaveLength(1);
+    });
+
+    it('tries again when the API cannot be reached', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.unreachable, ai.identifyNewspapersAndBottles);
+        expect(provider.requests.identify).toHaveLength(2);
+        expect(resultArea().querySelectorAll('li')).toHaveLength(3);
+    });
+
+    it('leaves retrying a busy assistant to the server', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.quotaExceeded, ai.identifyNewspapersAndBottles);
+        expect(provider.requests.identify).toHaveLength(1);
+        expect(resultArea().textContent).toContain(ai.quotaExceeded.error.message);
+    });
+
+    it('starts over when cleared', async () => {
+        await pickPhotos('scrap.jpg');
+        await identify(ai.identifyNewspapersAndBottles);
+        document.getElementById('waste-clear-button').click();
+        expect(resultArea().querySelectorAll('li')).toHaveLength(0);
+        expect(document.getElementById('waste-identify-button').disabled).toBe(true);
+        expect(document.getElementById('waste-image-previews').classList.contains('hidden')).toBe(true);
+    });
+});
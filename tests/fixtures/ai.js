@@ -0,0 +1,48 @@
+import { InvalidImageError, InvalidResponseError, NetworkError, QuotaError } from '../../shared/errors.js';
+import * as api from './api.js';
+
+// Answers from the page's AI provider (src/ai.js), as the page sections receive them,
+// for tests/helpers/fakeAiProvider.js: { result }, { events } for a chat stream, or
+// the { error } the provider rejects with. They match the API recordings in ./api.js.
+
+export const identifyNewspapersAndBottles = { result: api.identifyNewspapersAndBottles.json };
+
+export const identifyFallback = { result: api.identifyFallback.json };
+
+export const identifyNothing = { result: api.identifyNothing.json };
+
+export const identifyWrongShape = { result: api.identifyWrongShape.json };
+
+// The body was cut off, so the provider could not parse it.
+export const identifyTruncated = { error: new InvalidResponseError() };
+
+export const invalidImage = { error: new InvalidImageError(api.invalidImage.json.error) };
+
+export const quotaExceeded = { error: new QuotaError(api.quotaExceeded.json.error) };
+
+// The connection dropped before our API answered.
+export const unreachable = { error: new NetworkError() };
+
+export const chatReply = {
+    events: [['delta', { text: 'We buy **newspaper**, ' }], ['delta', { text: 'cardboard and metals.' }]],
+};
+
+export const chatBooking = {
+    events: [['delta', { text: 'Please check the details below and press Confirm booking.' }], ['booking', api.bookingProposal]],
+};
+
+// The assistant proposed a pickup without saying anything.
+export const chatBookingOnly = {
+    events: [['booking', api.bookingProposal]],
+};
+
+// The model failed after part of the reply had been sent.
+export const chatCutOff = {
+    events: [['delta', { text: 'We buy ' }]],
+    error: new QuotaError(api.quotaExceeded.json.error),
+};
+
+// An event in the stream could not be parsed.
+export const chatGarbled = { error: new InvalidResponseError() };
+
+export const chatEmpty = { events: [] };
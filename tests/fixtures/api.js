@@ -0,0 +1,157 @@
+// Responses recorded from our own API, as the browser receives them. Each is
+// { status, json } or { status, text } for tests/helpers/replayFetch.js.
+
+const sse = (events) => events.map(([event, data]) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`).join('');
+
+export const identifyNewspapersAndBottles = {
+    json: {
+        items: [
+            { itemName: 'Old Newspapers', category: 'Paper & Cardboard', recyclable: true, materialId: 'newspaper', estimatedQuantity: 5, unit: 'kg', estimatedPrice: '₹12-15 per kg', categoryId: 'paper', rate: { min: 12, max: 15, per: 'kg' }, estimatedValue: { min: 60, max: 75 } },
+            { itemName: 'Brass Tap', category: 'Metals', recyclable: true, materialId: null, estimatedQuantity: 1, unit: 'pieces', estimatedPrice: '₹300-400 per kg', categoryId: 'metals' },
+            { itemName: 'Ceramic Mug', category: 'Other', recyclable: false, materialId: null, estimatedPrice: 'Not applicable', categoryId: null },
+        ],
+    },
+};
+
+export const identifyFallback = {
+    json: { ...identifyNewspapersAndBottles.json, items: identifyNewspapersAndBottles.json.items.slice(0, 1), fallback: true },
+};
+
+export const identifyNothing = {
+    json: { items: [] },
+};
+
+// The connection dropped mid-body.
+export const identifyTruncated = {
+    text: '{"items":[{"itemName":"Old Newspapers","category":"Paper & Cardb',
+};
+
+export const identifyWrongShape = {
+    json: { items: [{ itemName: 'Old Newspapers', recyclable: 'yes' }] },
+};
+
+export const invalidImage = {
+    status: 422,
+    json: { error: "We couldn't read that photo. Please try a clearer PNG, JPG, or WEBP image.", code: 'invalid_image' },
+};
+
+export const quotaExceeded = {
+    status: 429,
+    json: { error: 'Our AI assistant is very busy right now. Please try again in a minute.', code: 'quota' },
+};
+
+// An HTML error page from a proxy rather than our JSON.
+export const badGateway = {
+    status: 502,
+    text: '<html><body><h1>502 Bad Gateway</h1></body></html>',
+};
+
+export const estimateDelhi = {
+    json: {
+        city: 'delhi',
+        cityName: 'Delhi NCR',
+        items: [
+            { materialId: 'newspaper', material: 'Newspaper', quantity: 10, unit: 'kg', rate: { min: 12, max: 15, per: 'kg' }, estimatedValue: { min: 120, max: 150 }, impact: { co2eKg: 10, waterLitres: 260, energyKwh: 40, trees: 0.17 } },
+            { materialId: 'aluminum-cans', material: 'Aluminum Cans', quantity: 20, unit: 'pieces', rate: { min: 1.5, max: 2, per: 'piece' }, estimatedValue: { min: 30, max: 40 }, impact: { co2eKg: 2.7, waterLitres: 18, energyKwh: 4.2, trees: 0 } },
+        ],
+        total: { min: 150, max: 190 },
+        rateCard: { version: '2025.10', effectiveFrom: '2025-10-01' },
+        impact: { co2eKg: 12.7, waterLitres: 278, energyKwh: 44.2, trees: 0.17 },
+        disclaimer: 'Based on our published rate card. The final price is set after weighing at your doorstep and depends on quality.',
+    },
+};
+
+export const estimateTruncated = {
+    text: '{"city":"delhi","cityName":"Delhi NCR","items":[{"materialId":"newsp',
+};
+
+export const estimateMissingTotal = {
+    json: { ...estimateDelhi.json, total: null },
+};
+
+const slots = (remaining) => [
+    { id: '09-12', label: '9 AM - 12 PM', remaining, available: remaining > 0 },
+    { id: '12-15', label: '12 PM - 3 PM', remaining, available: remaining > 0 },
+    { id: '15-18', label: '3 PM - 6 PM', remaining, available: remaining > 0 },
+];
+
+export const availabilitySouthDelhi = {
+    json: {
+        served: true,
+        area: { id: 'delhi-south', name: 'South Delhi', city: 'delhi' },
+        days: [
+            { date: '2026-10-19', slots: slots(0) },
+            { date: '2026-10-20', slots: slots(4) },
+            { date: '2026-10-21', slots: slots(4) },
+        ],
+    },
+};
+
+export const availabilityNotServed = {
+    json: { served: false, message: "Sorry, we don't collect from pincode 110001 yet. We're expanding fast, so please check back soon!" },
+};
+
+export const pickupBooked = {
+    status: 201,
+    json: {
+        id: 'KAB-AA6GSP', name: 'Asha Verma', phone: '9876543210', address: '12 Lodhi Road', pincode: '110011',
+        date: '2026-10-20', slotId: '09-12', message: 'Old newspapers', areaId: 'delhi-south', slotLabel: '9 AM - 12 PM',
+        status: 'requested', history: [{ status: 'requested', at: '2026-10-19T15:48:10.451Z' }], createdAt: '2026-10-19T15:48:10.451Z',
+    },
+};
+
+export const pickupInvalidPhone = {
+    status: 400,
+    json: { error: 'Please enter a valid 10-digit mobile number.', details: { phone: 'Please enter a valid 10-digit mobile number.' } },
+};
+
+export const slotFull = {
+    status: 409,
+    json: { error: 'The 9 AM - 12 PM slot on Tuesday, 20 October is fully booked in South Delhi. Please choose another time.', details: { slotId: 'full' } },
+};
+
+export const confirmAsha = {
+    json: { message: 'Thank you, Asha! A kabaadiwala near you will call shortly to confirm your pickup.' },
+};
+
+export const chatReply = {
+    contentType: 'text/event-stream',
+    text: sse([
+        ['delta', { text: 'We buy **newspaper**, ' }],
+        ['delta', { text: 'cardboard and metals.' }],
+        ['done', {}],
+    ]),
+};
+
+// What the propose_pickup tool sends on for the customer to confirm.
+export const bookingProposal = {
+    request: { name: 'Asha Verma', phone: '9876543210', address: '12 Lodhi Road', pincode: '110011', date: '2026-10-20', slotId: '09-12', message: 'Old newspapers', city: 'delhi' },
+    areaName: 'South Delhi',
+    day: 'Tuesday, 20 October',
+    slotLabel: '9 AM - 12 PM',
+    estimate: null,
+};
+
+export const chatBooking = {
+    contentType: 'text/event-stream',
+    text: sse([
+        ['delta', { text: 'Please check the details below and press Confirm booking.' }],
+        ['booking', bookingProposal],
+        ['done', {}],
+    ]),
+};
+
+// The model failed after part of the reply had been sent.
+export const chatCutOff = {
+    contentType: 'text/event-stream',
+    text: sse([
+        ['delta', { text: 'We buy ' }],
+        ['error', { error: 'Our AI assistant is very busy right now. Please try again in a minute.', code: 'quota' }],
+    ]),
+};
+
+// A data line that is not JSON.
+export const chatGarbled = {
+    contentType: 'text/event-stream',
+    text: 'event: delta\ndata: {"text": "We bu\n\n',
+};
@@ -0,0 +1,85 @@
+// Responses recorded from the Gemini API, in the shapes the SDK hands them back.
+// `error` entries are thrown the way the SDK throws a failed call.
+
+export const identifyNewspapers = {
+    text: JSON.stringify({
+        items: [
+            { itemName: 'Newspapers', category: 'paper', recyclable: true, materialId: 'newspaper', estimatedQuantity: 6, unit: 'kg', estimatedPrice: '₹10-20 per kg' },
+            { itemName: 'Broken ceramic mug', category: 'other', recyclable: false, materialId: 'other', estimatedQuantity: 1, unit: 'pieces', estimatedPrice: 'Not applicable' },
+        ],
+    }),
+};
+
+// The model stopped mid-answer.
+export const identifyTruncated = {
+    text: '{"items": [{"itemName": "Newspapers", "category": "paper", "recyclable": tr',
+};
+
+// Valid JSON, but not what we asked for.
+export const identifyWrongShape = {
+    text: JSON.stringify({ items: [{ name: 'Newspapers', price: 12 }] }),
+};
+
+export const confirmReply = {
+    text: 'Thank you, Asha! A kabaadiwala near you will call shortly to confirm your pickup.\n',
+};
+
+export const emptyReply = {
+    text: '',
+};
+
+export const quotaExceeded = {
+    error: {
+        status: 429,
+        message: '{"error":{"code":429,"message":"You exceeded your current quota, please check your plan and billing details.","status":"RESOURCE_EXHAUSTED"}}',
+    },
+};
+
+export const serviceUnavailable = {
+    error: {
+        status: 503,
+        message: '{"error":{"code":503,"message":"The model is overloaded. Please try again later.","status":"UNAVAILABLE"}}',
+    },
+};
+
+export const badImage = {
+    error: {
+        status: 400,
+        message: '{"error":{"code":400,"message":"Provided image is not valid.","status":"INVALID_ARGUMENT"}}',
+    },
+};
+
+const textChunk = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+export const chatStreamReply = {
+    chunks: [textChunk('We buy newspaper, '), textChunk('cardboard and metals. '), textChunk('Newspaper is ₹12-15 per kg in Delhi.')],
+};
+
+// The model asks for a tool before it answers.
+export const chatStreamCheckArea = {
+    chunks: [{ candidates: [{ content: { role: 'model', parts: [{ functionCall: { id: 'call-1', name: 'check_service_area', args: { pincode: '110011' } } }] } }] }],
+};
+
+export const chatStreamAreaReply = {
+    chunks: [textChunk('Yes, we collect from South Delhi. '), textChunk('Which day suits you?')],
+};
+
+// The model proposes a pickup and says nothing else. Slots must be in the future,
+// so the date is filled in by the test.
+export const chatStreamProposePickup = (date) => ({
+    chunks: [{ candidates: [{ content: { role: 'model', parts: [{ functionCall: {
+        id: 'call-1',
+        name: 'propose_pickup',
+        args: { name: 'Asha Verma', phone: '9876543210', address: '12 Lodhi Road', pincode: '110011', date, slotId: '15-18', notes: 'Old newspapers' },
+    } }] } }] }],
+});
+
+export const chatStreamEmpty = {
+    chunks: [{ candidates: [{ content: { role: 'model', parts: [] } }] }],
+};
+
+// Fails after the first chunk has gone out.
+export const chatStreamCutOff = {
+    chunks: [textChunk('We buy newspaper, ')],
+    error: serviceUnavailable.error,
+};
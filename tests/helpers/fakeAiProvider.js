@@ -0,0 +1,43 @@
+// Stands in for the page's AI provider (src/ai.js), answering each method with the
+// recordings from tests/fixtures/ai.js in the order given; more can be queued with
+// `answer`. `requests` collects what the page asked each method for.
+export const createFakeAiProvider = (recordings = {}) => {
+    const queues = { chatStream: [], identify: [], confirm: [] };
+    const requests = { chatStream: [], identify: [], confirm: [] };
+
+    const take = (method, request) => {
+        requests[method].push(request);
+        const recording = queues[method].shift();
+        if (!recording) throw new Error(`No recorded ${method} answer left`);
+        return recording;
+    };
+
+    const answer = (method, ...answers) => {
+        queues[method].push(...answers);
+    };
+
+    Object.entries(recordings).forEach(([method, answers]) => answer(method, ...answers));
+
+    return {
+        requests,
+        answer,
+
+        async chatStream(request, onEvent) {
+            const { events = [], error } = take('chatStream', request);
+            events.forEach(([event, data]) => onEvent(event, data));
+            if (error) throw error;
+        },
+
+        async identify(request) {
+            const { result, error } = take('identify', request);
+            if (error) throw error;
+            return result;
+        },
+
+        async confirm(request) {
+            const { result, error } = take('confirm', request);
+            if (error) throw error;
+            return result;
+        },
+    };
+};
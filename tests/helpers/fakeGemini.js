@@ -0,0 +1,53 @@
+const sdkError = ({ status, message }) => Object.assign(new Error(message), { status });
+
+// Stands in for the GoogleGenAI client, answering with recorded responses in the
+// order given. `requests` collects what the provider sent, for assertions.
+export const createFakeGemini = ({ generateContent = [], streams = [] } = {}) => {
+    const replies = [...generateContent];
+    const streamReplies = [...streams];
+    const requests = { generateContent: [], chats: [], messages: [] };
+
+    const take = (queue, kind) => {
+        const recording = queue.shift();
+        if (!recording) throw new Error(`No recorded ${kind} response left`);
+        return recording;
+    };
+
+    return {
+        requests,
+
+        models: {
+            async generateContent(request) {
+                requests.generateContent.push(request);
+                const recording = take(replies, 'generateContent');
+                if (recording.error) throw sdkError(recording.error);
+                return recording;
+            },
+        },
+
+        chats: {
+            create(options) {
+                requests.chats.push(options);
+                return {
+                    async sendMessage({ message }) {
+                        requests.messages.push(message);
+                        const recording = take(replies, 'sendMessage');
+                        if (recording.error) throw sdkError(recording.error);
+                        return recording;
+                    },
+
+                    // A recording with both chunks and an error fails part-way through.
+                    async sendMessageStream({ message }) {
+                        requests.messages.push(message);
+                        const { chunks = [], error } = take(streamReplies, 'sendMessageStream');
+                        if (error && chunks.length === 0) throw sdkError(error);
+                        return (async function* () {
+                            yield* chunks;
+                            if (error) throw sdkError(error);
+                        })();
+                    },
+                };
+            },
+        },
+    };
+};
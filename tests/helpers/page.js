@@ -0,0 +1,10 @@
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const homePage = readFileSync(path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../index.html'), 'utf8');
+
+// Puts the home page's markup in the document, without running its scripts.
+export const loadHomePage = () => {
+    document.body.innerHTML = homePage.match(/<body[^>]*>([\s\S]*)<\/body>/)[1];
+};
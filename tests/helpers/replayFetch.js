@@ -0,0 +1,21 @@
+import { vi } from 'vitest';
+
+// A fetch that answers from recorded responses (see tests/fixtures/api.js), keyed by
+// "METHOD /path" and used up in order. `{ offline: true }` fails the way fetch does
+// when the connection drops. Asking for anything not recorded fails the test.
+export const replayFetch = (recordings) => {
+    const queues = Object.fromEntries(Object.entries(recordings).map(([key, responses]) => [key, [...responses]]));
+    return vi.fn(async (url, init = {}) => {
+        const key = `${init.method ?? 'GET'} ${new URL(url, 'http://localhost').pathname}`;
+        const recording = queues[key]?.shift();
+        if (!recording) throw new Error(`No recorded response left for ${key}`);
+        if (recording.offline) throw new TypeError('Failed to fetch');
+        const { status = 200, json, text = JSON.stringify(json), contentType = 'application/json' } = recording;
+        return new Response(text, { status, headers: { 'Content-Type': contentType } });
+    });
+};
+
+// The JSON bodies fetch was called with for `key`, in order.
+export const sentBodies = (fetchMock, key) => fetchMock.mock.calls
+    .filter(([url, init = {}]) => `${init.method ?? 'GET'} ${new URL(url, 'http://localhost').pathname}` === key)
+    .map(([, init]) => JSON.parse(init.body));
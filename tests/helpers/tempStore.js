@@ -0,0 +1,23 @@
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach } from 'vitest';
+import { createStore } from '../../server/store.js';
+
+// Gives each test in the file a fresh store in its own temporary directory, removed
+// afterwards. Read `temp.store` and `temp.filePath` inside hooks and tests.
+export const useTempStore = () => {
+    const temp = { dir: null, filePath: null, store: null };
+
+    beforeEach(async () => {
+        temp.dir = await mkdtemp(path.join(tmpdir(), 'recyclink-test-'));
+        temp.filePath = path.join(temp.dir, 'db.json');
+        temp.store = createStore(temp.filePath);
+    });
+
+    afterEach(async () => {
+        await rm(temp.dir, { recursive: true, force: true });
+    });
+
+    return temp;
+};
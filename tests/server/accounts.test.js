@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAccountAuth } from '../../server/accounts.js';
+import { useTempStore } from '../helpers/tempStore.js';
+
+const temp = useTempStore();
+let sender;
+
+beforeEach(() => {
+    sender = { send: vi.fn() };
+});
+
+describe('one-time codes', () => {
+    it('only sends the code to the phone unless showing codes is switched on', async () => {
+        vi.stubEnv('OTP_SHOW_CODES', undefined);
+        const result = await createAccountAuth({ store: temp.store, sender }).requestCode('9876543210');
+        expect(result).not.toHaveProperty('devCode');
+        expect(sender.send).toHaveBeenCalledWith('9876543210', expect.stringMatching(/^\d{6}$/));
+    });
+
+    it('returns the code with OTP_SHOW_CODES=true', async () => {
+        vi.stubEnv('OTP_SHOW_CODES', 'true');
+        const { devCode } = await createAccountAuth({ store: temp.store, sender }).requestCode('9876543210');
+        expect(devCode).toBe(sender.send.mock.calls[0][1]);
+    });
+
+    it('signs in with the code that was sent', async () => {
+        const auth = createAccountAuth({ store: temp.store, sender });
+        await auth.requestCode('+91 98765 43210');
+        const { token, account } = await auth.verifyCode('9876543210', sender.send.mock.calls[0][1]);
+        expect(token).toMatch(/^[0-9a-f]{64}$/);
+        expect(account.phone).toBe('9876543210');
+    });
+});
+
+describe('expired sign-ins', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    const signIn = async (auth, phone) => {
+        await auth.requestCode(phone);
+        return (await auth.verifyCode(phone, sender.send.mock.calls.at(-1)[1])).token;
+    };
+
+    it('deletes an expired session when it is used', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const auth = createAccountAuth({ store: temp.store, sender });
+        const token = await signIn(auth, '9876543210');
+        vi.setSystemTime(Date.now() + 31 * DAY_MS);
+        const req = { get: () => `Bearer ${token}` };
+        await expect(auth.requireAccount(req, {}, vi.fn())).rejects.toMatchObject({ status: 401 });
+        expect(await temp.store.get('accountSessions', token)).toBeNull();
+    });
+
+    it('sweeps out expired codes and sessions when someone signs in', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        const auth = createAccountAuth({ store: temp.store, sender });
+        await signIn(auth, '9876543210');
+        await auth.requestCode('9123456780');
+        vi.setSystemTime(Date.now() + 31 * DAY_MS);
+        const token = await signIn(auth, '9988776655');
+        expect((await temp.store.all('accountSessions')).map(({ id }) => id)).toEqual([token]);
+        expect(await temp.store.all('otpCodes')).toEqual([]);
+    });
+});
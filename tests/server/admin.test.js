@@ -0,0 +1,54 @@
+import { describe, expect, it } from 'vitest';
+import { createAdminAuth } from '../../server/admin.js';
+import { createApp } from '../../server/app.js';
+import { createCatalog } from '../../server/catalog.js';
+import { useTempStore } from '../helpers/tempStore.js';
+
+const brass = { name: 'Brass', category: 'metals', rates: { delhi: { kg: { min: 300, max: 400 } } } };
+
+const temp = useTempStore();
+
+describe('admin login', () => {
+    it('locks out the address that keeps guessing, not everyone', async () => {
+        const auth = createAdminAuth({ store: temp.store, password: 'correct horse' });
+        for (let i = 0; i < 5; i++) await expect(auth.login('guess', '203.0.113.9')).rejects.toMatchObject({ status: 401 });
+        await expect(auth.login('correct horse', '203.0.113.9')).rejects.toMatchObject({ status: 429 });
+        expect(await auth.login('correct horse', '198.51.100.4')).toHaveProperty('token');
+    });
+
+    it('tells visitors behind a trusted proxy apart', async () => {
+        const app = createApp({ store: temp.store, adminAuth: createAdminAuth({ store: temp.store, password: 'correct horse' }), trustProxy: 'loopback' });
+        const server = await new Promise((resolve) => {
+            const listening = app.listen(0, () => resolve(listening));
+        });
+        const login = (password, ip) => fetch(`http://localhost:${server.address().port}/api/admin/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+            body: JSON.stringify({ password }),
+        });
+        try {
+            for (let i = 0; i < 5; i++) expect((await login('guess', '203.0.113.9')).status).toBe(401);
+            expect((await login('correct horse', '203.0.113.9')).status).toBe(429);
+            expect((await login('correct horse', '198.51.100.4')).status).toBe(200);
+        } finally {
+            await new Promise((resolve) => server.close(resolve));
+        }
+    });
+});
+
+describe('adding a material', () => {
+    it('publishes the new material and its rates', async () => {
+        const catalog = createCatalog({ store: temp.store });
+        const view = await catalog.addMaterial('brass', brass);
+        expect(view.materials.brass).toEqual({ name: 'Brass', category: 'metals' });
+        expect(view.rateCard.cities.delhi.rates.brass).toEqual({ kg: { min: 300, max: 400 } });
+    });
+
+    it('refuses an id that is already taken', async () => {
+        const catalog = createCatalog({ store: temp.store });
+        await expect(catalog.addMaterial('newspaper', brass)).rejects.toMatchObject({ status: 409, details: { id: 'taken' } });
+        await catalog.addMaterial('brass', brass);
+        await expect(catalog.addMaterial('brass', { ...brass, name: 'Yellow Brass' })).rejects.toMatchObject({ status: 409 });
+        expect((await catalog.view()).materials.brass.name).toBe('Brass');
+    });
+});
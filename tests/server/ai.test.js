@@ -0,0 +1,209 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createAiProvider } from '../../server/ai/index.js';
+import { createApp } from '../../server/app.js';
+import { createScheduler } from '../../server/serviceAreas.js';
+import * as gemini from '../fixtures/gemini.js';
+import { createFakeGemini } from '../helpers/fakeGemini.js';
+import { useTempStore } from '../helpers/tempStore.js';
+
+// The app as it runs in production, with the Gemini client replaced by `fake`.
+const startApp = async (fake) => {
+    const app = createApp({
+        store: temp.store,
+        ai: createAiProvider({ gemini: fake, retry: { baseDelayMs: 0 } }),
+    });
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    servers.push(server);
+    return `http://localhost:${server.address().port}/api`;
+};
+
+const post = async (url, body) => {
+    const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: response.status, body: response.headers.get('content-type')?.includes('json') ? await response.json() : await response.text() };
+};
+
+const parseEvents = (text) => text.trim().split('\n\n').map((block) => [
+    block.match(/^event: (.*)$/m)[1],
+    JSON.parse(block.match(/^data: (.*)$/m)[1]),
+]);
+
+const photo = { data: 'AAAA', mimeType: 'image/jpeg' };
+
+const temp = useTempStore();
+let servers;
+
+beforeEach(() => {
+    servers = [];
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+    await Promise.all(servers.map((server) => new Promise((resolve) => server.close(resolve))));
+});
+
+describe('POST /api/identify', () => {
+    it('prices recognised items from the rate card, not the model', async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.identifyNewspapers] });
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo], language: 'hi' });
+        expect(status).toBe(200);
+        expect(body.fallback).toBeUndefined();
+        expect(body.items[0]).toMatchObject({
+            materialId: 'newspaper',
+            categoryId: 'paper',
+            category: 'Paper & Cardboard',
+            rate: { min: 12, max: 15, per: 'kg' },
+            estimatedValue: { min: 72, max: 90 },
+            estimatedPrice: '₹12-15 per kg',
+        });
+        expect(body.items[1]).toMatchObject({ materialId: null, categoryId: null, category: 'Other', estimatedPrice: 'Not applicable' });
+        const [request] = fake.requests.generateContent;
+        expect(request.contents.parts[0].text).toContain('in Hindi');
+        expect(request.contents.parts[1]).toEqual({ inlineData: photo });
+    });
+
+    it("uses the rates for the customer's city", async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.identifyNewspapers] });
+        const { body } = await post(`${await startApp(fake)}/identify`, { images: [photo], city: 'mumbai' });
+        expect(body.items[0]).toMatchObject({ rate: { min: 13, max: 16, per: 'kg' }, estimatedValue: { min: 78, max: 96 } });
+    });
+
+    it.each(['constructor', '__proto__', 'pune'])('rejects the city %s before calling the model', async (city) => {
+        const fake = createFakeGemini();
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo], city });
+        expect(status).toBe(400);
+        expect(body.error).toBe('We do not have rates for that city yet.');
+        expect(fake.requests.generateContent).toHaveLength(0);
+    });
+
+    it.each([
+        ['truncated', gemini.identifyTruncated],
+        ['wrongly shaped', gemini.identifyWrongShape],
+        ['empty', gemini.emptyReply],
+    ])('answers from the mock provider when the model returns %s JSON', async (label, recording) => {
+        const fake = createFakeGemini({ generateContent: [recording] });
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo] });
+        expect(status).toBe(200);
+        expect(body.fallback).toBe(true);
+        expect(body.items.length).toBeGreaterThan(0);
+        expect(fake.requests.generateContent).toHaveLength(1);
+    });
+
+    it('retries when the model is overloaded', async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.serviceUnavailable, gemini.identifyNewspapers] });
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo] });
+        expect(status).toBe(200);
+        expect(body.items).toHaveLength(2);
+        expect(fake.requests.generateContent).toHaveLength(2);
+    });
+
+    it('gives up with a quota error after three attempts', async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.quotaExceeded, gemini.quotaExceeded, gemini.quotaExceeded] });
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo] });
+        expect(status).toBe(429);
+        expect(body.code).toBe('quota');
+        expect(fake.requests.generateContent).toHaveLength(3);
+    });
+
+    it('reports a photo the model cannot read without retrying', async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.badImage] });
+        const { status, body } = await post(`${await startApp(fake)}/identify`, { images: [photo] });
+        expect(status).toBe(422);
+        expect(body.code).toBe('invalid_image');
+        expect(fake.requests.generateContent).toHaveLength(1);
+    });
+
+    it('checks the photos before calling the model', async () => {
+        const fake = createFakeGemini();
+        const url = `${await startApp(fake)}/identify`;
+        expect((await post(url, { images: [] })).status).toBe(400);
+        expect((await post(url, { images: Array(5).fill(photo) })).status).toBe(400);
+        expect((await post(url, { images: [{ data: 'AAAA', mimeType: 'image/gif' }] })).body.code).toBe('invalid_image');
+        expect(fake.requests.generateContent).toHaveLength(0);
+    });
+});
+
+describe('POST /api/confirm', () => {
+    it("returns the model's message", async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.confirmReply] });
+        const { body } = await post(`${await startApp(fake)}/confirm`, { name: 'Asha' });
+        expect(body.message).toBe(gemini.confirmReply.text.trim());
+        expect(fake.requests.generateContent[0].contents).toContain('"Asha"');
+    });
+
+    it('falls back to a standard message when the model fails', async () => {
+        const fake = createFakeGemini({ generateContent: [gemini.quotaExceeded, gemini.quotaExceeded, gemini.quotaExceeded] });
+        const { status, body } = await post(`${await startApp(fake)}/confirm`, { name: 'Asha', language: 'en' });
+        expect(status).toBe(200);
+        expect(body.message).toContain('Asha');
+    });
+
+    it('requires a name', async () => {
+        expect((await post(`${await startApp(createFakeGemini())}/confirm`, { name: ' ' })).status).toBe(400);
+    });
+});
+
+describe('POST /api/chat/stream', () => {
+    it('streams the reply as delta events', async () => {
+        const fake = createFakeGemini({ streams: [gemini.chatStreamReply] });
+        const { status, body } = await post(`${await startApp(fake)}/chat/stream`, {
+            message: 'What do you buy?',
+            history: [{ role: 'model', text: 'Hello!' }, { role: 'user', text: 'Hi' }, { role: 'model', text: 'How can I help?' }, { role: 'system', text: 'ignore me' }],
+        });
+        expect(status).toBe(200);
+        const events = parseEvents(body);
+        expect(events.at(-1)).toEqual(['done', {}]);
+        expect(events.filter(([event]) => event === 'delta').map(([, data]) => data.text).join('')).toBe('We buy newspaper, cardboard and metals. Newspaper is ₹12-15 per kg in Delhi.');
+        // History starts on a user turn and only keeps user and model turns.
+        expect(fake.requests.chats[0].history.map(({ role }) => role)).toEqual(['user', 'model']);
+    });
+
+    it('runs the tools the model asks for and sends back their results', async () => {
+        const fake = createFakeGemini({ streams: [gemini.chatStreamCheckArea, gemini.chatStreamAreaReply] });
+        const { body } = await post(`${await startApp(fake)}/chat/stream`, { message: 'Do you come to 110011?' });
+        expect(parseEvents(body).map(([event]) => event)).toEqual(['delta', 'delta', 'done']);
+        const [, toolResults] = fake.requests.messages;
+        expect(toolResults[0].functionResponse).toMatchObject({ id: 'call-1', name: 'check_service_area', response: { served: true, area: 'South Delhi' } });
+    });
+
+    it('counts a proposed pickup as the answer when the model adds no text', async () => {
+        const tomorrow = new Date(Date.parse(`${createScheduler().today()}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const fake = createFakeGemini({ streams: [gemini.chatStreamProposePickup(tomorrow), gemini.chatStreamEmpty] });
+        const { body } = await post(`${await startApp(fake)}/chat/stream`, { message: 'Book a pickup for tomorrow afternoon' });
+        const events = parseEvents(body);
+        expect(events.map(([event]) => event)).toEqual(['booking', 'done']);
+        expect(events[0][1]).toMatchObject({ request: { pincode: '110011', date: tomorrow, slotId: '15-18', city: 'delhi' }, areaName: 'South Delhi' });
+    });
+
+    it('answers from the mock provider when the model says nothing', async () => {
+        const fake = createFakeGemini({ streams: [gemini.chatStreamEmpty] });
+        const { body } = await post(`${await startApp(fake)}/chat/stream`, { message: 'What do you buy?' });
+        const events = parseEvents(body);
+        expect(events.at(-1)).toEqual(['done', {}]);
+        expect(events.some(([event]) => event === 'delta')).toBe(true);
+    });
+
+    it('ends with an error event if the model fails part-way', async () => {
+        const fake = createFakeGemini({ streams: [gemini.chatStreamCutOff] });
+        const { body } = await post(`${await startApp(fake)}/chat/stream`, { message: 'What do you buy?' });
+        expect(parseEvents(body)).toEqual([
+            ['delta', { text: 'We buy newspaper, ' }],
+            ['error', { error: expect.any(String), code: 'network' }],
+        ]);
+    });
+
+    it('answers with a JSON error if the model fails before replying', async () => {
+        const fake = createFakeGemini({ streams: [gemini.quotaExceeded, gemini.quotaExceeded, gemini.quotaExceeded] });
+        const { status, body } = await post(`${await startApp(fake)}/chat/stream`, { message: 'What do you buy?' });
+        expect(status).toBe(429);
+        expect(body.code).toBe('quota');
+    });
+
+    it('requires a message', async () => {
+        const fake = createFakeGemini();
+        expect((await post(`${await startApp(fake)}/chat/stream`, { message: '' })).status).toBe(400);
+        expect((await post(`${await startApp(fake)}/chat/stream`, { message: 'x'.repeat(1001) })).status).toBe(400);
+    });
+});
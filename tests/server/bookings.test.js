@@ -0,0 +1,55 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { cancelPickup, createPickup, reschedulePickup } from '../../server/bookings.js';
+import { createCatalog } from '../../server/catalog.js';
+import { createScheduler } from '../../server/serviceAreas.js';
+import { useTempStore } from '../helpers/tempStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const temp = useTempStore();
+let deps;
+let request;
+
+beforeEach(() => {
+    const { store } = temp;
+    const scheduler = createScheduler();
+    deps = { store, scheduler, catalog: createCatalog({ store }) };
+    const tomorrow = new Date(Date.parse(`${scheduler.today()}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+    request = {
+        name: 'Asha Verma', phone: '9876543210', address: '12 Lodhi Road', pincode: '110011',
+        date: tomorrow, slotId: '09-12', message: 'Old newspapers', clientRequestId: 'offline-queue-0001',
+    };
+});
+
+describe('createPickup', () => {
+    it('returns the pickup already booked for a request sent again', async () => {
+        const booked = await createPickup(deps, request);
+        expect(await createPickup(deps, request)).toEqual(booked);
+        expect(await deps.store.all('pickups')).toHaveLength(1);
+    });
+
+    it('returns the booked pickup even once its slot can no longer be booked', async () => {
+        const booked = await createPickup(deps, request);
+        const later = { ...deps, scheduler: { ...deps.scheduler, checkBookable: () => null } };
+        expect(await createPickup(later, request)).toEqual(booked);
+        await expect(createPickup(later, { ...request, clientRequestId: 'offline-queue-0002' })).rejects.toMatchObject({ status: 400, details: { slotId: 'unavailable' } });
+    });
+});
+
+describe('reschedulePickup', () => {
+    it("says so when the pickup's area is no longer served", async () => {
+        const { id } = await createPickup(deps, request);
+        const withoutArea = { ...deps, scheduler: { ...deps.scheduler, findArea: () => null } };
+        await expect(reschedulePickup(withoutArea, id, { phone: request.phone, date: request.date, slotId: '12-15' }))
+            .rejects.toMatchObject({ status: 400, details: { pincode: 'not_served' } });
+    });
+});
+
+describe('cancelPickup', () => {
+    it('gives the customer a code for each refusal', async () => {
+        const { id } = await createPickup(deps, request);
+        await expect(cancelPickup(deps, id, { phone: '9999999999' })).rejects.toMatchObject({ status: 403, details: { phone: 'mismatch' } });
+        await cancelPickup(deps, id, { phone: request.phone });
+        await expect(cancelPickup(deps, id, { phone: request.phone })).rejects.toMatchObject({ status: 409, details: { status: 'locked' } });
+    });
+});
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { createDealerAuth, hashPin } from '../../server/dealers.js';
+import { useTempStore } from '../helpers/tempStore.js';
+
+const dealers = [{ id: 'd1', name: 'Ramesh', phone: '9810000001', areaIds: ['delhi-south'], pinHash: hashPin('1234') }];
+
+const temp = useTempStore();
+
+describe('dealer login', () => {
+    it('locks out the address guessing a PIN, not the kabaadiwala', async () => {
+        const auth = createDealerAuth({ store: temp.store, dealers });
+        for (let i = 0; i < 5; i++) await expect(auth.login('9810000001', '0000', '203.0.113.9')).rejects.toMatchObject({ status: 401 });
+        await expect(auth.login('9810000001', '1234', '203.0.113.9')).rejects.toMatchObject({ status: 429 });
+        expect(await auth.login('9810000001', '1234', '198.51.100.4')).toMatchObject({ dealer: { id: 'd1' } });
+    });
+});
@@ -0,0 +1,28 @@
+import { promises as fs } from 'fs';
+import { readFile } from 'node:fs/promises';
+import { describe, expect, it, vi } from 'vitest';
+import { useTempStore } from '../helpers/tempStore.js';
+
+const temp = useTempStore();
+
+describe('store', () => {
+    it('keeps writing after a write fails, without the failed change', async () => {
+        const { store, filePath } = temp;
+        vi.spyOn(fs, 'rename').mockRejectedValueOnce(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+        await expect(store.insert('pickups', { id: 'A' })).rejects.toThrow('disk full');
+        expect(await store.get('pickups', 'A')).toBeNull();
+        await store.insert('pickups', { id: 'B' });
+        expect(Object.keys(JSON.parse(await readFile(filePath, 'utf8')).pickups)).toEqual(['B']);
+    });
+
+    it('takes back a failed update or removal', async () => {
+        const { store, filePath } = temp;
+        await store.insert('pickups', { id: 'A', status: 'requested' });
+        await store.insert('pickups', { id: 'B', status: 'requested' });
+        vi.spyOn(fs, 'rename').mockRejectedValue(Object.assign(new Error('disk full'), { code: 'ENOSPC' }));
+        await expect(store.update('pickups', 'A', { status: 'cancelled' })).rejects.toThrow('disk full');
+        await expect(store.remove('pickups', 'B')).rejects.toThrow('disk full');
+        await expect(store.removeWhere('pickups', () => true)).rejects.toThrow('disk full');
+        expect(await store.all('pickups')).toEqual([{ id: 'A', status: 'requested' }, { id: 'B', status: 'requested' }]);
+    });
+});
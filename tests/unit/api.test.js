@@ -0,0 +1,91 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { InvalidResponseError, NetworkError, OfflineError, QuotaError } from '../../shared/errors.js';
+import { getJson, postEventStream, postJson } from '../../src/api.js';
+import * as api from '../fixtures/api.js';
+import { replayFetch } from '../helpers/replayFetch.js';
+
+const collectEvents = async (fixture) => {
+    vi.stubGlobal('fetch', replayFetch({ 'POST /api/chat/stream': [fixture] }));
+    const events = [];
+    await postEventStream('/api/chat/stream', { message: 'Hi' }, (event, data) => events.push([event, data]));
+    return events;
+};
+
+beforeEach(() => {
+    vi.stubGlobal('navigator', { onLine: true });
+});
+
+describe('requestJson', () => {
+    it('sends JSON with the session token', async () => {
+        const fetchMock = replayFetch({ 'POST /api/confirm': [api.confirmAsha] });
+        vi.stubGlobal('fetch', fetchMock);
+        expect(await postJson('/api/confirm', { name: 'Asha' }, { token: 'abc' })).toEqual(api.confirmAsha.json);
+        const [, init] = fetchMock.mock.calls[0];
+        expect(init.headers).toEqual({ 'Content-Type': 'application/json', Authorization: 'Bearer abc' });
+        expect(JSON.parse(init.body)).toEqual({ name: 'Asha' });
+    });
+
+    it('treats a truncated body as an invalid response', async () => {
+        vi.stubGlobal('fetch', replayFetch({ 'POST /api/identify': [api.identifyTruncated] }));
+        await expect(postJson('/api/identify', {})).rejects.toBeInstanceOf(InvalidResponseError);
+    });
+
+    it('rebuilds typed errors from error responses', async () => {
+        vi.stubGlobal('fetch', replayFetch({ 'POST /api/identify': [api.quotaExceeded] }));
+        await expect(postJson('/api/identify', {})).rejects.toBeInstanceOf(QuotaError);
+    });
+
+    it('treats a proxy error page as a network failure', async () => {
+        vi.stubGlobal('fetch', replayFetch({ 'GET /api/materials': [api.badGateway] }));
+        await expect(getJson('/api/materials')).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    it('tells a dropped connection from being offline', async () => {
+        vi.stubGlobal('fetch', replayFetch({ 'GET /api/materials': [{ offline: true }, { offline: true }] }));
+        const error = await getJson('/api/materials').catch((caught) => caught);
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error).not.toBeInstanceOf(OfflineError);
+        vi.stubGlobal('navigator', { onLine: false });
+        await expect(getJson('/api/materials')).rejects.toBeInstanceOf(OfflineError);
+    });
+});
+
+describe('postEventStream', () => {
+    it('passes each event on as it is read', async () => {
+        expect(await collectEvents(api.chatBooking)).toEqual([
+            ['delta', { text: 'Please check the details below and press Confirm booking.' }],
+            ['booking', expect.objectContaining({ slotLabel: '9 AM - 12 PM' })],
+            ['done', {}],
+        ]);
+    });
+
+    it('reassembles events split across chunks', async () => {
+        const text = api.chatReply.text;
+        const encoder = new TextEncoder();
+        const body = new ReadableStream({
+            start(controller) {
+                for (let i = 0; i < text.length; i += 7) controller.enqueue(encoder.encode(text.slice(i, i + 7)));
+                controller.close();
+            },
+        });
+        vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { headers: { 'Content-Type': 'text/event-stream' } })));
+        const events = [];
+        await postEventStream('/api/chat/stream', {}, (event, data) => events.push(data));
+        expect(events.map((data) => data.text ?? '').join('')).toBe('We buy **newspaper**, cardboard and metals.');
+    });
+
+    it('rejects with the typed error from an error event, after the events before it', async () => {
+        vi.stubGlobal('fetch', replayFetch({ 'POST /api/chat/stream': [api.chatCutOff] }));
+        const events = [];
+        await expect(postEventStream('/api/chat/stream', {}, (event) => events.push(event))).rejects.toBeInstanceOf(QuotaError);
+        expect(events).toEqual(['delta']);
+    });
+
+    it('treats an event that is not JSON as an invalid response', async () => {
+        await expect(collectEvents(api.chatGarbled)).rejects.toBeInstanceOf(InvalidResponseError);
+    });
+
+    it('fails before streaming if the request is refused', async () => {
+        await expect(collectEvents(api.quotaExceeded)).rejects.toBeInstanceOf(QuotaError);
+    });
+});
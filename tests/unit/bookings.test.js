@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { isValidPhone, lastTenDigits, validatePickup } from '../../server/bookings.js';
+import { DEFAULT_CATALOG } from '../../shared/rateCard.js';
+
+const request = {
+    name: ' Asha Verma ',
+    phone: '98765 43210',
+    address: '12 Lodhi Road',
+    pincode: '110011',
+    date: '2026-10-20',
+    slotId: '09-12',
+    message: 'Old newspapers',
+};
+
+describe('validatePickup', () => {
+    it('cleans up a valid request', () => {
+        const { value, errors } = validatePickup(request, DEFAULT_CATALOG);
+        expect(errors).toEqual({});
+        expect(value).toMatchObject({ name: 'Asha Verma', phone: '9876543210' });
+        expect(value).not.toHaveProperty('estimate');
+    });
+
+    it('reports every field that needs fixing', () => {
+        const { errors } = validatePickup({ phone: '12345', pincode: '011001', date: 'tomorrow' }, DEFAULT_CATALOG);
+        expect(Object.keys(errors).sort()).toEqual(['address', 'date', 'message', 'name', 'phone', 'pincode', 'slotId']);
+        expect(errors.phone).toBe('Please enter a valid 10-digit mobile number.');
+    });
+
+    it('rejects a malformed client request id', () => {
+        expect(validatePickup({ ...request, clientRequestId: 'not an id!' }, DEFAULT_CATALOG).errors).toEqual({ clientRequestId: 'Invalid request id.' });
+    });
+
+    it('prices a calculator basket itself, and then needs no message', () => {
+        const { value, errors } = validatePickup({
+            ...request,
+            message: '',
+            city: 'mumbai',
+            items: [{ materialId: 'cardboard', quantity: 5, unit: 'kg', estimatedValue: { min: 1000, max: 1000 } }],
+        }, DEFAULT_CATALOG);
+        expect(errors).toEqual({});
+        expect(value.estimate.total).toEqual({ min: 45, max: 55 });
+        expect(value.estimate.impact.co2eKg).toBe(4.5);
+    });
+
+    it('reports a basket it cannot price', () => {
+        expect(validatePickup({ ...request, items: [{ materialId: 'old-laptop', quantity: 2, unit: 'kg' }] }, DEFAULT_CATALOG).errors)
+            .toEqual({ items: 'Old Laptop is priced per piece.' });
+    });
+});
+
+describe('phone numbers', () => {
+    it.each(['9876543210', '+91 9876543210', '+91-9876543210', '919876543210'])('accepts %s', (phone) => {
+        expect(isValidPhone(phone)).toBe(true);
+        expect(lastTenDigits(phone)).toBe('9876543210');
+    });
+
+    it.each(['5876543210', '987654321', '98765432101', '', null])('rejects %s', (phone) => {
+        expect(isValidPhone(phone)).toBe(false);
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+import { classifyGeminiError } from '../../server/ai/gemini.js';
+import { AiError, errorFromResponse, InvalidImageError, InvalidResponseError, isConnectionError, isTransientError, NetworkError, OfflineError, QuotaError } from '../../shared/errors.js';
+import * as api from '../fixtures/api.js';
+import * as gemini from '../fixtures/gemini.js';
+
+const sdkError = ({ status, message }) => Object.assign(new Error(message), { status });
+
+describe('errorFromResponse', () => {
+    it('rebuilds typed AI errors from their code', () => {
+        const error = errorFromResponse(api.invalidImage.status, api.invalidImage.json);
+        expect(error).toBeInstanceOf(InvalidImageError);
+        expect(error.message).toBe(api.invalidImage.json.error);
+        expect(errorFromResponse(api.quotaExceeded.status, api.quotaExceeded.json)).toBeInstanceOf(QuotaError);
+    });
+
+    it('falls back to the status when there is no code', () => {
+        expect(errorFromResponse(429, null)).toBeInstanceOf(QuotaError);
+        expect(errorFromResponse(502, null)).toBeInstanceOf(NetworkError);
+        expect(errorFromResponse(504, {})).toBeInstanceOf(NetworkError);
+    });
+
+    it("keeps the server's message and status for other failures", () => {
+        const error = errorFromResponse(api.pickupInvalidPhone.status, api.pickupInvalidPhone.json);
+        expect(error).not.toBeInstanceOf(AiError);
+        expect(error.message).toBe('Please enter a valid 10-digit mobile number.');
+        expect(error.status).toBe(400);
+        expect(errorFromResponse(api.slotFull.status, api.slotFull.json).details).toEqual({ slotId: 'full' });
+        expect(errorFromResponse(500, null).message).toBe('Something went wrong. Please try again.');
+    });
+});
+
+describe('isTransientError', () => {
+    it('retries network and quota failures only', () => {
+        expect(isTransientError(new NetworkError())).toBe(true);
+        expect(isTransientError(new QuotaError())).toBe(true);
+        expect(isTransientError(new OfflineError())).toBe(false);
+        expect(isTransientError(new InvalidResponseError())).toBe(false);
+        expect(isTransientError(new Error('Bad request'))).toBe(false);
+    });
+});
+
+describe('isConnectionError', () => {
+    it('leaves quota failures to the server', () => {
+        expect(isConnectionError(new NetworkError())).toBe(true);
+        expect(isConnectionError(new QuotaError())).toBe(false);
+        expect(isConnectionError(new OfflineError())).toBe(false);
+    });
+});
+
+describe('classifyGeminiError', () => {
+    it('maps recorded SDK failures onto our error types', () => {
+        expect(classifyGeminiError(sdkError(gemini.quotaExceeded.error))).toBeInstanceOf(QuotaError);
+        expect(classifyGeminiError(sdkError(gemini.serviceUnavailable.error))).toBeInstanceOf(NetworkError);
+        expect(classifyGeminiError(sdkError(gemini.badImage.error))).toBeInstanceOf(InvalidImageError);
+    });
+
+    it('treats transport failures as network errors', () => {
+        expect(classifyGeminiError(new TypeError('fetch failed'))).toBeInstanceOf(NetworkError);
+        expect(classifyGeminiError(new Error('read ECONNRESET'))).toBeInstanceOf(NetworkError);
+        expect(classifyGeminiError(new TypeError('terminated', { cause: Object.assign(new Error('other side closed'), { code: 'UND_ERR_SOCKET' }) }))).toBeInstanceOf(NetworkError);
+    });
+
+    it('does not mistake a bug for a network failure', () => {
+        const bug = new TypeError("Cannot read properties of undefined (reading 'parts')");
+        expect(classifyGeminiError(bug)).not.toBeInstanceOf(NetworkError);
+        expect(classifyGeminiError(bug)).toBeInstanceOf(AiError);
+    });
+
+    it('keeps the original error as the cause', () => {
+        const original = sdkError(gemini.quotaExceeded.error);
+        expect(classifyGeminiError(original).cause).toBe(original);
+    });
+
+    it('leaves errors that are already classified alone', () => {
+        const error = new InvalidResponseError();
+        expect(classifyGeminiError(error)).toBe(error);
+        expect(classifyGeminiError(new Error('Something odd'))).toBeInstanceOf(AiError);
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { estimateBasket } from '../../shared/estimate.js';
+import { itemImpact } from '../../shared/impact.js';
+import { getRateCard, MAX_BASKET_ITEMS, PricingError, quoteBasket, quoteScrap } from '../../shared/pricing.js';
+import { DEFAULT_CATALOG, RATE_CARDS } from '../../shared/rateCard.js';
+import { estimateDelhi } from '../fixtures/api.js';
+
+const card = (version, effectiveFrom, newspaper) => ({
+    version,
+    effectiveFrom,
+    cities: { delhi: { name: 'Delhi NCR', rates: { newspaper: { kg: newspaper } } } },
+});
+
+describe('getRateCard', () => {
+    const cards = [card('2025.01', '2025-01-01', { min: 10, max: 12 }), card('2025.06', '2025-06-01', { min: 11, max: 13 }), card('2025.06b', '2025-06-01', { min: 12, max: 14 })];
+
+    it('picks the latest card already in effect', () => {
+        expect(getRateCard(new Date('2025-03-15T00:00:00Z'), cards).version).toBe('2025.01');
+    });
+
+    it('prefers the last of several cards published the same day', () => {
+        expect(getRateCard(new Date('2025-06-01T00:00:00Z'), cards).version).toBe('2025.06b');
+    });
+
+    it('fails before the first card takes effect', () => {
+        expect(() => getRateCard(new Date('2024-12-31T00:00:00Z'), cards)).toThrow(PricingError);
+    });
+});
+
+describe('quoteScrap', () => {
+    it('prices a quantity from the city rate', () => {
+        expect(quoteScrap({ materialId: 'copper-wire', quantity: 2.5, unit: 'kg', city: 'mumbai' })).toMatchObject({
+            material: 'Copper Wire',
+            cityName: 'Mumbai',
+            rate: { min: 430, max: 510, per: 'kg' },
+            estimatedValue: { min: 1075, max: 1275 },
+            rateCard: { version: RATE_CARDS[0].version },
+        });
+    });
+
+    it('rounds to whole rupees', () => {
+        expect(quoteScrap({ materialId: 'pet-bottles', quantity: 13, unit: 'pieces' }).estimatedValue).toEqual({ min: 4, max: 7 });
+    });
+
+    it('defaults to Delhi', () => {
+        expect(quoteScrap({ materialId: 'newspaper', quantity: 1, unit: 'kg' }).city).toBe('delhi');
+    });
+
+    it('says which unit a material is priced in', () => {
+        expect(() => quoteScrap({ materialId: 'old-laptop', quantity: 3, unit: 'kg' })).toThrow('Old Laptop is priced per piece.');
+    });
+
+    it.each([
+        [{ materialId: 'newspaper', quantity: 1, unit: 'kg', city: 'pune' }, 'We do not have rates for that city yet.'],
+        [{ materialId: 'newspaper', quantity: 1, unit: 'kg', city: 'constructor' }, 'We do not have rates for that city yet.'],
+        [{ materialId: 'newspaper', quantity: 1, unit: 'kg', city: '__proto__' }, 'We do not have rates for that city yet.'],
+        [{ materialId: 'gold', quantity: 1, unit: 'kg' }, 'We do not have a rate for that scrap type yet.'],
+        [{ materialId: 'toString', quantity: 1, unit: 'kg' }, 'We do not have a rate for that scrap type yet.'],
+        [{ materialId: 'newspaper', quantity: 1, unit: 'toString' }, 'Newspaper is priced per kg.'],
+        [{ materialId: 'newspaper', quantity: 0, unit: 'kg' }, 'Please enter a valid weight or quantity.'],
+        [{ materialId: 'newspaper', quantity: NaN, unit: 'kg' }, 'Please enter a valid weight or quantity.'],
+    ])('rejects %o', (request, message) => {
+        expect(() => quoteScrap(request)).toThrow(new PricingError(message));
+    });
+
+    it('uses the catalog it is given', () => {
+        const catalog = {
+            ...DEFAULT_CATALOG,
+            materials: { ...DEFAULT_CATALOG.materials, brass: { name: 'Brass', category: 'metals' } },
+            rateCards: [{ ...RATE_CARDS[0], cities: { delhi: { name: 'Delhi NCR', rates: { brass: { kg: { min: 300, max: 350 } } } } } }],
+        };
+        expect(quoteScrap({ materialId: 'brass', quantity: 2, unit: 'kg', catalog }).estimatedValue).toEqual({ min: 600, max: 700 });
+    });
+});
+
+describe('quoteBasket', () => {
+    it('sums the lines', () => {
+        const basket = quoteBasket({
+            items: [{ materialId: 'newspaper', quantity: 10, unit: 'kg' }, { materialId: 'steel', quantity: '4', unit: 'kg' }],
+            city: 'bengaluru',
+        });
+        expect(basket.items.map((item) => item.estimatedValue)).toEqual([{ min: 120, max: 140 }, { min: 108, max: 136 }]);
+        expect(basket.total).toEqual({ min: 228, max: 276 });
+        expect(basket.cityName).toBe('Bengaluru');
+    });
+
+    it('rejects an empty or oversized basket', () => {
+        expect(() => quoteBasket({ items: [] })).toThrow('Add at least one item to your basket.');
+        const items = Array.from({ length: MAX_BASKET_ITEMS + 1 }, () => ({ materialId: 'newspaper', quantity: 1, unit: 'kg' }));
+        expect(() => quoteBasket({ items })).toThrow(PricingError);
+    });
+
+    it('fails on the first line it cannot price', () => {
+        expect(() => quoteBasket({ items: [{ materialId: 'newspaper', quantity: 1, unit: 'kg' }, null] })).toThrow(PricingError);
+    });
+});
+
+describe('estimateBasket', () => {
+    it('matches what the API returns for the same basket', () => {
+        const estimate = estimateBasket({
+            items: [{ materialId: 'newspaper', quantity: 10, unit: 'kg' }, { materialId: 'aluminum-cans', quantity: 20, unit: 'pieces' }],
+            city: 'delhi',
+            catalog: DEFAULT_CATALOG,
+        });
+        expect(estimate).toEqual(estimateDelhi.json);
+    });
+
+    it('converts pieces to kg for the impact', () => {
+        expect(itemImpact({ materialId: 'old-laptop', quantity: 2, unit: 'pieces' })).toEqual({ co2eKg: 8.8, waterLitres: 154, energyKwh: 26.4, trees: 0 });
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { InvalidResponseError } from '../../shared/errors.js';
+import { estimateResultSchema, identifyResultSchema } from '../../shared/schemas.js';
+import { parseJsonResponse, t, validate, validateResponse, ValidationError } from '../../shared/validation.js';
+import * as api from '../fixtures/api.js';
+import * as gemini from '../fixtures/gemini.js';
+
+describe('schema combinators', () => {
+    const pickup = t.object({
+        name: t.string({ nonEmpty: true }),
+        quantity: t.number({ min: 0 }),
+        unit: t.oneOf('kg', 'pieces'),
+        notes: t.optional(t.string()),
+        items: t.array(t.string(), { max: 2 }),
+    });
+
+    it('passes valid values through, keeping unknown keys', () => {
+        const value = { name: 'Asha', quantity: 2, unit: 'kg', items: ['a'], extra: true };
+        expect(validate(pickup, value)).toEqual(value);
+    });
+
+    it('drops optional keys that are missing', () => {
+        expect(validate(pickup, { name: 'Asha', quantity: 0, unit: 'kg', items: [], notes: undefined })).not.toHaveProperty('notes');
+    });
+
+    it('names the path of the first mismatch', () => {
+        expect(() => validate(pickup, { name: 'Asha', quantity: 2, unit: 'kg', items: ['a', 3] }))
+            .toThrow(new ValidationError('items[1]', 'a string'));
+        expect(() => validate(pickup, { name: '  ', quantity: 2, unit: 'kg', items: [] })).toThrow('name should be a non-empty string');
+        expect(() => validate(pickup, { name: 'Asha', quantity: -1, unit: 'kg', items: [] })).toThrow('quantity should be a number of at least 0');
+        expect(() => validate(pickup, { name: 'Asha', quantity: 1, unit: 'tonnes', items: [] })).toThrow('unit should be one of kg, pieces');
+    });
+
+    it('rejects NaN and Infinity as numbers', () => {
+        expect(() => validate(t.number(), NaN)).toThrow(ValidationError);
+        expect(() => validate(t.number(), Infinity)).toThrow(ValidationError);
+    });
+
+    it('caps array length', () => {
+        expect(() => validate(pickup, { name: 'Asha', quantity: 1, unit: 'kg', items: ['a', 'b', 'c'] })).toThrow('a list of at most 2 entries');
+    });
+
+    it('turns undefined into null for nullable values', () => {
+        expect(validate(t.object({ id: t.nullable(t.string()) }), {})).toEqual({ id: null });
+    });
+
+    it('checks every value of a record', () => {
+        expect(() => validate(t.record(t.number()), { a: 1, b: 'two' })).toThrow('b should be');
+    });
+});
+
+describe('validateResponse', () => {
+    it('reports a mismatch as an invalid response, keeping the detail as the cause', () => {
+        const error = (() => {
+            try {
+                validateResponse(identifyResultSchema, api.identifyWrongShape.json);
+            } catch (caught) {
+                return caught;
+            }
+        })();
+        expect(error).toBeInstanceOf(InvalidResponseError);
+        expect(error.cause).toBeInstanceOf(ValidationError);
+        expect(error.cause.path).toBe('items[0].category');
+    });
+
+    it('lets other errors through unchanged', () => {
+        const boom = new TypeError('boom');
+        expect(() => validateResponse(() => { throw boom; }, {})).toThrow(boom);
+    });
+
+    it('accepts recorded API responses', () => {
+        expect(validateResponse(identifyResultSchema, api.identifyNewspapersAndBottles.json).items).toHaveLength(3);
+        expect(validateResponse(identifyResultSchema, api.identifyFallback.json).fallback).toBe(true);
+        expect(validateResponse(estimateResultSchema, api.estimateDelhi.json).total).toEqual({ min: 150, max: 190 });
+        expect(() => validateResponse(estimateResultSchema, api.estimateMissingTotal.json)).toThrow(InvalidResponseError);
+    });
+
+    it('caps the number of identified items', () => {
+        const items = Array.from({ length: 21 }, () => api.identifyNewspapersAndBottles.json.items[0]);
+        expect(() => validateResponse(identifyResultSchema, { items })).toThrow(InvalidResponseError);
+    });
+});
+
+describe('parseJsonResponse', () => {
+    it('parses and checks model output', () => {
+        const { items } = parseJsonResponse(identifyResultSchema, JSON.stringify({
+            items: JSON.parse(gemini.identifyNewspapers.text).items.map((item) => ({ ...item, categoryId: null })),
+        }));
+        expect(items.map((item) => item.itemName)).toEqual(['Newspapers', 'Broken ceramic mug']);
+    });
+
+    it('treats truncated JSON as an invalid response', () => {
+        expect(() => parseJsonResponse(identifyResultSchema, gemini.identifyTruncated.text)).toThrow(InvalidResponseError);
+    });
+
+    it('treats JSON of the wrong shape as an invalid response', () => {
+        expect(() => parseJsonResponse(identifyResultSchema, gemini.identifyWrongShape.text)).toThrow(InvalidResponseError);
+    });
+
+    it('treats an empty answer as an invalid response', () => {
+        expect(() => parseJsonResponse(identifyResultSchema, gemini.emptyReply.text)).toThrow(InvalidResponseError);
+        expect(() => parseJsonResponse(identifyResultSchema, undefined)).toThrow(InvalidResponseError);
+    });
+});
@@ -1,3 +1,4 @@
+/// <reference types="vitest/config" />
 import path from 'path';
 import { defineConfig } from 'vite';
 
@@ -10,8 +11,29 @@ export default defineConfig({
     hmr: {
       clientPort: 443,
       protocol: 'wss'
+    },
+    proxy: {
+      // xfwd passes the visitor's address on, for an API started with TRUST_PROXY=loopback.
+      '/api': { target: `http://localhost:${process.env.PORT || 3001}`, xfwd: true }
     }
   },
+  build: {
+    rollupOptions: {
+      input: {
+        main: path.resolve(__dirname, 'index.html'),
+        dealer: path.resolve(__dirname, 'dealer.html'),
+        receipt: path.resolve(__dirname, 'receipt.html'),
+        admin: path.resolve(__dirname, 'admin.html'),
+        wallet: path.resolve(__dirname, 'wallet.html'),
+      }
+    }
+  },
+  test: {
+    include: ['tests/**/*.test.js'],
+    restoreMocks: true,
+    unstubGlobals: true,
+    unstubEnvs: true,
+  },
   plugins: [],
   resolve: {
     alias: {